@@ -0,0 +1,216 @@
+const crypto = require("crypto");
+const { readJson, writeJson } = require("./dataStore");
+const { config } = require("./config");
+
+const API_KEYS_FILE = "api-keys.json";
+
+// Scopes a key can have. "admin" implies every other scope.
+const SCOPES = ["read", "send", "admin"];
+
+function hashKey(key) {
+  return crypto.createHash("sha256").update(key).digest("hex");
+}
+
+// Keys from the apiKeys setting (API_KEYS), "key:scope|scope" entries.
+// A key without scopes gets all of them.
+function parseEnvKeys(entries) {
+  return entries.map((entry, index) => {
+    const separator = entry.lastIndexOf(":");
+    const key = separator === -1 ? entry : entry.slice(0, separator);
+    const scopes =
+      separator === -1
+        ? ["admin"]
+        : entry
+            .slice(separator + 1)
+            .split("|")
+            .map((scope) => scope.trim())
+            .filter(Boolean);
+
+    const unknownScopes = scopes.filter((scope) => !SCOPES.includes(scope));
+    if (unknownScopes.length > 0) {
+      throw new Error(
+        `API_KEYS entry ${index + 1} has unknown scope(s): ${unknownScopes.join(", ")}`
+      );
+    }
+
+    return {
+      id: `env-${index + 1}`,
+      name: `API_KEYS #${index + 1}`,
+      hash: hashKey(key),
+      scopes,
+      source: "env",
+    };
+  });
+}
+
+const envKeys = parseEnvKeys(config.apiKeys);
+
+// Keys created through the admin API. Only the hash is stored.
+let storedKeys = readJson(API_KEYS_FILE, []);
+
+function saveKeys() {
+  writeJson(API_KEYS_FILE, storedKeys);
+}
+
+function listKeys() {
+  return envKeys.concat(storedKeys);
+}
+
+// Authentication is only enforced once at least one key exists, so
+// existing deployments keep working until a key is configured.
+function isAuthEnabled() {
+  return listKeys().length > 0;
+}
+
+function findKey(key) {
+  if (!key) return null;
+
+  const hash = Buffer.from(hashKey(key), "hex");
+  return (
+    listKeys().find((entry) =>
+      crypto.timingSafeEqual(hash, Buffer.from(entry.hash, "hex"))
+    ) || null
+  );
+}
+
+function hasScope(entry, scope) {
+  return entry.scopes.includes("admin") || entry.scopes.includes(scope);
+}
+
+// Create a key and return it in plain text. This is the only time the
+// plain key is available.
+function createKey({ name, scopes }) {
+  const key = "wa_" + crypto.randomBytes(24).toString("hex");
+  const entry = {
+    id: crypto.randomUUID(),
+    name: name || "Unnamed key",
+    hash: hashKey(key),
+    scopes,
+    source: "api",
+    createdAt: new Date().toISOString(),
+  };
+  storedKeys.push(entry);
+  saveKeys();
+  return { key, entry };
+}
+
+function revokeKey(id) {
+  const before = storedKeys.length;
+  storedKeys = storedKeys.filter((entry) => entry.id !== id);
+  if (storedKeys.length === before) return false;
+  saveKeys();
+  return true;
+}
+
+// Revoking the last admin key would lock everyone out of /admin, and turn
+// authentication off for every endpoint when it's the last key
+function isLastAdminKey(id) {
+  const adminKeys = listKeys().filter((entry) => hasScope(entry, "admin"));
+  return adminKeys.length === 1 && adminKeys[0].id === id;
+}
+
+function toPublicKey(entry) {
+  const { hash, ...rest } = entry;
+  return rest;
+}
+
+// Read the key from X-API-Key or "Authorization: Bearer <key>". Pages and
+// streams opened directly by the browser (QR display/image, events) can't
+// send headers, so they also accept the api_key query param. Anywhere else
+// it would end up in access logs and browser history.
+function getRequestKey(req, allowQueryKey) {
+  const headerKey = req.get("X-API-Key");
+  if (headerKey) return headerKey.trim();
+
+  const authorization = req.get("Authorization") || "";
+  const match = authorization.match(/^Bearer\s+(.+)$/i);
+  if (match) return match[1].trim();
+
+  if (
+    allowQueryKey &&
+    req.method === "GET" &&
+    typeof req.query.api_key === "string"
+  ) {
+    return req.query.api_key;
+  }
+
+  return null;
+}
+
+// Express middleware: require a key with the given scope. allowQueryKey
+// accepts ?api_key= on GET requests, for pages opened in the browser.
+function requireScope(scope, { allowQueryKey = false } = {}) {
+  return (req, res, next) => {
+    if (!isAuthEnabled()) return next();
+
+    const key = getRequestKey(req, allowQueryKey);
+    if (!key) {
+      return res.status(401).json({
+        status: "error",
+        message: "API key required. Send it in the X-API-Key header or as a Bearer token.",
+      });
+    }
+
+    const entry = findKey(key);
+    if (!entry) {
+      return res.status(401).json({
+        status: "error",
+        message: "Invalid API key",
+      });
+    }
+
+    if (!hasScope(entry, scope)) {
+      return res.status(403).json({
+        status: "error",
+        message: `This API key does not have the "${scope}" scope`,
+      });
+    }
+
+    req.apiKey = toPublicKey(entry);
+    next();
+  };
+}
+
+function isLocalRequest(req) {
+  // Behind a reverse proxy every request comes from localhost
+  if (req.get("X-Forwarded-For")) return false;
+  return ["127.0.0.1", "::1", "::ffff:127.0.0.1"].includes(
+    req.socket.remoteAddress
+  );
+}
+
+function isBootstrapToken(token) {
+  if (!config.bootstrapToken || !token) return false;
+  return crypto.timingSafeEqual(
+    Buffer.from(hashKey(token), "hex"),
+    Buffer.from(hashKey(config.bootstrapToken), "hex")
+  );
+}
+
+// Express middleware for creating keys. While no key exists the API is
+// open, but the first key may only be created from this machine or with
+// the bootstrap token, so nobody else on the network can claim the server.
+function requireBootstrapAccess(req, res, next) {
+  if (isAuthEnabled()) return next();
+  if (isLocalRequest(req) || isBootstrapToken(req.get("X-Bootstrap-Token"))) {
+    return next();
+  }
+
+  res.status(403).json({
+    status: "error",
+    message:
+      "The first API key can only be created from localhost, or with the X-Bootstrap-Token header (API_BOOTSTRAP_TOKEN).",
+  });
+}
+
+module.exports = {
+  SCOPES,
+  isAuthEnabled,
+  listKeys,
+  createKey,
+  revokeKey,
+  isLastAdminKey,
+  toPublicKey,
+  requireScope,
+  requireBootstrapAccess,
+};
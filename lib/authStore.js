@@ -0,0 +1,146 @@
+const crypto = require("crypto");
+const { config } = require("./config");
+const { invalid } = require("./requests");
+
+// Where the WhatsApp credentials and keys of sessions are kept, chosen with
+// AUTH_STORE:
+//   "file"   - auth_info/ and auth_sessions/<id>/ folders (default)
+//   "sqlite" - one SQLite database at AUTH_SQLITE_PATH, for containers
+//              where only a single mounted file or volume survives restarts
+//
+// A store implements:
+//   load(sessionId)                   -> Promise<{ state, saveCreds }> for
+//                                        makeWASocket
+//   clear(sessionId)                  -> delete everything of a session
+//   listSessionIds()                  -> sessions with saved credentials
+//   exportEntries(sessionId)          -> { name: value } or null when empty
+//   importEntries(sessionId, entries) -> replace the stored state
+// Entry names are Baileys' multi-file names without ".json" ("creds",
+// "pre-key-1", ...), so backups can be restored into any store.
+const STORES = {
+  file: "./fileAuthStore",
+  sqlite: "./sqliteAuthStore",
+};
+
+const storeName = config.auth.store;
+const store = require(STORES[storeName]);
+
+// Backups are encrypted with AES-256-GCM, with a key derived from the
+// passphrase by scrypt
+const BACKUP_FORMAT = "whatsapp-rest-api-auth-backup";
+const BACKUP_VERSION = 1;
+const MIN_PASSPHRASE_LENGTH = 8;
+
+// Entry names become file names in the file store
+const ENTRY_NAME_PATTERN = /^[\w@+=.-]+$/;
+
+function checkPassphrase(passphrase) {
+  if (
+    typeof passphrase !== "string" ||
+    passphrase.length < MIN_PASSPHRASE_LENGTH
+  ) {
+    throw invalid(
+      `A passphrase of at least ${MIN_PASSPHRASE_LENGTH} characters is required`
+    );
+  }
+}
+
+function deriveKey(passphrase, salt) {
+  return crypto.scryptSync(passphrase, salt, 32);
+}
+
+// An encrypted backup of a session's auth state, or null when the session
+// has none (it was never linked)
+function createBackup(sessionId, passphrase) {
+  checkPassphrase(passphrase);
+
+  const entries = store.exportEntries(sessionId);
+  if (!entries) return null;
+
+  const salt = crypto.randomBytes(16);
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(
+    "aes-256-gcm",
+    deriveKey(passphrase, salt),
+    iv
+  );
+  const data = Buffer.concat([
+    cipher.update(JSON.stringify({ sessionId, entries }), "utf8"),
+    cipher.final(),
+  ]);
+
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    sessionId,
+    createdAt: new Date().toISOString(),
+    kdf: "scrypt",
+    cipher: "aes-256-gcm",
+    salt: salt.toString("base64"),
+    iv: iv.toString("base64"),
+    tag: cipher.getAuthTag().toString("base64"),
+    data: data.toString("base64"),
+  };
+}
+
+// Decrypt a backup. Returns { sessionId, entries } with the session it was
+// made from and its auth state, or throws an error with statusCode 400 for
+// invalid backups or a wrong passphrase.
+function openBackup(backup, passphrase) {
+  checkPassphrase(passphrase);
+
+  if (
+    !backup ||
+    typeof backup !== "object" ||
+    backup.format !== BACKUP_FORMAT ||
+    !["salt", "iv", "tag", "data"].every(
+      (field) => typeof backup[field] === "string"
+    )
+  ) {
+    throw invalid("backup must be a backup created by GET /auth/export");
+  }
+  if (backup.version !== BACKUP_VERSION) {
+    throw invalid(`Unsupported backup version ${backup.version}`);
+  }
+
+  let payload;
+  try {
+    const decipher = crypto.createDecipheriv(
+      "aes-256-gcm",
+      deriveKey(passphrase, Buffer.from(backup.salt, "base64")),
+      Buffer.from(backup.iv, "base64")
+    );
+    decipher.setAuthTag(Buffer.from(backup.tag, "base64"));
+    payload = JSON.parse(
+      Buffer.concat([
+        decipher.update(Buffer.from(backup.data, "base64")),
+        decipher.final(),
+      ]).toString("utf8")
+    );
+  } catch (error) {
+    throw invalid("Wrong passphrase, or the backup is damaged");
+  }
+
+  const entries = payload && payload.entries;
+  if (!entries || typeof entries !== "object" || !entries.creds) {
+    throw invalid("The backup has no credentials");
+  }
+  const badName = Object.keys(entries).find(
+    (name) => !ENTRY_NAME_PATTERN.test(name) || name.startsWith(".")
+  );
+  if (badName) {
+    throw invalid(`The backup has an invalid entry "${badName}"`);
+  }
+
+  return { sessionId: payload.sessionId, entries };
+}
+
+module.exports = {
+  storeName,
+  loadAuthState: store.load,
+  clearAuthState: store.clear,
+  listStoredSessionIds: store.listSessionIds,
+  importAuthState: store.importEntries,
+  createBackup,
+  openBackup,
+};
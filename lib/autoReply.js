@@ -0,0 +1,586 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const bus = require("./events");
+const { getSession } = require("./session");
+const { enqueue } = require("./outbox");
+const { formatJid } = require("./messages");
+const { messageKey } = require("./store");
+const { sendToWebhook, registerWebhookSource } = require("./webhooks");
+const { readJson, writeJson } = require("./dataStore");
+const { config } = require("./config");
+const { trackSend } = require("./metrics");
+const { invalid, isPlainObject, isNonEmptyString } = require("./requests");
+
+const RULES_FILE = "auto-replies.json";
+
+// Rules in AUTO_REPLY_RULES_FILE (a JSON array, path relative to the working
+// directory) are read-only. More can be managed through the /auto-replies API.
+const rulesFilePath = config.autoReplies.rulesFile;
+
+const ACTION_TYPES = ["reply", "webhook", "forward"];
+const CHAT_TYPES = ["any", "private", "group"];
+const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Edits, deletes, reactions and poll votes arrive as messages too, but
+// nobody expects an answer to them
+const IGNORED_TYPES = [
+  "protocolMessage",
+  "reactionMessage",
+  "pollUpdateMessage",
+  "editedMessage",
+];
+
+// When a rule last ran, by "<ruleId>:<sessionId>:<chat>"
+const lastTriggered = new Map();
+
+function validateStringList(value, name) {
+  if (value === undefined || value === null) return [];
+  if (!Array.isArray(value) || !value.every(isNonEmptyString)) {
+    throw invalid(`${name} must be an array of strings`);
+  }
+  return value.map((item) => item.trim());
+}
+
+function validateMatch(match) {
+  if (match === undefined || match === null) match = {};
+  if (!isPlainObject(match)) {
+    throw invalid("match must be an object");
+  }
+
+  let pattern = null;
+  if (
+    match.pattern !== undefined &&
+    match.pattern !== null &&
+    match.pattern !== ""
+  ) {
+    if (typeof match.pattern !== "string") {
+      throw invalid("match.pattern must be a regular expression string");
+    }
+    try {
+      new RegExp(match.pattern, "i");
+    } catch (error) {
+      throw invalid(
+        `match.pattern is not a valid regular expression: ${error.message}`
+      );
+    }
+    pattern = match.pattern;
+  }
+
+  const senders = validateStringList(match.senders, "match.senders").map(
+    (number, index) => {
+      try {
+        return formatJid(number);
+      } catch (error) {
+        throw invalid(`match.senders[${index}]: ${error.message}`);
+      }
+    }
+  );
+  const groups = validateStringList(match.groups, "match.groups").map((id) =>
+    id.endsWith("@g.us") ? id : `${id}@g.us`
+  );
+
+  const chat = match.chat === undefined ? "any" : match.chat;
+  if (!CHAT_TYPES.includes(chat)) {
+    throw invalid(`match.chat must be one of: ${CHAT_TYPES.join(", ")}`);
+  }
+  if (groups.length > 0 && chat === "private") {
+    throw invalid('match.groups can\'t be combined with match.chat "private"');
+  }
+
+  return {
+    keywords: validateStringList(match.keywords, "match.keywords"),
+    pattern,
+    senders,
+    groups,
+    chat,
+  };
+}
+
+// { days: [1, 2, 3, 4, 5], from: "09:00", to: "17:00", timezone } - days
+// from 0 (Sunday) to 6, timezone defaults to the server's
+function validateBusinessHours(hours) {
+  if (hours === undefined || hours === null) return null;
+  if (!isPlainObject(hours)) {
+    throw invalid("businessHours must be an object");
+  }
+
+  const days = hours.days === undefined ? [0, 1, 2, 3, 4, 5, 6] : hours.days;
+  if (
+    !Array.isArray(days) ||
+    days.length === 0 ||
+    !days.every((day) => Number.isInteger(day) && day >= 0 && day <= 6)
+  ) {
+    throw invalid(
+      "businessHours.days must be an array of weekdays from 0 (Sunday) to 6 (Saturday)"
+    );
+  }
+  for (const field of ["from", "to"]) {
+    if (typeof hours[field] !== "string" || !TIME_PATTERN.test(hours[field])) {
+      throw invalid(`businessHours.${field} must be a time like "09:00"`);
+    }
+  }
+  if (hours.timezone !== undefined) {
+    try {
+      new Intl.DateTimeFormat("en-US", { timeZone: hours.timezone });
+    } catch (error) {
+      throw invalid(
+        `businessHours.timezone "${hours.timezone}" is not a valid timezone, e.g. "Asia/Jakarta"`
+      );
+    }
+  }
+
+  return {
+    days: Array.from(new Set(days)).sort(),
+    from: hours.from,
+    to: hours.to,
+    timezone: hours.timezone || null,
+  };
+}
+
+function validateAction(action, index) {
+  const label = `actions[${index}]`;
+  if (!isPlainObject(action)) {
+    throw invalid(`${label} must be an object`);
+  }
+
+  switch (action.type) {
+    case "reply":
+      if (!isNonEmptyString(action.text)) {
+        throw invalid(`${label}.text is required for replies`);
+      }
+      return { type: "reply", text: action.text, quote: !!action.quote };
+
+    case "webhook": {
+      let url;
+      try {
+        url = new URL(action.url);
+      } catch (error) {
+        url = null;
+      }
+      if (!url || !["http:", "https:"].includes(url.protocol)) {
+        throw invalid(`${label}.url must be a valid http(s) URL`);
+      }
+      return { type: "webhook", url: action.url, secret: action.secret || "" };
+    }
+
+    case "forward":
+      if (!action.to) {
+        throw invalid(
+          `${label}.to (the number or group JID to forward to) is required`
+        );
+      }
+      try {
+        return { type: "forward", to: formatJid(String(action.to)) };
+      } catch (error) {
+        throw invalid(`${label}.to: ${error.message}`);
+      }
+
+    default:
+      throw invalid(`${label}.type must be one of: ${ACTION_TYPES.join(", ")}`);
+  }
+}
+
+// Check a rule from the API or the rules file. Returns the rule with
+// defaults filled in, or throws an error with statusCode 400.
+function validateRule(input) {
+  if (!isPlainObject(input)) {
+    throw invalid("A rule must be a JSON object");
+  }
+  if (!isNonEmptyString(input.name)) {
+    throw invalid("name is required");
+  }
+  if (input.enabled !== undefined && typeof input.enabled !== "boolean") {
+    throw invalid("enabled must be true or false");
+  }
+
+  const businessHours = validateBusinessHours(input.businessHours);
+  if (
+    input.outsideBusinessHours !== undefined &&
+    typeof input.outsideBusinessHours !== "boolean"
+  ) {
+    throw invalid("outsideBusinessHours must be true or false");
+  }
+  if (input.outsideBusinessHours && !businessHours) {
+    throw invalid("outsideBusinessHours needs businessHours");
+  }
+
+  const cooldownMinutes =
+    input.cooldownMinutes === undefined ? 0 : input.cooldownMinutes;
+  if (typeof cooldownMinutes !== "number" || !(cooldownMinutes >= 0)) {
+    throw invalid("cooldownMinutes must be a number of minutes (0 for none)");
+  }
+
+  if (!Array.isArray(input.actions) || input.actions.length === 0) {
+    throw invalid(
+      `actions must be a non-empty array of ${ACTION_TYPES.join(", ")} actions`
+    );
+  }
+
+  return {
+    name: input.name.trim(),
+    enabled: input.enabled !== false,
+    sessions: validateStringList(input.sessions, "sessions"),
+    match: validateMatch(input.match),
+    businessHours,
+    outsideBusinessHours: !!input.outsideBusinessHours,
+    cooldownMinutes,
+    actions: input.actions.map(validateAction),
+  };
+}
+
+function loadFileRules() {
+  if (!rulesFilePath) return [];
+
+  let rules;
+  try {
+    rules = JSON.parse(fs.readFileSync(rulesFilePath, "utf8"));
+  } catch (error) {
+    console.error(
+      `Error reading auto-reply rules from ${rulesFilePath}:`,
+      error.message
+    );
+    return [];
+  }
+  if (!Array.isArray(rules)) {
+    console.error(`${rulesFilePath} must contain a JSON array of rules`);
+    return [];
+  }
+
+  return rules.flatMap((input, index) => {
+    try {
+      return [
+        { id: `file-${index + 1}`, ...validateRule(input), source: "file" },
+      ];
+    } catch (error) {
+      console.error(
+        `Skipping auto-reply rule ${index + 1} in ${rulesFilePath}: ${
+          error.message
+        }`
+      );
+      return [];
+    }
+  });
+}
+
+const fileRules = loadFileRules();
+let apiRules = readJson(RULES_FILE, []);
+
+function saveRules() {
+  writeJson(RULES_FILE, apiRules);
+}
+
+// All rules in the order they're checked, rules file first
+function listRules() {
+  return fileRules.concat(apiRules);
+}
+
+function getRule(id) {
+  return listRules().find((rule) => rule.id === id) || null;
+}
+
+function addRule(input) {
+  const now = new Date().toISOString();
+  const rule = {
+    id: crypto.randomUUID(),
+    ...validateRule(input),
+    source: "api",
+    createdAt: now,
+    updatedAt: now,
+  };
+  apiRules.push(rule);
+  saveRules();
+  return rule;
+}
+
+// Replace a rule created through the API. Returns null when there's no such
+// rule (rules file rules can't be changed).
+function updateRule(id, input) {
+  const index = apiRules.findIndex((rule) => rule.id === id);
+  if (index === -1) return null;
+
+  const current = apiRules[index];
+  apiRules[index] = {
+    id,
+    ...validateRule(input),
+    source: "api",
+    createdAt: current.createdAt,
+    updatedAt: new Date().toISOString(),
+  };
+  saveRules();
+  return apiRules[index];
+}
+
+function removeRule(id) {
+  const before = apiRules.length;
+  apiRules = apiRules.filter((rule) => rule.id !== id);
+  if (apiRules.length === before) return false;
+
+  for (const key of lastTriggered.keys()) {
+    if (key.startsWith(`${id}:`)) lastTriggered.delete(key);
+  }
+  saveRules();
+  return true;
+}
+
+// Hide webhook secrets when returning rules over the API
+function toPublicRule(rule) {
+  return {
+    ...rule,
+    actions: rule.actions.map((action) => {
+      if (action.type !== "webhook") return action;
+      const { secret, ...rest } = action;
+      return { ...rest, signed: !!secret };
+    }),
+  };
+}
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Keywords match whole words (or phrases), ignoring case
+function containsKeyword(text, keyword) {
+  return new RegExp(
+    `(?:^|[^\\p{L}\\p{N}])${escapeRegex(keyword)}(?:$|[^\\p{L}\\p{N}])`,
+    "iu"
+  ).test(text);
+}
+
+// Weekday (0 = Sunday) and "HH:MM" of a date in a timezone (the server's
+// when null)
+function localTime(date, timezone) {
+  if (!timezone) {
+    const pad = (value) => String(value).padStart(2, "0");
+    return {
+      day: date.getDay(),
+      time: `${pad(date.getHours())}:${pad(date.getMinutes())}`,
+    };
+  }
+
+  const parts = {};
+  const format = new Intl.DateTimeFormat("en-US", {
+    timeZone: timezone,
+    weekday: "short",
+    hour: "2-digit",
+    minute: "2-digit",
+    hourCycle: "h23",
+  });
+  for (const part of format.formatToParts(date)) {
+    parts[part.type] = part.value;
+  }
+  return {
+    day: WEEKDAYS.indexOf(parts.weekday),
+    time: `${parts.hour}:${parts.minute}`,
+  };
+}
+
+function isWithinBusinessHours(hours, date) {
+  const { day, time } = localTime(date, hours.timezone);
+
+  if (hours.from <= hours.to) {
+    return hours.days.includes(day) && time >= hours.from && time < hours.to;
+  }
+  // Overnight hours (e.g. 22:00-06:00): the early hours belong to the day
+  // before
+  if (time >= hours.from) return hours.days.includes(day);
+  if (time < hours.to) return hours.days.includes((day + 6) % 7);
+  return false;
+}
+
+// Why a rule doesn't apply to a message, or null when it does
+function mismatch(rule, sessionId, message, date) {
+  const { match } = rule;
+  const text = message.text || "";
+
+  if (!rule.enabled) return "Rule is disabled";
+  if (rule.sessions.length > 0 && !rule.sessions.includes(sessionId)) {
+    return `Rule doesn't apply to session ${sessionId}`;
+  }
+  if (match.chat === "private" && message.isGroup)
+    return "Message is from a group";
+  if (match.chat === "group" && !message.isGroup)
+    return "Message isn't from a group";
+  if (match.groups.length > 0 && !match.groups.includes(message.chat)) {
+    return "Group doesn't match";
+  }
+  if (match.senders.length > 0 && !match.senders.includes(message.sender)) {
+    return "Sender doesn't match";
+  }
+  if (
+    match.keywords.length > 0 &&
+    !match.keywords.some((keyword) => containsKeyword(text, keyword))
+  ) {
+    return "No keyword found";
+  }
+  if (match.pattern && !new RegExp(match.pattern, "i").test(text)) {
+    return "Pattern doesn't match";
+  }
+  if (rule.businessHours) {
+    const open = isWithinBusinessHours(rule.businessHours, date);
+    if (open && rule.outsideBusinessHours) return "Within business hours";
+    if (!open && !rule.outsideBusinessHours) return "Outside business hours";
+  }
+  return null;
+}
+
+function cooldownKey(rule, sessionId, chat) {
+  return `${rule.id}:${sessionId}:${chat}`;
+}
+
+// Milliseconds until a rule may run again in a chat
+function cooldownRemaining(rule, sessionId, chat, now = Date.now()) {
+  const last = lastTriggered.get(cooldownKey(rule, sessionId, chat));
+  if (!last || !rule.cooldownMinutes) return 0;
+  return Math.max(last + rule.cooldownMinutes * 60 * 1000 - now, 0);
+}
+
+// Fill in {{name}}, {{number}}, {{text}} and {{chat}}
+function renderTemplate(template, message) {
+  const number = message.sender ? message.sender.split("@")[0] : "";
+  const values = {
+    name: message.pushName || number,
+    number,
+    text: message.text || "",
+    chat: message.chat,
+  };
+
+  return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (placeholder, key) =>
+    Object.hasOwn(values, key) ? values[key] : placeholder
+  );
+}
+
+// Find the rule for a message: the first one that matches. Returns
+// { rule, results } where results say for every rule checked whether it
+// matched, and why not.
+function evaluate(rules, sessionId, message, date = new Date()) {
+  const results = [];
+
+  for (const rule of rules) {
+    const reason = mismatch(rule, sessionId, message, date);
+    results.push({ id: rule.id, name: rule.name, matched: !reason, reason });
+    if (!reason) return { rule, results };
+  }
+  return { rule: null, results };
+}
+
+// What a rule would do for a message, for dry runs
+function describeActions(rule, message) {
+  return rule.actions.map((action) => {
+    switch (action.type) {
+      case "reply":
+        return {
+          type: "reply",
+          to: message.chat,
+          text: renderTemplate(action.text, message),
+          quote: action.quote,
+        };
+      case "webhook":
+        return { type: "webhook", url: action.url };
+      case "forward":
+        return { type: "forward", to: action.to };
+    }
+  });
+}
+
+async function runActions(session, rule, message, raw) {
+  for (const [index, action] of rule.actions.entries()) {
+    try {
+      switch (action.type) {
+        case "reply":
+          enqueue({
+            sessionId: session.id,
+            jid: message.chat,
+            text: renderTemplate(action.text, message),
+            quoted: action.quote
+              ? {
+                  key: messageKey(message),
+                  message: { conversation: message.text || "" },
+                }
+              : null,
+          });
+          break;
+
+        case "webhook":
+          sendToWebhook(
+            {
+              id: `rule-${rule.id}/${index}`,
+              url: action.url,
+              secret: action.secret,
+            },
+            "auto-reply",
+            {
+              sessionId: session.id,
+              rule: { id: rule.id, name: rule.name },
+              message,
+            }
+          );
+          break;
+
+        case "forward": {
+          const result = await trackSend(session.id, "forward", () =>
+            session.sock.sendMessage(action.to, { forward: raw })
+          );
+          bus.emit("sent", {
+            sessionId: session.id,
+            jobId: null,
+            messageId: result.key.id,
+            chat: action.to,
+            raw: result,
+          });
+          break;
+        }
+      }
+    } catch (error) {
+      console.error(
+        `[${session.id}] Error running ${action.type} action of auto-reply rule "${rule.name}":`,
+        error
+      );
+    }
+  }
+}
+
+// Webhook actions, as "rule-<rule ID>/<action index>", for their retries
+registerWebhookSource("rule-", (ref) => {
+  const separator = ref.lastIndexOf("/");
+  const rule = getRule(ref.slice(0, separator));
+  const action = rule && rule.actions[Number(ref.slice(separator + 1))];
+  if (!action || action.type !== "webhook") return null;
+  return { id: `rule-${ref}`, url: action.url, secret: action.secret };
+});
+
+bus.on("message", ({ sessionId, message, raw }) => {
+  if (message.fromMe || IGNORED_TYPES.includes(message.type)) return;
+
+  const { rule } = evaluate(listRules(), sessionId, message);
+  if (!rule) return;
+
+  if (cooldownRemaining(rule, sessionId, message.chat) > 0) {
+    console.log(
+      `[${sessionId}] Auto-reply rule "${rule.name}" is cooling down for ${message.chat}`
+    );
+    return;
+  }
+
+  const session = getSession(sessionId);
+  if (!session || !session.sock) return;
+
+  lastTriggered.set(cooldownKey(rule, sessionId, message.chat), Date.now());
+  console.log(
+    `[${sessionId}] Auto-reply rule "${rule.name}" matched message ${message.id}`
+  );
+  runActions(session, rule, message, raw);
+});
+
+module.exports = {
+  validateRule,
+  listRules,
+  getRule,
+  addRule,
+  updateRule,
+  removeRule,
+  toPublicRule,
+  evaluate,
+  describeActions,
+  cooldownRemaining,
+};
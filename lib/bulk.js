@@ -0,0 +1,273 @@
+const crypto = require("crypto");
+const { enqueue, waitForJob, SENT, FAILED } = require("./outbox");
+const { formatJid } = require("./messages");
+const { toCsv } = require("./csv");
+const { readJson, writeJson } = require("./dataStore");
+
+const BULK_JOBS_FILE = "bulk-jobs.json";
+
+const MAX_RECIPIENTS = 5000;
+const DEFAULT_MIN_DELAY_MS = 3000;
+const DEFAULT_MAX_DELAY_MS = 8000;
+
+// How long to wait on a single outbox job before checking it again
+const JOB_WAIT_MS = 60 * 1000;
+
+// Bulk job states
+const RUNNING = "running";
+const COMPLETED = "completed";
+const CANCELLED = "cancelled";
+
+// Recipient states
+const PENDING = "pending";
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([^{}]+?)\s*\}\}/g;
+
+let bulkJobs = readJson(BULK_JOBS_FILE, []);
+const running = new Set();
+
+function saveBulkJobs() {
+  try {
+    writeJson(BULK_JOBS_FILE, bulkJobs);
+  } catch (error) {
+    console.error("Error saving bulk jobs:", error);
+  }
+}
+
+// Column names used in a template like "Hi {{name}}"
+function getPlaceholders(template) {
+  const names = new Set();
+  for (const match of template.matchAll(PLACEHOLDER_PATTERN)) {
+    names.add(match[1]);
+  }
+  return Array.from(names);
+}
+
+function renderTemplate(template, row) {
+  return template.replace(PLACEHOLDER_PATTERN, (match, name) =>
+    row[name] === undefined || row[name] === null ? "" : String(row[name])
+  );
+}
+
+function randomDelay(min, max) {
+  return min + Math.floor(Math.random() * (max - min + 1));
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Throws a descriptive error when the rows can't be used with the template
+function validateBulk(rows, template) {
+  if (!Array.isArray(rows) || rows.length === 0) {
+    throw new Error("At least one recipient is required");
+  }
+  if (rows.length > MAX_RECIPIENTS) {
+    throw new Error(`A bulk send can have at most ${MAX_RECIPIENTS} recipients`);
+  }
+
+  const missingNumber = rows.findIndex((row) => !row || !row.number);
+  if (missingNumber !== -1) {
+    throw new Error(`Recipient ${missingNumber + 1} has no "number"`);
+  }
+
+  for (const [index, row] of rows.entries()) {
+    try {
+      formatJid(String(row.number));
+    } catch (error) {
+      throw new Error(`Recipient ${index + 1}: ${error.message}`);
+    }
+  }
+
+  const placeholders = getPlaceholders(template);
+  for (const [index, row] of rows.entries()) {
+    const missing = placeholders.filter((name) => row[name] === undefined);
+    if (missing.length > 0) {
+      throw new Error(
+        `Recipient ${index + 1} is missing template field(s): ${missing.join(", ")}`
+      );
+    }
+  }
+}
+
+function summarize(bulkJob) {
+  const counts = { pending: 0, sent: 0, failed: 0 };
+  for (const recipient of bulkJob.recipients) {
+    counts[recipient.state] = (counts[recipient.state] || 0) + 1;
+  }
+  return { total: bulkJob.recipients.length, ...counts };
+}
+
+function toPublicBulkJob(bulkJob, { includeRecipients = true } = {}) {
+  const result = {
+    id: bulkJob.id,
+    sessionId: bulkJob.sessionId,
+    state: bulkJob.state,
+    template: bulkJob.template,
+    delay: { min: bulkJob.minDelayMs, max: bulkJob.maxDelayMs },
+    summary: summarize(bulkJob),
+    createdAt: bulkJob.createdAt,
+    finishedAt: bulkJob.finishedAt,
+  };
+  if (includeRecipients) {
+    result.recipients = bulkJob.recipients;
+  }
+  return result;
+}
+
+// Wait until the outbox job of a recipient is sent or failed
+async function waitForRecipient(recipient) {
+  while (true) {
+    const job = await waitForJob(recipient.jobId, JOB_WAIT_MS);
+    if (!job) {
+      return { state: FAILED, error: "Outbox job was lost" };
+    }
+    if (job.state === SENT) {
+      return { state: SENT, messageId: job.messageId };
+    }
+    if (job.state === FAILED) {
+      return { state: FAILED, error: job.error };
+    }
+  }
+}
+
+// Send to each recipient in turn, waiting a random delay between sends
+async function runBulkJob(bulkJob) {
+  if (running.has(bulkJob.id)) return;
+  running.add(bulkJob.id);
+
+  try {
+    for (const recipient of bulkJob.recipients) {
+      if (bulkJob.state !== RUNNING) break;
+      if (recipient.state !== PENDING) continue;
+
+      if (!recipient.jobId) {
+        const job = enqueue({
+          sessionId: bulkJob.sessionId,
+          jid: recipient.jid,
+          text: recipient.message,
+        });
+        recipient.jobId = job.id;
+        saveBulkJobs();
+      }
+
+      const outcome = await waitForRecipient(recipient);
+      Object.assign(recipient, outcome, { finishedAt: new Date().toISOString() });
+      saveBulkJobs();
+
+      const hasMore = bulkJob.recipients.some((r) => r.state === PENDING);
+      if (hasMore && bulkJob.state === RUNNING) {
+        await sleep(randomDelay(bulkJob.minDelayMs, bulkJob.maxDelayMs));
+      }
+    }
+
+    if (bulkJob.state === RUNNING) {
+      bulkJob.state = COMPLETED;
+      bulkJob.finishedAt = new Date().toISOString();
+      saveBulkJobs();
+    }
+  } catch (error) {
+    console.error(`Error running bulk job ${bulkJob.id}:`, error);
+  } finally {
+    running.delete(bulkJob.id);
+  }
+}
+
+// Create a bulk job from rows like { number, name, order } and start it
+function createBulkJob({ sessionId, rows, template, minDelayMs, maxDelayMs }) {
+  validateBulk(rows, template);
+
+  const min = minDelayMs === undefined ? DEFAULT_MIN_DELAY_MS : minDelayMs;
+  const max =
+    maxDelayMs === undefined ? Math.max(min, DEFAULT_MAX_DELAY_MS) : maxDelayMs;
+  if (!Number.isInteger(min) || !Number.isInteger(max) || min < 0 || max < min) {
+    throw new Error(
+      "minDelayMs and maxDelayMs must be integers with 0 <= minDelayMs <= maxDelayMs"
+    );
+  }
+
+  const bulkJob = {
+    id: crypto.randomUUID(),
+    sessionId,
+    state: RUNNING,
+    template,
+    minDelayMs: min,
+    maxDelayMs: max,
+    recipients: rows.map((row, index) => ({
+      row: index + 1,
+      number: String(row.number),
+      jid: formatJid(String(row.number)),
+      message: renderTemplate(template, row),
+      state: PENDING,
+      jobId: null,
+      messageId: null,
+      error: null,
+      finishedAt: null,
+    })),
+    createdAt: new Date().toISOString(),
+    finishedAt: null,
+  };
+  bulkJobs.push(bulkJob);
+  saveBulkJobs();
+
+  runBulkJob(bulkJob);
+  return bulkJob;
+}
+
+function getBulkJob(id) {
+  return bulkJobs.find((bulkJob) => bulkJob.id === id) || null;
+}
+
+function listBulkJobs(sessionId) {
+  return bulkJobs.filter((bulkJob) => bulkJob.sessionId === sessionId);
+}
+
+// Stop a running bulk job. Recipients already handed to the outbox are
+// still sent; the rest are skipped.
+function cancelBulkJob(id) {
+  const bulkJob = getBulkJob(id);
+  if (!bulkJob || bulkJob.state !== RUNNING) return bulkJob;
+
+  bulkJob.state = CANCELLED;
+  bulkJob.finishedAt = new Date().toISOString();
+  saveBulkJobs();
+  return bulkJob;
+}
+
+// Per-recipient results as CSV
+const RESULT_COLUMNS = [
+  "row",
+  "number",
+  "jid",
+  "state",
+  "messageId",
+  "error",
+  "finishedAt",
+  "message",
+];
+
+function bulkJobToCsv(bulkJob) {
+  return toCsv(bulkJob.recipients, RESULT_COLUMNS);
+}
+
+// Resume bulk jobs that were running when the server stopped
+for (const bulkJob of bulkJobs) {
+  if (bulkJob.state === RUNNING) {
+    setImmediate(() => runBulkJob(bulkJob));
+  }
+}
+
+module.exports = {
+  RUNNING,
+  COMPLETED,
+  CANCELLED,
+  MAX_RECIPIENTS,
+  getPlaceholders,
+  renderTemplate,
+  createBulkJob,
+  getBulkJob,
+  listBulkJobs,
+  cancelBulkJob,
+  toPublicBulkJob,
+  bulkJobToCsv,
+};
@@ -0,0 +1,571 @@
+const path = require("path");
+const fs = require("fs");
+
+// Settings come from defaults, then a config file, then environment
+// variables. The file is CONFIG_FILE, or config.json / config.yaml /
+// config.yml in the project folder when it exists. Invalid values stop the
+// server at startup instead of being silently replaced by defaults.
+const rootDir = path.join(__dirname, "..");
+const CONFIG_FILE_NAMES = ["config.json", "config.yaml", "config.yml"];
+
+// Replaces secrets in GET /admin/config
+const REDACTED = "********";
+
+const ORIGIN_PATTERN =
+  /^https?:\/\/(\*\.)?[a-z0-9-]+(\.[a-z0-9-]+)*(:\d{1,5})?$/;
+
+// Every setting: its key in the config file, the environment variable that
+// overrides it, its type and default. "list" values are comma separated in
+// environment variables. secret settings are redacted in GET /admin/config;
+// secretPath ones are URLs shown only up to their origin.
+const SETTINGS = [
+  {
+    key: "port",
+    env: "PORT",
+    type: "integer",
+    default: 5000,
+    min: 1,
+    max: 65535,
+  },
+
+  // Browsers may call the API from these origins. "https://*.example.com"
+  // allows every subdomain, "*" allows any origin.
+  {
+    key: "cors.origins",
+    env: "CORS_ORIGINS",
+    type: "list",
+    default: [
+      "https://namia.online",
+      "https://*.namia.online",
+      "http://namia.online",
+      "http://www.namia.online",
+      "https://irandra.my.id",
+      "https://*.irandra.my.id",
+      "http://irandra.my.id",
+    ],
+    normalize: (origin) => origin.toLowerCase().replace(/\/$/, ""),
+    check: (origin) =>
+      origin === "*" || ORIGIN_PATTERN.test(origin)
+        ? null
+        : "must be an origin like https://example.com",
+  },
+  {
+    key: "cors.allowLocalhost",
+    env: "CORS_ALLOW_LOCALHOST",
+    type: "boolean",
+    default: true,
+  },
+
+  // "key:scope|scope" entries, see lib/apiKeys.js
+  { key: "apiKeys", env: "API_KEYS", type: "list", default: [], secret: true },
+  // Lets POST /admin/api-keys create the first key from another machine
+  // (X-Bootstrap-Token header). Without it, only localhost can.
+  {
+    key: "bootstrapToken",
+    env: "API_BOOTSTRAP_TOKEN",
+    type: "string",
+    default: "",
+    secret: true,
+  },
+
+  {
+    key: "uploads.maxFileSizeMb",
+    env: "MAX_FILE_SIZE_MB",
+    type: "integer",
+    default: 10,
+    min: 1,
+    max: 2048,
+  },
+  // File extensions accepted for media (see FILE_TYPES in lib/media.js)
+  {
+    key: "uploads.allowedExtensions",
+    env: "UPLOAD_ALLOWED_EXTENSIONS",
+    type: "list",
+    default: [
+      ".jpg",
+      ".jpeg",
+      ".png",
+      ".gif",
+      ".webp",
+      ".pdf",
+      ".doc",
+      ".docx",
+      ".mp4",
+      ".mp3",
+      ".ogg",
+    ],
+    normalize: (ext) => (ext.startsWith(".") ? ext : "." + ext).toLowerCase(),
+    check: (ext) =>
+      /^\.[a-z0-9]+$/.test(ext) ? null : "must be a file extension like .pdf",
+  },
+  // Hosts mediaUrl may download from although they're on this machine or a
+  // private network (see lib/remoteMedia.js), e.g. "files.internal"
+  {
+    key: "uploads.urlAllowedHosts",
+    env: "MEDIA_URL_ALLOWED_HOSTS",
+    type: "list",
+    default: [],
+    normalize: (host) => host.toLowerCase(),
+  },
+
+  // Reconnecting after the connection drops: the first retry waits about
+  // reconnectDelayMs, every next one twice as long up to reconnectMaxDelayMs.
+  // After reconnectMaxAttempts failures in a row the session gives up until
+  // /connect is called (0 keeps trying).
+  {
+    key: "whatsapp.reconnectDelayMs",
+    env: "RECONNECT_DELAY_MS",
+    type: "integer",
+    default: 5000,
+    min: 0,
+  },
+  {
+    key: "whatsapp.reconnectMaxDelayMs",
+    env: "RECONNECT_MAX_DELAY_MS",
+    type: "integer",
+    default: 5 * 60 * 1000,
+    min: 0,
+  },
+  {
+    key: "whatsapp.reconnectMaxAttempts",
+    env: "RECONNECT_MAX_ATTEMPTS",
+    type: "integer",
+    default: 10,
+    min: 0,
+  },
+  // Errors WhatsApp didn't give a known reason for (a broken auth state,
+  // a bug) rarely go away by retrying, so they get fewer attempts, even
+  // when reconnectMaxAttempts is 0
+  {
+    key: "whatsapp.unknownErrorMaxAttempts",
+    env: "RECONNECT_UNKNOWN_ERROR_MAX_ATTEMPTS",
+    type: "integer",
+    default: 3,
+    min: 1,
+  },
+  // How the linked device shows up in WhatsApp: [name, browser, version]
+  {
+    key: "whatsapp.browser",
+    env: "WA_BROWSER",
+    type: "list",
+    length: 3,
+    default: ["Chrome (Linux)", "", ""],
+  },
+
+  {
+    key: "auth.store",
+    env: "AUTH_STORE",
+    type: "enum",
+    values: ["file", "sqlite"],
+    default: "file",
+  },
+  {
+    key: "auth.dir",
+    env: "AUTH_DIR",
+    type: "path",
+    default: path.join(rootDir, "auth_info"),
+  },
+  {
+    key: "auth.sessionsDir",
+    env: "AUTH_SESSIONS_DIR",
+    type: "path",
+    default: path.join(rootDir, "auth_sessions"),
+  },
+  {
+    key: "auth.sqlitePath",
+    env: "AUTH_SQLITE_PATH",
+    type: "path",
+    default: path.join(rootDir, "data", "auth.sqlite"),
+  },
+
+  {
+    key: "phone.defaultCountryCode",
+    env: "DEFAULT_COUNTRY_CODE",
+    type: "string",
+    default: "62",
+    normalize: (code) => code.replace(/\D/g, ""),
+    check: (code) =>
+      /^\d{1,3}$/.test(code) ? null : "must be a country code like 62",
+  },
+
+  {
+    key: "webhooks.urls",
+    env: "WEBHOOK_URLS",
+    type: "list",
+    default: [],
+    secretPath: true,
+    check: (url) =>
+      /^https?:\/\/\S+$/.test(url) ? null : "must be an http(s) URL",
+  },
+  {
+    key: "webhooks.secret",
+    env: "WEBHOOK_SECRET",
+    type: "string",
+    default: "",
+    secret: true,
+  },
+  {
+    key: "webhooks.events",
+    env: "WEBHOOK_EVENTS",
+    type: "list",
+    default: ["*"],
+  },
+  {
+    key: "webhooks.maxAttempts",
+    env: "WEBHOOK_MAX_ATTEMPTS",
+    type: "integer",
+    default: 5,
+    min: 1,
+  },
+  {
+    key: "webhooks.retryDelayMs",
+    env: "WEBHOOK_RETRY_DELAY_MS",
+    type: "integer",
+    default: 1000,
+    min: 0,
+  },
+
+  // Told when a session is logged out and has to be linked again
+  {
+    key: "alerts.webhookUrl",
+    env: "ALERT_WEBHOOK_URL",
+    type: "string",
+    default: "",
+    secretPath: true,
+    check: (url) =>
+      !url || /^https?:\/\/\S+$/.test(url) ? null : "must be an http(s) URL",
+  },
+  {
+    key: "alerts.webhookSecret",
+    env: "ALERT_WEBHOOK_SECRET",
+    type: "string",
+    default: "",
+    secret: true,
+  },
+
+  {
+    key: "outbox.globalPerMinute",
+    env: "OUTBOX_GLOBAL_PER_MINUTE",
+    type: "integer",
+    default: 20,
+    min: 1,
+  },
+  {
+    key: "outbox.recipientPerMinute",
+    env: "OUTBOX_RECIPIENT_PER_MINUTE",
+    type: "integer",
+    default: 5,
+    min: 1,
+  },
+  {
+    key: "outbox.maxAttempts",
+    env: "OUTBOX_MAX_ATTEMPTS",
+    type: "integer",
+    default: 3,
+    min: 1,
+  },
+
+  {
+    key: "media.dir",
+    env: "MEDIA_DIR",
+    type: "path",
+    default: path.join(rootDir, "media"),
+  },
+  {
+    key: "media.downloadTypes",
+    env: "MEDIA_DOWNLOAD_TYPES",
+    type: "list",
+    default: ["image", "video", "audio", "document"],
+  },
+  {
+    key: "media.maxDownloadSizeMb",
+    env: "MEDIA_MAX_DOWNLOAD_SIZE_MB",
+    type: "integer",
+    default: 64,
+    min: 1,
+  },
+  // 0 keeps files forever
+  {
+    key: "media.retentionDays",
+    env: "MEDIA_RETENTION_DAYS",
+    type: "integer",
+    default: 30,
+    min: 0,
+  },
+  // 0 means no limit
+  {
+    key: "media.maxTotalSizeMb",
+    env: "MEDIA_MAX_TOTAL_SIZE_MB",
+    type: "integer",
+    default: 0,
+    min: 0,
+  },
+
+  {
+    key: "contacts.checkTtlMinutes",
+    env: "CONTACT_CHECK_TTL_MINUTES",
+    type: "integer",
+    default: 24 * 60,
+    min: 0,
+  },
+  // Messages kept per chat in the local store (the newest); 0 keeps all
+  {
+    key: "store.maxMessagesPerChat",
+    env: "STORE_MAX_MESSAGES_PER_CHAT",
+    type: "integer",
+    default: 5000,
+    min: 0,
+  },
+  {
+    key: "sentMessages.ttlDays",
+    env: "SENT_MESSAGE_TTL_DAYS",
+    type: "integer",
+    default: 7,
+    min: 1,
+  },
+  // Responses to requests with an Idempotency-Key are replayed this long
+  {
+    key: "idempotency.ttlMinutes",
+    env: "IDEMPOTENCY_TTL_MINUTES",
+    type: "integer",
+    default: 24 * 60,
+    min: 1,
+  },
+  // Empty for no rules file
+  {
+    key: "autoReplies.rulesFile",
+    env: "AUTO_REPLY_RULES_FILE",
+    type: "path",
+    default: "",
+  },
+];
+
+// Turn an environment variable into the type of a setting
+function parseEnv(setting, raw) {
+  switch (setting.type) {
+    case "integer":
+      return /^-?\d+$/.test(raw.trim()) ? parseInt(raw, 10) : raw;
+    case "boolean":
+      if (/^(true|1|yes)$/i.test(raw.trim())) return true;
+      if (/^(false|0|no)$/i.test(raw.trim())) return false;
+      return raw;
+    case "list": {
+      const items = raw.split(",").map((item) => item.trim());
+      // Fixed-length lists keep their empty entries ("Chrome (Linux),,")
+      return setting.length ? items : items.filter(Boolean);
+    }
+    default:
+      return raw;
+  }
+}
+
+// Check a value and bring it into shape. Returns { value } or { error }.
+function validate(setting, value) {
+  switch (setting.type) {
+    case "integer":
+      if (!Number.isInteger(value)) return { error: "must be a whole number" };
+      if (setting.min !== undefined && value < setting.min) {
+        return { error: `must be at least ${setting.min}` };
+      }
+      if (setting.max !== undefined && value > setting.max) {
+        return { error: `must be at most ${setting.max}` };
+      }
+      return { value };
+
+    case "boolean":
+      return typeof value === "boolean"
+        ? { value }
+        : { error: "must be true or false" };
+
+    case "enum":
+      return setting.values.includes(value)
+        ? { value }
+        : { error: `must be one of: ${setting.values.join(", ")}` };
+
+    case "path":
+      if (typeof value !== "string") return { error: "must be a path" };
+      // Relative paths are relative to the working directory
+      return { value: value && path.resolve(value) };
+
+    case "list": {
+      if (
+        !Array.isArray(value) ||
+        value.some((item) => typeof item !== "string")
+      ) {
+        return { error: "must be a list of strings" };
+      }
+      if (setting.length && value.length !== setting.length) {
+        return { error: `must have exactly ${setting.length} entries` };
+      }
+      const items = setting.normalize ? value.map(setting.normalize) : value;
+      for (const item of items) {
+        const error = setting.check && setting.check(item);
+        if (error) return { error: `"${item}" ${error}` };
+      }
+      return { value: items };
+    }
+
+    default: {
+      if (typeof value !== "string") return { error: "must be a string" };
+      const text = setting.normalize ? setting.normalize(value) : value;
+      const error = setting.check && setting.check(text);
+      return error ? { error } : { value: text };
+    }
+  }
+}
+
+function findConfigFile() {
+  if (process.env.CONFIG_FILE) return path.resolve(process.env.CONFIG_FILE);
+
+  return (
+    CONFIG_FILE_NAMES.map((name) => path.join(rootDir, name)).find((file) =>
+      fs.existsSync(file)
+    ) || null
+  );
+}
+
+function readConfigFile(file) {
+  const text = fs.readFileSync(file, "utf8");
+  if (/\.ya?ml$/i.test(file)) {
+    // Only needed for YAML config files
+    return require("yaml").parse(text);
+  }
+  return JSON.parse(text);
+}
+
+// The settings in a parsed config file, by dotted key. Unknown keys are
+// reported, they're usually typos.
+function flattenFile(object, prefix, values, problems) {
+  for (const [name, value] of Object.entries(object)) {
+    const key = prefix ? `${prefix}.${name}` : name;
+    const isSection =
+      value !== null &&
+      typeof value === "object" &&
+      !Array.isArray(value) &&
+      SETTINGS.some((setting) => setting.key.startsWith(key + "."));
+
+    if (isSection) {
+      flattenFile(value, key, values, problems);
+    } else if (SETTINGS.some((setting) => setting.key === key)) {
+      values[key] = value;
+    } else {
+      problems.push(`${key}: unknown setting`);
+    }
+  }
+}
+
+function loadConfig() {
+  const problems = [];
+  const file = findConfigFile();
+  const fileValues = {};
+
+  if (file) {
+    let parsed;
+    try {
+      parsed = readConfigFile(file);
+    } catch (error) {
+      problems.push(`${file}: ${error.message}`);
+    }
+    if (
+      parsed !== undefined &&
+      (!parsed || typeof parsed !== "object" || Array.isArray(parsed))
+    ) {
+      problems.push(`${file}: must contain an object of settings`);
+    } else if (parsed) {
+      flattenFile(parsed, "", fileValues, problems);
+    }
+  }
+
+  const values = {};
+  const sources = {};
+  for (const setting of SETTINGS) {
+    let value = setting.default;
+    let source = "default";
+    if (Object.hasOwn(fileValues, setting.key)) {
+      value = fileValues[setting.key];
+      source = "file";
+    }
+    // Empty variables count as unset
+    if (process.env[setting.env]) {
+      value = parseEnv(setting, process.env[setting.env]);
+      source = "env";
+    }
+
+    const result = validate(setting, value);
+    if (result.error) {
+      const where = source === "env" ? setting.env : setting.key;
+      problems.push(`${where}: ${result.error}`);
+      continue;
+    }
+    values[setting.key] = result.value;
+    sources[setting.key] = source;
+  }
+
+  if (problems.length > 0) {
+    throw new Error(
+      `Invalid configuration:\n${problems
+        .map((problem) => `  - ${problem}`)
+        .join("\n")}`
+    );
+  }
+
+  return { file, values, sources };
+}
+
+// "a.b": 1 -> { a: { b: 1 } }
+function nest(values) {
+  const result = {};
+  for (const [key, value] of Object.entries(values)) {
+    const parts = key.split(".");
+    let target = result;
+    for (const part of parts.slice(0, -1)) {
+      target = target[part] = target[part] || {};
+    }
+    target[parts[parts.length - 1]] = value;
+  }
+  return result;
+}
+
+const loaded = loadConfig();
+const config = nest(loaded.values);
+
+// Webhook URLs often carry a token in their path or query (Slack and
+// Discord hooks, ?token=), so only the origin is shown
+function redactUrl(url) {
+  if (!url) return url;
+  try {
+    return `${new URL(url).origin}/${REDACTED}`;
+  } catch (error) {
+    return REDACTED;
+  }
+}
+
+// The configuration for GET /admin/config, with secrets replaced and where
+// each setting came from (default, file or env)
+function getPublicConfig() {
+  const values = {};
+  for (const setting of SETTINGS) {
+    const value = loaded.values[setting.key];
+    const isSet = Array.isArray(value) ? value.length > 0 : !!value;
+    if (setting.secret && isSet) {
+      values[setting.key] = REDACTED;
+    } else if (setting.secretPath) {
+      values[setting.key] = Array.isArray(value)
+        ? value.map(redactUrl)
+        : redactUrl(value);
+    } else {
+      values[setting.key] = value;
+    }
+  }
+
+  return {
+    file: loaded.file,
+    config: nest(values),
+    sources: loaded.sources,
+  };
+}
+
+module.exports = {
+  config,
+  getPublicConfig,
+};
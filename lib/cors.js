@@ -0,0 +1,59 @@
+const cors = require("cors");
+const { config } = require("./config");
+
+const LOCALHOST_PATTERN =
+  /^https?:\/\/(localhost|127\.0\.0\.1|\[::1\])(:\d+)?$/;
+const HOSTNAME_PATTERN = /^[a-z0-9-]+(\.[a-z0-9-]+)*$/;
+
+// Whether an origin is one of cors.origins. Origins are compared exactly;
+// only "https://*.example.com" entries match subdomains.
+function matchesOrigin(origin, allowed) {
+  if (allowed === "*") return true;
+
+  const [scheme, wildcardHost] = allowed.split("://*.");
+  if (wildcardHost === undefined) return origin === allowed;
+
+  // https://*.example.com: https://<subdomain>.example.com, same port
+  const prefix = `${scheme}://`;
+  const suffix = `.${wildcardHost}`;
+  if (!origin.startsWith(prefix) || !origin.endsWith(suffix)) return false;
+  const subdomain = origin.slice(prefix.length, -suffix.length);
+  return HOSTNAME_PATTERN.test(subdomain);
+}
+
+function isAllowedOrigin(origin) {
+  const normalized = origin.toLowerCase();
+  if (config.cors.allowLocalhost && LOCALHOST_PATTERN.test(normalized)) {
+    return true;
+  }
+  return config.cors.origins.some((allowed) =>
+    matchesOrigin(normalized, allowed)
+  );
+}
+
+// Pages served by this server (the dashboard) send their own origin too
+function isSameOrigin(req, origin) {
+  try {
+    return new URL(origin).host === req.get("host");
+  } catch (error) {
+    return false;
+  }
+}
+
+const corsMiddleware = cors((req, callback) => {
+  const origin = req.get("origin");
+
+  // Requests without an origin (mobile apps, curl, Postman) aren't from a
+  // browser page, so CORS doesn't apply
+  if (!origin || isSameOrigin(req, origin) || isAllowedOrigin(origin)) {
+    return callback(null, { origin: true, credentials: true });
+  }
+
+  const error = new Error(
+    `Not allowed by CORS - origin ${origin} is not in cors.origins`
+  );
+  error.status = 403;
+  callback(error);
+});
+
+module.exports = { corsMiddleware, isAllowedOrigin };
@@ -0,0 +1,133 @@
+// Minimal 5-field cron expressions: "minute hour day-of-month month day-of-week"
+// Supports *, lists (1,2), ranges (1-5), steps (*/15, 1-30/5) and 0 or 7 for
+// Sunday. Times are evaluated in the server's local timezone.
+
+const FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "day of month", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12 },
+  { name: "day of week", min: 0, max: 7 },
+];
+
+// Don't search further ahead than this for the next match
+const MAX_SEARCH_YEARS = 5;
+
+function parseField(value, { name, min, max }) {
+  const allowed = new Set();
+
+  for (const part of value.split(",")) {
+    const match = part.match(/^(\*|\d+(?:-\d+)?)(?:\/(\d+))?$/);
+    if (!match) {
+      throw new Error(`Invalid ${name} "${part}"`);
+    }
+
+    let start = min;
+    let end = max;
+    if (match[1] !== "*") {
+      const [from, to] = match[1].split("-").map(Number);
+      start = from;
+      end = to === undefined ? (match[2] ? max : from) : to;
+    }
+    const step = match[2] ? Number(match[2]) : 1;
+
+    if (start < min || end > max || start > end || step < 1) {
+      throw new Error(`Invalid ${name} "${part}" (allowed ${min}-${max})`);
+    }
+
+    for (let i = start; i <= end; i += step) {
+      allowed.add(i);
+    }
+  }
+
+  return allowed;
+}
+
+// Parse a cron expression, throwing a descriptive error when it's invalid
+function parseCron(expression) {
+  const parts = String(expression).trim().split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error(
+      "Cron expression must have 5 fields: minute hour day-of-month month day-of-week"
+    );
+  }
+
+  const [minutes, hours, daysOfMonth, months, daysOfWeek] = parts.map(
+    (part, index) => parseField(part, FIELDS[index])
+  );
+
+  // 7 is Sunday as well
+  if (daysOfWeek.has(7)) daysOfWeek.add(0);
+
+  return {
+    minutes,
+    hours,
+    daysOfMonth,
+    months,
+    daysOfWeek,
+    // Standard cron: if both day fields are restricted, either may match
+    anyDayOfMonth: parts[2] === "*",
+    anyDayOfWeek: parts[4] === "*",
+  };
+}
+
+function isValidCron(expression) {
+  try {
+    parseCron(expression);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+function matchesDay(cron, date) {
+  const domMatch = cron.daysOfMonth.has(date.getDate());
+  const dowMatch = cron.daysOfWeek.has(date.getDay());
+
+  if (cron.anyDayOfMonth && cron.anyDayOfWeek) return true;
+  if (cron.anyDayOfMonth) return dowMatch;
+  if (cron.anyDayOfWeek) return domMatch;
+  return domMatch || dowMatch;
+}
+
+// The first time strictly after `after` that matches the expression
+function nextCronDate(expression, after = new Date()) {
+  const cron = parseCron(expression);
+  const date = new Date(after.getTime());
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+
+  const limit = new Date(after.getTime());
+  limit.setFullYear(limit.getFullYear() + MAX_SEARCH_YEARS);
+
+  // Skip ahead by month, day and hour when they don't match
+  while (date < limit) {
+    if (!cron.months.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!matchesDay(cron, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!cron.hours.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0, 0, 0);
+      continue;
+    }
+    if (!cron.minutes.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1, 0, 0);
+      continue;
+    }
+    return date;
+  }
+
+  return null;
+}
+
+module.exports = {
+  parseCron,
+  isValidCron,
+  nextCronDate,
+};
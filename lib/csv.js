@@ -0,0 +1,92 @@
+// Small CSV reader/writer (RFC 4180: quoted fields, "" escapes, CRLF or LF)
+
+// Parse CSV text into an array of rows (arrays of strings)
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+
+  // Strip a UTF-8 BOM, which Excel likes to add
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error("Invalid CSV: unterminated quoted field");
+  }
+
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Ignore blank lines
+  return rows.filter((r) => r.some((value) => value.trim() !== ""));
+}
+
+// Parse CSV with a header row into an array of objects keyed by column name
+function parseCsv(text) {
+  const [header, ...rows] = parseCsvRows(text);
+  if (!header) return [];
+
+  const columns = header.map((column) => column.trim());
+  return rows.map((values) => {
+    const record = {};
+    columns.forEach((column, index) => {
+      record[column] = (values[index] || "").trim();
+    });
+    return record;
+  });
+}
+
+// Spreadsheets run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+function escapeCsvValue(value) {
+  let text = value === null || value === undefined ? "" : String(value);
+  // Values come from API clients, make sure a spreadsheet shows them as text
+  if (FORMULA_PREFIX.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Build CSV text from objects, using the given columns in order
+function toCsv(records, columns) {
+  const lines = [columns.map(escapeCsvValue).join(",")];
+  for (const record of records) {
+    lines.push(columns.map((column) => escapeCsvValue(record[column])).join(","));
+  }
+  return lines.join("\r\n") + "\r\n";
+}
+
+module.exports = {
+  parseCsvRows,
+  parseCsv,
+  toCsv,
+};
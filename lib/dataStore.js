@@ -0,0 +1,96 @@
+const path = require("path");
+const fs = require("fs");
+
+// Small JSON persistence helpers for everything the server needs to keep
+// across restarts (webhooks, queues, schedules, ...). Files live in data/.
+const dataDir = path.join(__dirname, "..", "data");
+
+function ensureDataDir() {
+  if (!fs.existsSync(dataDir)) {
+    fs.mkdirSync(dataDir, { recursive: true });
+  }
+}
+
+function dataPath(name) {
+  return path.join(dataDir, name);
+}
+
+// Read a JSON file from data/, returning the fallback if it doesn't exist
+function readJson(name, fallback) {
+  const file = dataPath(name);
+  if (!fs.existsSync(file)) return fallback;
+
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (error) {
+    console.error(`Error reading ${file}:`, error);
+    return fallback;
+  }
+}
+
+// Make sure the directory of a file in data/ exists (names may include
+// subdirectories, e.g. "store/default/chats.json")
+function ensureParentDir(file) {
+  const dir = path.dirname(file);
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+}
+
+// Write a JSON file to data/ atomically (write to a temp file, then rename)
+function writeJson(name, value) {
+  const file = dataPath(name);
+  ensureParentDir(file);
+  const tmpFile = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmpFile, JSON.stringify(value, null, 2));
+  fs.renameSync(tmpFile, file);
+}
+
+// Append one JSON object per line to a file in data/
+function appendJsonLine(name, value) {
+  const file = dataPath(name);
+  ensureParentDir(file);
+  fs.appendFileSync(file, JSON.stringify(value) + "\n");
+}
+
+// Replace a JSON-lines file in data/ atomically
+function writeJsonLines(name, values) {
+  const file = dataPath(name);
+  ensureParentDir(file);
+  const tmpFile = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(
+    tmpFile,
+    values.map((value) => JSON.stringify(value) + "\n").join("")
+  );
+  fs.renameSync(tmpFile, file);
+}
+
+// Read a JSON-lines file from data/, skipping lines that don't parse
+function readJsonLines(name) {
+  const file = dataPath(name);
+  if (!fs.existsSync(file)) return [];
+
+  return fs
+    .readFileSync(file, "utf8")
+    .split("\n")
+    .filter(Boolean)
+    .map((line) => {
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        return null;
+      }
+    })
+    .filter(Boolean);
+}
+
+module.exports = {
+  dataDir,
+  dataPath,
+  ensureDataDir,
+  readJson,
+  writeJson,
+  appendJsonLine,
+  writeJsonLines,
+  readJsonLines,
+};
@@ -0,0 +1,73 @@
+const { DisconnectReason } = require("@whiskeysockets/baileys");
+const { config } = require("./config");
+
+// What a session does after its connection closed:
+//   "reconnect"  - try again after a backoff delay, up to
+//                  whatsapp.reconnectMaxAttempts times in a row
+//   "restart"    - reconnect right away, WhatsApp asks for this after
+//                  linking a device
+//   "relink"     - the credentials are unusable: delete them and start over
+//                  with a new QR code
+//   "logged-out" - the device was removed from the phone: delete the
+//                  credentials and wait for /connect
+//   "stop"       - another connection took over the session, reconnecting
+//                  would only kick it out again
+const ACTIONS = {
+  [DisconnectReason.restartRequired]: "restart",
+  [DisconnectReason.loggedOut]: "logged-out",
+  [DisconnectReason.badSession]: "relink",
+  [DisconnectReason.multideviceMismatch]: "relink",
+  [DisconnectReason.connectionReplaced]: "stop",
+};
+
+// Name of a DisconnectReason code (connectionLost and timedOut share 408)
+function reasonName(statusCode) {
+  const name = Object.keys(DisconnectReason).find(
+    (key) => DisconnectReason[key] === statusCode
+  );
+  return name || "unknown";
+}
+
+// The status code, reason and action for the error a connection closed with
+function classifyDisconnect(error) {
+  const statusCode = error?.output?.statusCode ?? null;
+
+  return {
+    statusCode,
+    // Errors that aren't from WhatsApp (network, our own code) have no code
+    reason: statusCode === null ? "error" : reasonName(statusCode),
+    message: error?.message || null,
+    action: ACTIONS[statusCode] || "reconnect",
+  };
+}
+
+// Reconnects in a row allowed after a disconnect, or 0 for no limit.
+// Errors without a known reason are capped at
+// whatsapp.unknownErrorMaxAttempts, so a bad auth state that throws a plain
+// Error doesn't reconnect forever.
+function maxReconnectAttempts({ reason }) {
+  const { reconnectMaxAttempts, unknownErrorMaxAttempts } = config.whatsapp;
+  if (reason !== "error" && reason !== "unknown") return reconnectMaxAttempts;
+
+  return reconnectMaxAttempts
+    ? Math.min(reconnectMaxAttempts, unknownErrorMaxAttempts)
+    : unknownErrorMaxAttempts;
+}
+
+// Delay before reconnect attempt number `attempt` (1, 2, ...): doubles from
+// whatsapp.reconnectDelayMs up to whatsapp.reconnectMaxDelayMs. Half of it
+// is random, so sessions that dropped together don't all come back at the
+// same moment.
+function reconnectDelay(attempt) {
+  const delay = Math.min(
+    config.whatsapp.reconnectMaxDelayMs,
+    config.whatsapp.reconnectDelayMs * 2 ** (attempt - 1)
+  );
+  return Math.round(delay / 2 + (Math.random() * delay) / 2);
+}
+
+module.exports = {
+  classifyDisconnect,
+  maxReconnectAttempts,
+  reconnectDelay,
+};
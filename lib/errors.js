@@ -0,0 +1,56 @@
+// Error responses all have the same shape:
+//   { status: "error", code, message, details }
+// code is a stable name clients can branch on ("VALIDATION_FAILED",
+// "NOT_FOUND", ...), details lists what's wrong with the request, or is null.
+
+const CODES = {
+  400: "BAD_REQUEST",
+  401: "UNAUTHORIZED",
+  403: "FORBIDDEN",
+  404: "NOT_FOUND",
+  409: "CONFLICT",
+  413: "PAYLOAD_TOO_LARGE",
+};
+
+function codeForStatus(statusCode) {
+  return (
+    CODES[statusCode] || (statusCode >= 500 ? "INTERNAL_ERROR" : "BAD_REQUEST")
+  );
+}
+
+function sendError(res, statusCode, code, message, details = null) {
+  return res.status(statusCode).json({
+    status: "error",
+    code,
+    message,
+    details,
+  });
+}
+
+// Express middleware: routes answer errors with { status: "error",
+// message, ... }; this adds the code (from the status code) and details so
+// they match the shape above. Extra fields like jobId are kept.
+function uniformErrors(req, res, next) {
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (
+      res.statusCode >= 400 &&
+      body &&
+      body.status === "error" &&
+      body.code === undefined
+    ) {
+      const { status, message, ...rest } = body;
+      body = {
+        status,
+        code: codeForStatus(res.statusCode),
+        message,
+        details: null,
+        ...rest,
+      };
+    }
+    return json(body);
+  };
+  next();
+}
+
+module.exports = { codeForStatus, sendError, uniformErrors };
@@ -0,0 +1,36 @@
+const { EventEmitter } = require("events");
+
+// Application-wide event bus. Sessions publish what happens on their Baileys
+// socket here so other parts of the server (webhooks, ...) can react without
+// being wired into initializeWhatsApp.
+//
+// Events:
+//   "message"    - { sessionId, message, raw } for every incoming message
+//   "connection" - { sessionId, connection, statusCode } on every connection
+//                  state change ("connecting", "open" or "close"). Closes
+//                  also carry the DisconnectReason name as reason and what
+//                  the session does about it as action (lib/disconnects.js).
+//   "logged-out" - { sessionId, reason, statusCode, user, at } when a
+//                  session's credentials were deleted because WhatsApp
+//                  logged it out or no longer accepts them
+//   "qr"         - { sessionId, qr } when a new QR code is generated
+//   "pairing-code" - { sessionId, phoneNumber, code } when linking with a
+//                  phone number; code is null and error set when it failed
+//   "receipt"    - { sessionId, messageId, chat, status, participant } when
+//                  the status of a sent message changes (delivered, read,
+//                  ...). participant is set for receipts of one group member.
+//   "sent"       - { sessionId, jobId, messageId, chat, raw } when the outbox
+//                  has handed a message to WhatsApp. jobId is null for
+//                  forwarded messages, which skip the outbox.
+//   "history"    - { sessionId, messages } for messages that aren't new:
+//                  history synced from the phone and our own sent messages
+//   "chats"      - { sessionId, chats } with Baileys chat or group metadata
+//                  objects when chats are added or change
+//   "contacts"   - { sessionId, contacts } with Baileys contact objects
+//   "session-removed" - { sessionId, deletedAuth } when a session is stopped
+//                  or deleted through the API
+const bus = new EventEmitter();
+// Every open /events stream adds listeners
+bus.setMaxListeners(0);
+
+module.exports = bus;
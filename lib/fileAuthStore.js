@@ -0,0 +1,103 @@
+const path = require("path");
+const fs = require("fs");
+const { useMultiFileAuthState } = require("@whiskeysockets/baileys");
+const { config } = require("./config");
+
+// Auth state as Baileys' own multi-file format: one JSON file per key.
+// The default session keeps the original auth_info folder (auth.dir) so
+// existing deployments don't have to scan the QR code again. Named sessions
+// get their own folder under auth_sessions/ (auth.sessionsDir).
+const DEFAULT_SESSION_ID = "default";
+const defaultAuthDir = config.auth.dir;
+const sessionsDir = config.auth.sessionsDir;
+
+function getAuthDir(sessionId) {
+  return sessionId === DEFAULT_SESSION_ID
+    ? defaultAuthDir
+    : path.join(sessionsDir, sessionId);
+}
+
+async function load(sessionId) {
+  const authDir = getAuthDir(sessionId);
+  const isNew = !fs.existsSync(authDir);
+  const { state, saveCreds } = await useMultiFileAuthState(authDir);
+  if (!isNew) return { state, saveCreds };
+
+  // useMultiFileAuthState creates the folder right away. It's only wanted
+  // once there is something to save, so a session that never links doesn't
+  // leave a folder behind (and isn't restored on the next start).
+  fs.rmSync(authDir, { recursive: true, force: true });
+  const ensureAuthDir = () => fs.mkdirSync(authDir, { recursive: true });
+
+  return {
+    state: {
+      creds: state.creds,
+      keys: {
+        get: state.keys.get,
+        set: async (data) => {
+          ensureAuthDir();
+          return state.keys.set(data);
+        },
+      },
+    },
+    saveCreds: async () => {
+      ensureAuthDir();
+      return saveCreds();
+    },
+  };
+}
+
+function clear(sessionId) {
+  const authDir = getAuthDir(sessionId);
+  if (fs.existsSync(authDir)) {
+    fs.rmSync(authDir, { recursive: true, force: true });
+  }
+}
+
+// Named sessions with saved credentials
+function listSessionIds() {
+  if (!fs.existsSync(sessionsDir)) return [];
+
+  return fs
+    .readdirSync(sessionsDir, { withFileTypes: true })
+    .filter(
+      (entry) =>
+        entry.isDirectory() &&
+        fs.existsSync(path.join(sessionsDir, entry.name, "creds.json"))
+    )
+    .map((entry) => entry.name);
+}
+
+function exportEntries(sessionId) {
+  const authDir = getAuthDir(sessionId);
+  if (!fs.existsSync(path.join(authDir, "creds.json"))) return null;
+
+  const entries = {};
+  for (const file of fs.readdirSync(authDir)) {
+    if (!file.endsWith(".json")) continue;
+    entries[file.slice(0, -".json".length)] = JSON.parse(
+      fs.readFileSync(path.join(authDir, file), "utf8")
+    );
+  }
+  return entries;
+}
+
+// Replace the stored state. Entry names have been checked to be plain file
+// names (see authStore).
+function importEntries(sessionId, entries) {
+  clear(sessionId);
+
+  const authDir = getAuthDir(sessionId);
+  fs.mkdirSync(authDir, { recursive: true });
+  for (const [name, value] of Object.entries(entries)) {
+    fs.writeFileSync(path.join(authDir, `${name}.json`), JSON.stringify(value));
+  }
+}
+
+module.exports = {
+  load,
+  clear,
+  listSessionIds,
+  exportEntries,
+  importEntries,
+};
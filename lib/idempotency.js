@@ -0,0 +1,156 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const { readJson, writeJson } = require("./dataStore");
+const { config } = require("./config");
+const { sendError } = require("./errors");
+const { removeUpload } = require("./upload");
+
+const IDEMPOTENCY_FILE = "idempotency.json";
+
+// How long a response is replayed for requests with the same key
+const RESPONSE_TTL_MS = config.idempotency.ttlMinutes * 60 * 1000;
+
+const SAVE_DELAY_MS = 1000;
+
+// Responses by "<API key id>/<Idempotency-Key>":
+// { fingerprint, statusCode, body, createdAt }
+let responses = readJson(IDEMPOTENCY_FILE, {});
+let saveTimer = null;
+
+// Requests still being handled, by the same key: { fingerprint, done },
+// where done resolves once they've responded. That's also after the client
+// gave up waiting or disconnected (a timeout is what makes it retry), as the
+// send may still go through.
+const inFlight = new Map();
+
+function isExpired(stored) {
+  return new Date(stored.createdAt).getTime() <= Date.now() - RESPONSE_TTL_MS;
+}
+
+function saveResponses() {
+  if (saveTimer) return;
+
+  saveTimer = setTimeout(() => {
+    saveTimer = null;
+
+    for (const [id, stored] of Object.entries(responses)) {
+      if (isExpired(stored)) delete responses[id];
+    }
+
+    try {
+      writeJson(IDEMPOTENCY_FILE, responses);
+    } catch (error) {
+      console.error("Error saving idempotent responses:", error);
+    }
+  }, SAVE_DELAY_MS);
+  saveTimer.unref();
+}
+
+function getResponse(id) {
+  const stored = responses[id];
+  if (!stored || isExpired(stored)) return null;
+  return stored;
+}
+
+// What the request asks for, so a key reused for a different request is
+// noticed: the session, route, parameters, body and uploaded file
+function fingerprintRequest(req) {
+  const hash = crypto.createHash("sha256");
+  hash.update(
+    JSON.stringify([
+      req.method,
+      req.waSession ? req.waSession.id : null,
+      req.route ? req.route.path : req.path,
+      req.params,
+      req.query,
+      req.body === undefined ? null : req.body,
+    ])
+  );
+  if (req.file) {
+    hash.update(fs.readFileSync(req.file.path));
+  }
+  return hash.digest("hex");
+}
+
+function replay(req, res, stored) {
+  // The upload of a duplicate isn't needed
+  removeUpload(req.file);
+  res.set("Idempotent-Replayed", "true");
+  res.status(stored.statusCode).json(stored.body);
+}
+
+function rejectReusedKey(req, res) {
+  removeUpload(req.file);
+  sendError(
+    res,
+    422,
+    "IDEMPOTENCY_KEY_REUSED",
+    "This Idempotency-Key was already used for a different request"
+  );
+}
+
+// Express middleware for send endpoints. The successful (2xx) response to a
+// request with an Idempotency-Key header is stored, and requests with the
+// same key get it again instead of sending twice, also while the first one
+// is still being handled. Errors aren't stored, so a request that failed can
+// be fixed and retried with the same key. Keys are per API key. Goes right
+// before the handler.
+function idempotent(req, res, next) {
+  const key = req.get("Idempotency-Key");
+  if (!key) return next();
+
+  const id = `${req.apiKey ? req.apiKey.id : "-"}/${key}`;
+  const fingerprint = fingerprintRequest(req);
+
+  const stored = getResponse(id);
+  if (stored) {
+    if (stored.fingerprint !== fingerprint) return rejectReusedKey(req, res);
+    return replay(req, res, stored);
+  }
+
+  const pending = inFlight.get(id);
+  if (pending) {
+    if (pending.fingerprint !== fingerprint) return rejectReusedKey(req, res);
+    // Start over once the first request is done: it stored its response,
+    // or answered with something other than JSON and this one is handled
+    // too
+    return pending.done.then(() => idempotent(req, res, next));
+  }
+
+  const entry = { fingerprint };
+  let finish;
+  entry.done = new Promise((resolve) => {
+    finish = () => {
+      if (inFlight.get(id) === entry) inFlight.delete(id);
+      resolve();
+    };
+  });
+  inFlight.set(id, entry);
+
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (res.statusCode >= 200 && res.statusCode < 300) {
+      responses[id] = {
+        fingerprint,
+        statusCode: res.statusCode,
+        body,
+        createdAt: new Date().toISOString(),
+      };
+      saveResponses();
+    }
+    finish();
+    return json(body);
+  };
+  // Responses that aren't JSON aren't stored, duplicates are handled again.
+  // This is when the handler ends the response rather than on "finish",
+  // which never comes when the client closed the connection first.
+  const end = res.end.bind(res);
+  res.end = (...args) => {
+    finish();
+    return end(...args);
+  };
+
+  next();
+}
+
+module.exports = { idempotent };
@@ -0,0 +1,201 @@
+const crypto = require("crypto");
+const path = require("path");
+const fs = require("fs");
+const { Transform } = require("stream");
+const { pipeline } = require("stream/promises");
+const pino = require("pino");
+const {
+  downloadMediaMessage,
+  normalizeMessageContent,
+} = require("@whiskeysockets/baileys");
+const { extensionFor } = require("./media");
+const { readJson, writeJson } = require("./dataStore");
+const { config } = require("./config");
+
+const MEDIA_INDEX_FILE = "media.json";
+
+// Media of incoming messages is saved to MEDIA_DIR/<sessionId>/ (default
+// media/, next to uploads/)
+const mediaDir = config.media.dir;
+
+// Which media types are downloaded, e.g. "image,document"
+const downloadTypes = config.media.downloadTypes;
+
+// Larger files are not downloaded
+const maxDownloadSize = config.media.maxDownloadSizeMb * 1024 * 1024;
+
+// Cleanup: files older than MEDIA_RETENTION_DAYS are deleted (0 keeps them
+// forever), and when MEDIA_MAX_TOTAL_SIZE_MB is set the oldest files are
+// deleted until everything fits
+const retentionDays = config.media.retentionDays;
+const maxTotalSize = config.media.maxTotalSizeMb * 1024 * 1024;
+const CLEANUP_INTERVAL_MS = 60 * 60 * 1000;
+
+const logger = pino({ level: "silent" });
+
+// Saved files by "<sessionId>/<messageId>"
+let mediaIndex = readJson(MEDIA_INDEX_FILE, {});
+
+function saveMediaIndex() {
+  try {
+    writeJson(MEDIA_INDEX_FILE, mediaIndex);
+  } catch (error) {
+    console.error("Error saving media index:", error);
+  }
+}
+
+function indexKey(sessionId, messageId) {
+  return `${sessionId}/${messageId}`;
+}
+
+// The metadata added to message payloads
+function toPublicMedia(entry) {
+  return {
+    mimetype: entry.mimetype,
+    filename: entry.filename,
+    size: entry.size,
+    sha256: entry.sha256,
+  };
+}
+
+function getMedia(sessionId, messageId) {
+  return mediaIndex[indexKey(sessionId, messageId)] || null;
+}
+
+function getMediaPath(entry) {
+  return path.join(mediaDir, entry.file);
+}
+
+// Download the media of an incoming message. message is the normalized
+// message; returns its media metadata, or null when it isn't downloaded.
+async function saveIncomingMedia(session, msg, message) {
+  if (!message.mediaType || !downloadTypes.includes(message.mediaType)) {
+    return null;
+  }
+
+  const content = normalizeMessageContent(msg.message);
+  const media = content && content[message.type];
+  if (!media) return null;
+
+  const declaredSize = Number(media.fileLength || 0);
+  if (declaredSize > maxDownloadSize) {
+    console.log(
+      `[${session.id}] Not downloading ${message.mediaType} of message ${message.id}: ${declaredSize} bytes is over the limit`
+    );
+    return null;
+  }
+
+  const mimetype = (media.mimetype || "application/octet-stream")
+    .split(";")[0]
+    .trim();
+  const extension =
+    extensionFor(mimetype) || path.extname(media.fileName || "") || ".bin";
+  const file = path.join(
+    session.id,
+    message.id.replace(/[^\w-]/g, "_") + extension.toLowerCase()
+  );
+  const filePath = path.join(mediaDir, file);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+  const stream = await downloadMediaMessage(
+    msg,
+    "stream",
+    {},
+    { logger, reuploadRequest: session.sock.updateMediaMessage }
+  );
+
+  // Hash and count while writing, so the file is only read once
+  const hash = crypto.createHash("sha256");
+  let size = 0;
+  const measure = new Transform({
+    transform(chunk, encoding, callback) {
+      hash.update(chunk);
+      size += chunk.length;
+      if (size > maxDownloadSize) {
+        callback(new Error("Media is larger than MEDIA_MAX_DOWNLOAD_SIZE_MB"));
+      } else {
+        callback(null, chunk);
+      }
+    },
+  });
+
+  try {
+    await pipeline(stream, measure, fs.createWriteStream(filePath));
+  } catch (error) {
+    fs.rmSync(filePath, { force: true });
+    throw error;
+  }
+
+  const entry = {
+    sessionId: session.id,
+    messageId: message.id,
+    chat: message.chat,
+    file,
+    mimetype,
+    filename: media.fileName || null,
+    size,
+    sha256: hash.digest("hex"),
+    createdAt: new Date().toISOString(),
+  };
+  mediaIndex[indexKey(session.id, message.id)] = entry;
+  saveMediaIndex();
+
+  return toPublicMedia(entry);
+}
+
+function removeMedia(key) {
+  const entry = mediaIndex[key];
+  try {
+    fs.rmSync(getMediaPath(entry), { force: true });
+  } catch (error) {
+    console.error(`Error deleting media file ${entry.file}:`, error);
+  }
+  delete mediaIndex[key];
+}
+
+// Apply the retention rules
+function cleanupMedia() {
+  const entries = Object.entries(mediaIndex).sort(([, a], [, b]) =>
+    a.createdAt.localeCompare(b.createdAt)
+  );
+  let removed = 0;
+
+  if (retentionDays > 0) {
+    const cutoff = new Date(
+      Date.now() - retentionDays * 24 * 60 * 60 * 1000
+    ).toISOString();
+    for (const [key, entry] of entries) {
+      if (entry.createdAt < cutoff) {
+        removeMedia(key);
+        removed++;
+      }
+    }
+  }
+
+  if (maxTotalSize > 0) {
+    const remaining = entries.filter(([key]) => mediaIndex[key]);
+    let total = remaining.reduce((sum, [, entry]) => sum + entry.size, 0);
+    for (const [key, entry] of remaining) {
+      if (total <= maxTotalSize) break;
+      total -= entry.size;
+      removeMedia(key);
+      removed++;
+    }
+  }
+
+  if (removed > 0) {
+    console.log(`Deleted ${removed} old media file(s)`);
+    saveMediaIndex();
+  }
+}
+
+setInterval(cleanupMedia, CLEANUP_INTERVAL_MS).unref();
+setImmediate(cleanupMedia);
+
+module.exports = {
+  mediaDir,
+  saveIncomingMedia,
+  getMedia,
+  getMediaPath,
+  toPublicMedia,
+};
@@ -0,0 +1,197 @@
+const path = require("path");
+const { config } = require("./config");
+
+// Largest file we send, for uploads as well as media by URL or base64
+const MAX_FILE_SIZE = config.uploads.maxFileSizeMb * 1024 * 1024;
+const MAX_FILE_SIZE_LABEL = `${config.uploads.maxFileSizeMb}MB`;
+
+// File extensions we know, with the mimetypes clients may send for them
+const FILE_TYPES = {
+  ".jpg": ["image/jpeg"],
+  ".jpeg": ["image/jpeg"],
+  ".png": ["image/png"],
+  ".gif": ["image/gif"],
+  ".webp": ["image/webp"],
+  ".pdf": ["application/pdf"],
+  ".doc": ["application/msword"],
+  ".docx": [
+    "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+  ],
+  ".mp4": ["video/mp4"],
+  ".mp3": ["audio/mpeg", "audio/mp3"],
+  ".ogg": ["audio/ogg", "application/ogg", "audio/opus"],
+};
+
+// The ones uploads.allowedExtensions accepts
+const unknownExtensions = config.uploads.allowedExtensions.filter(
+  (ext) => !Object.hasOwn(FILE_TYPES, ext)
+);
+if (unknownExtensions.length > 0) {
+  throw new Error(
+    `Invalid configuration: uploads.allowedExtensions has unsupported file types ${unknownExtensions.join(
+      ", "
+    )} (supported: ${Object.keys(FILE_TYPES).join(", ")})`
+  );
+}
+const ALLOWED_TYPES = Object.fromEntries(
+  config.uploads.allowedExtensions.map((ext) => [ext, FILE_TYPES[ext]])
+);
+
+// How a file can be sent
+const MEDIA_SEND_TYPES = ["image", "video", "audio", "voice", "document", "sticker"];
+
+// Push-to-talk voice notes must be Opus in an Ogg container; WhatsApp
+// can't play anything else as a voice note
+const VOICE_MIMETYPES = ["audio/ogg", "application/ogg", "audio/opus"];
+
+// Types where WhatsApp shows a caption
+const CAPTION_TYPES = ["image", "video", "document"];
+
+// The mimetype to use for an upload. Browsers sometimes send
+// application/octet-stream, in which case the extension decides.
+function resolveMimetype(filename, mimetype) {
+  const allowed = ALLOWED_TYPES[path.extname(filename || "").toLowerCase()];
+  if (!allowed) return null;
+
+  const clean = (mimetype || "").split(";")[0].trim().toLowerCase();
+  if (allowed.includes(clean)) return clean;
+  if (!clean || clean === "application/octet-stream") return allowed[0];
+  return null;
+}
+
+// Preferred extension for each accepted mimetype
+function extensionFor(mimetype) {
+  const ext = Object.keys(FILE_TYPES).find((key) =>
+    FILE_TYPES[key].includes(mimetype)
+  );
+  return ext === ".jpeg" ? ".jpg" : ext || null;
+}
+
+// Detect the mimetype of a file from its first bytes
+function sniffMimetype(buffer) {
+  const startsWith = (bytes, offset = 0) =>
+    bytes.every((byte, index) => buffer[offset + index] === byte);
+  const ascii = (start, end) => buffer.toString("ascii", start, end);
+
+  if (startsWith([0xff, 0xd8, 0xff])) return "image/jpeg";
+  if (startsWith([0x89, 0x50, 0x4e, 0x47])) return "image/png";
+  if (ascii(0, 4) === "GIF8") return "image/gif";
+  if (ascii(0, 4) === "RIFF" && ascii(8, 12) === "WEBP") return "image/webp";
+  if (ascii(0, 5) === "%PDF-") return "application/pdf";
+  if (ascii(4, 8) === "ftyp") return "video/mp4";
+  if (ascii(0, 3) === "ID3" || startsWith([0xff, 0xfb])) return "audio/mpeg";
+  if (ascii(0, 4) === "OggS") return "audio/ogg";
+  if (startsWith([0xd0, 0xcf, 0x11, 0xe0])) return "application/msword";
+  // docx files are zip archives
+  if (startsWith([0x50, 0x4b, 0x03, 0x04])) {
+    return "application/vnd.openxmlformats-officedocument.wordprocessingml.document";
+  }
+  return null;
+}
+
+// Pick how to send a file when the client didn't say. webp files are sent
+// as images; stickers only when asked for with type "sticker".
+function detectMediaType(mimetype) {
+  if (mimetype.startsWith("image/")) return "image";
+  if (mimetype.startsWith("video/")) return "video";
+  if (mimetype.startsWith("audio/") || mimetype === "application/ogg") {
+    return "audio";
+  }
+  return "document";
+}
+
+// Mimetypes each send type works with
+function isCompatible(type, mimetype) {
+  switch (type) {
+    case "image":
+      return mimetype.startsWith("image/");
+    case "video":
+      return mimetype.startsWith("video/");
+    case "audio":
+      return mimetype.startsWith("audio/") || mimetype === "application/ogg";
+    case "voice":
+      return VOICE_MIMETYPES.includes(mimetype);
+    case "sticker":
+      return mimetype === "image/webp";
+    default:
+      return true; // Anything can be sent as a document
+  }
+}
+
+// Validate an uploaded file against the requested send type and caption.
+// Returns the media descriptor kept with outbox jobs ({ path, mimetype,
+// filename, type }), or throws an error whose message suits a 400 response.
+function describeUpload(file, requestedType, caption) {
+  const mimetype = resolveMimetype(file.originalname, file.mimetype);
+  if (!mimetype) {
+    throw new Error(
+      "Invalid file type. Only images, PDFs, documents, and media files are allowed."
+    );
+  }
+
+  const type = requestedType || detectMediaType(mimetype);
+  if (!MEDIA_SEND_TYPES.includes(type)) {
+    throw new Error(`type must be one of: ${MEDIA_SEND_TYPES.join(", ")}`);
+  }
+
+  if (!isCompatible(type, mimetype)) {
+    throw new Error(
+      type === "voice"
+        ? `Voice notes must be Ogg/Opus audio. Send a ${mimetype} file as audio instead.`
+        : `A ${mimetype} file can't be sent as ${type}`
+    );
+  }
+
+  if (caption && !CAPTION_TYPES.includes(type)) {
+    throw new Error(
+      `WhatsApp doesn't support captions on ${type} messages. Send the text as a separate message.`
+    );
+  }
+
+  return {
+    path: file.path,
+    mimetype,
+    filename: file.originalname,
+    type,
+  };
+}
+
+// Build the Baileys message content for a media file
+function buildMediaContent({ buffer, type, mimetype, filename, caption }) {
+  switch (type) {
+    case "image":
+      return { image: buffer, caption: caption || "", mimetype };
+    case "video":
+      return { video: buffer, caption: caption || "", mimetype };
+    case "audio":
+      return { audio: buffer, mimetype };
+    case "voice":
+      // Only Ogg/Opus files get here (see VOICE_MIMETYPES)
+      return { audio: buffer, mimetype: "audio/ogg; codecs=opus", ptt: true };
+    case "sticker":
+      return { sticker: buffer };
+    case "document":
+      return {
+        document: buffer,
+        mimetype,
+        fileName: filename || "document",
+        caption: caption || undefined,
+      };
+    default:
+      throw new Error(`Unsupported media type "${type}"`);
+  }
+}
+
+module.exports = {
+  MAX_FILE_SIZE,
+  MAX_FILE_SIZE_LABEL,
+  FILE_TYPES,
+  MEDIA_SEND_TYPES,
+  CAPTION_TYPES,
+  resolveMimetype,
+  extensionFor,
+  sniffMimetype,
+  detectMediaType,
+  describeUpload,
+  buildMediaContent,
+};
@@ -0,0 +1,113 @@
+const {
+  getContentType,
+  normalizeMessageContent,
+} = require("@whiskeysockets/baileys");
+const { normalizePhoneNumber } = require("./phone");
+
+// Message types we report as media, mapped to a short name
+const MEDIA_TYPES = {
+  imageMessage: "image",
+  videoMessage: "video",
+  audioMessage: "audio",
+  documentMessage: "document",
+  documentWithCaptionMessage: "document",
+  stickerMessage: "sticker",
+};
+
+// Names for proto.WebMessageInfo.Status values, used for receipts
+const MESSAGE_STATUSES = {
+  0: "error",
+  1: "pending",
+  2: "server_ack",
+  3: "delivered",
+  4: "read",
+  5: "played",
+};
+
+// Extract the text (or caption) from a message's content
+function getMessageText(content) {
+  if (!content) return null;
+
+  return (
+    content.conversation ||
+    content.extendedTextMessage?.text ||
+    content.imageMessage?.caption ||
+    content.videoMessage?.caption ||
+    content.documentMessage?.caption ||
+    null
+  );
+}
+
+// Convert a Baileys message timestamp (number or Long) to an ISO string
+function toIsoTimestamp(timestamp) {
+  if (!timestamp) return null;
+  const seconds = typeof timestamp === "number" ? timestamp : Number(timestamp);
+  return new Date(seconds * 1000).toISOString();
+}
+
+// Format a phone number or group ID as a WhatsApp JID. Phone numbers are
+// normalized first (see phone.js), which throws a 400 error for invalid ones.
+function formatJid(number) {
+  const value = String(number).trim();
+
+  if (value.includes("@")) {
+    const [user, server] = value.split("@");
+    // Group chats and other JIDs (e.g. @lid) are used as they are
+    if (server !== "s.whatsapp.net") return value;
+    // Drop a device suffix like "628123:12@s.whatsapp.net"
+    return `${normalizePhoneNumber(user.split(":")[0])}@s.whatsapp.net`;
+  }
+
+  // Individual contact - normalize number and add @s.whatsapp.net
+  return `${normalizePhoneNumber(value)}@s.whatsapp.net`;
+}
+
+// Turn a raw Baileys WAMessage into the JSON shape we expose to API clients
+function normalizeMessage(msg) {
+  // Unwrap ephemeral / view-once wrappers
+  const content = normalizeMessageContent(msg.message);
+  const type = getContentType(content) || null;
+  const contextInfo = type ? content[type]?.contextInfo : null;
+
+  const chat = msg.key.remoteJid;
+  const isGroup = chat ? chat.endsWith("@g.us") : false;
+
+  let quoted = null;
+  if (contextInfo?.quotedMessage) {
+    quoted = {
+      id: contextInfo.stanzaId || null,
+      sender: contextInfo.participant || null,
+      text: getMessageText(normalizeMessageContent(contextInfo.quotedMessage)),
+    };
+  }
+
+  // In groups the sender is the participant, in private chats the chat itself
+  let sender = null;
+  if (!msg.key.fromMe) {
+    sender = isGroup ? msg.key.participant || null : chat;
+  }
+
+  return {
+    id: msg.key.id,
+    chat,
+    sender,
+    fromMe: !!msg.key.fromMe,
+    isGroup,
+    pushName: msg.pushName || null,
+    type,
+    text: getMessageText(content),
+    mediaType: MEDIA_TYPES[type] || null,
+    // { mimetype, filename, size, sha256 } once downloaded (see incomingMedia)
+    media: null,
+    timestamp: toIsoTimestamp(msg.messageTimestamp),
+    quoted,
+  };
+}
+
+module.exports = {
+  MEDIA_TYPES,
+  MESSAGE_STATUSES,
+  formatJid,
+  getMessageText,
+  normalizeMessage,
+};
@@ -0,0 +1,158 @@
+const client = require("prom-client");
+
+// Prometheus metrics, served by GET /metrics. Session IDs are a label on
+// everything per session.
+const registry = new client.Registry();
+client.collectDefaultMetrics({ register: registry });
+
+const messagesSent = new client.Counter({
+  name: "whatsapp_messages_sent_total",
+  help: "Messages handed to WhatsApp, by type (text, image, location, forward, edit, ...)",
+  labelNames: ["session", "type"],
+  registers: [registry],
+});
+
+const messagesFailed = new client.Counter({
+  name: "whatsapp_messages_failed_total",
+  help: "sendMessage calls that failed, including attempts the outbox retries",
+  labelNames: ["session", "type"],
+  registers: [registry],
+});
+
+const sendDuration = new client.Histogram({
+  name: "whatsapp_send_duration_seconds",
+  help: "How long sendMessage took",
+  labelNames: ["session", "type", "result"],
+  buckets: [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30],
+  registers: [registry],
+});
+
+const messagesReceived = new client.Counter({
+  name: "whatsapp_messages_received_total",
+  help: "Incoming messages, by type (text, image, ...)",
+  labelNames: ["session", "type"],
+  registers: [registry],
+});
+
+const disconnects = new client.Counter({
+  name: "whatsapp_disconnects_total",
+  help: "Closed connections, by DisconnectReason and what was done about it",
+  labelNames: ["session", "reason", "action"],
+  registers: [registry],
+});
+
+const reconnectAttempts = new client.Counter({
+  name: "whatsapp_reconnect_attempts_total",
+  help: "Reconnects scheduled after a disconnect, by DisconnectReason",
+  labelNames: ["session", "reason"],
+  registers: [registry],
+});
+
+const CONNECTION_STATES = ["connecting", "open", "close"];
+const connectionState = new client.Gauge({
+  name: "whatsapp_connection_state",
+  help: "1 for the current connection state of a session (connecting, open or close), 0 for the others",
+  labelNames: ["session", "state"],
+  registers: [registry],
+});
+
+const webhookDeliveries = new client.Counter({
+  name: "whatsapp_webhook_deliveries_total",
+  help: "Webhook delivery attempts, by event and result (delivered, retry, failed)",
+  labelNames: ["event", "result"],
+  registers: [registry],
+});
+
+const uploadSize = new client.Histogram({
+  name: "whatsapp_upload_size_bytes",
+  help: "Size of media to send, by source (upload, url, base64)",
+  labelNames: ["source"],
+  buckets: [10e3, 100e3, 500e3, 1e6, 5e6, 10e6, 50e6, 100e6],
+  registers: [registry],
+});
+
+const httpRequests = new client.Counter({
+  name: "http_requests_total",
+  help: "HTTP requests, by route and status code",
+  labelNames: ["method", "route", "status"],
+  registers: [registry],
+});
+
+const httpDuration = new client.Histogram({
+  name: "http_request_duration_seconds",
+  help: "How long HTTP requests took",
+  labelNames: ["method", "route"],
+  buckets: [0.01, 0.05, 0.1, 0.5, 1, 2.5, 5, 10, 30],
+  registers: [registry],
+});
+
+// Call sock.sendMessage through send(), timing it and counting the result
+async function trackSend(sessionId, type, send) {
+  const labels = { session: sessionId, type };
+  const endTimer = sendDuration.startTimer(labels);
+  try {
+    const result = await send();
+    endTimer({ result: "sent" });
+    messagesSent.inc(labels);
+    return result;
+  } catch (error) {
+    endTimer({ result: "failed" });
+    messagesFailed.inc(labels);
+    throw error;
+  }
+}
+
+// Count an incoming (normalized) message under a short type: "text",
+// "image", "location", ...
+function countIncoming(sessionId, message) {
+  let type = message.mediaType;
+  if (!type) {
+    type = ["conversation", "extendedTextMessage"].includes(message.type)
+      ? "text"
+      : (message.type || "unknown").replace(/Message$/, "");
+  }
+  messagesReceived.inc({ session: sessionId, type });
+}
+
+function setConnectionState(sessionId, state) {
+  for (const name of CONNECTION_STATES) {
+    connectionState.set(
+      { session: sessionId, state: name },
+      name === state ? 1 : 0
+    );
+  }
+}
+
+// The route pattern a request matched, so IDs don't each get their own
+// series: "/sessions/:sessionId/chats/:jid/messages"
+function routeLabel(req) {
+  if (!req.route) return "unmatched";
+  const base = req.baseUrl.replace(
+    /^\/sessions\/[^/]+/,
+    "/sessions/:sessionId"
+  );
+  return base + (req.route.path === "/" && base ? "" : req.route.path);
+}
+
+// Express middleware counting and timing every request
+function httpMetrics(req, res, next) {
+  const endTimer = httpDuration.startTimer();
+  res.on("finish", () => {
+    const labels = { method: req.method, route: routeLabel(req) };
+    endTimer(labels);
+    httpRequests.inc({ ...labels, status: res.statusCode });
+  });
+  next();
+}
+
+module.exports = {
+  registry,
+  disconnects,
+  reconnectAttempts,
+  webhookDeliveries,
+  uploadSize,
+  trackSend,
+  countIncoming,
+  setConnectionState,
+  httpMetrics,
+};
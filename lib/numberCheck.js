@@ -0,0 +1,97 @@
+const { formatJid } = require("./messages");
+const { config } = require("./config");
+
+// How long a lookup is cached, in minutes (both "on WhatsApp" and "not on
+// WhatsApp" answers)
+const cacheTtlMs = config.contacts.checkTtlMinutes * 60 * 1000;
+
+// Numbers per onWhatsApp query
+const BATCH_SIZE = 50;
+
+// Most lookups kept in the cache, the oldest are dropped first
+const MAX_CACHE_SIZE = 50000;
+
+// Cached lookups by "<sessionId>:<phone digits>", oldest first
+const cache = new Map();
+
+function digitsOf(jid) {
+  return jid.split("@")[0].split(":")[0].replace(/\D/g, "");
+}
+
+// Only phone number JIDs can be looked up, not groups, LIDs, ...
+function isPhoneJid(jid) {
+  return jid.endsWith("@s.whatsapp.net");
+}
+
+function setCached(key, result, expiresAt) {
+  cache.delete(key);
+  cache.set(key, { result, expiresAt });
+
+  while (cache.size > MAX_CACHE_SIZE) {
+    cache.delete(cache.keys().next().value);
+  }
+}
+
+function getCached(key) {
+  const entry = cache.get(key);
+  if (!entry) return null;
+  if (entry.expiresAt <= Date.now()) {
+    cache.delete(key);
+    return null;
+  }
+  return entry.result;
+}
+
+// Check which numbers have a WhatsApp account. Returns one result per
+// number, in order: { number, exists, jid } where jid is the JID WhatsApp
+// knows the number by (null when it doesn't exist). The session must be
+// connected. Numbers that aren't phone numbers (see isPhoneJid) are never
+// on WhatsApp as far as this is concerned.
+async function checkNumbers(session, numbers) {
+  const lookups = numbers.map((number) => {
+    const jid = formatJid(String(number));
+    const digits = isPhoneJid(jid) ? digitsOf(jid) : null;
+    return { number, digits, key: `${session.id}:${digits}` };
+  });
+
+  const missing = Array.from(
+    new Set(
+      lookups
+        .filter((lookup) => lookup.digits && !getCached(lookup.key))
+        .map((lookup) => lookup.digits)
+    )
+  );
+
+  for (let i = 0; i < missing.length; i += BATCH_SIZE) {
+    const batch = missing.slice(i, i + BATCH_SIZE);
+    const found = await session.sock.onWhatsApp(
+      ...batch.map((digits) => `${digits}@s.whatsapp.net`)
+    );
+
+    // Numbers that don't exist are usually left out of the answer
+    const byDigits = new Map();
+    for (const result of found || []) {
+      if (result.exists) byDigits.set(digitsOf(result.jid), result.jid);
+    }
+
+    const expiresAt = Date.now() + cacheTtlMs;
+    for (const digits of batch) {
+      const jid = byDigits.get(digits) || null;
+      setCached(`${session.id}:${digits}`, { exists: !!jid, jid }, expiresAt);
+    }
+  }
+
+  return lookups.map(({ number, digits, key }) => {
+    const cached = digits ? getCached(key) : null;
+    return {
+      number: String(number),
+      exists: cached ? cached.exists : false,
+      jid: cached ? cached.jid : null,
+    };
+  });
+}
+
+module.exports = {
+  checkNumbers,
+  isPhoneJid,
+};
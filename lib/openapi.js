@@ -0,0 +1,1933 @@
+const { version } = require("../package.json");
+const { SCOPES } = require("./apiKeys");
+const { SESSION_ID_PATTERN } = require("./session");
+const { MEDIA_SEND_TYPES, MAX_FILE_SIZE_LABEL } = require("./media");
+const { MAX_RECIPIENTS } = require("./bulk");
+
+// OpenAPI 3 description of the API, served at /openapi.json and shown at
+// /docs. The request schemas are also what validate() (lib/validation.js)
+// checks requests against, so a route and its operation here change together.
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const response = (name) => ({ $ref: `#/components/responses/${name}` });
+
+const isoDate = { type: "string", format: "date-time" };
+const nullable = (schema) => ({ ...schema, nullable: true });
+
+// Descriptions of patterned fields end up in validation errors ("from must
+// be a time like ..."), so they describe the value
+const time = {
+  type: "string",
+  pattern: "^([01]\\d|2[0-3]):[0-5]\\d$",
+  description: 'a time like "09:00"',
+};
+
+// A phone number the way people write it ("0812...", "+62 812-..."), or a
+// JID. Numbers sent as JSON numbers are accepted too.
+const phoneNumber = {
+  type: "string",
+  minLength: 1,
+  description:
+    'Phone number ("0812 3456 7890", "+62 812-3456-7890", "6281234567890") or a JID ("...@s.whatsapp.net", "...@g.us")',
+  example: "6281234567890",
+};
+
+const phoneNumberList = (maxItems) => ({
+  type: "array",
+  minItems: 1,
+  ...(maxItems && { maxItems }),
+  items: phoneNumber,
+});
+
+// A { status: "success", ...properties } response
+function success(description, properties = {}) {
+  return {
+    description,
+    content: {
+      "application/json": {
+        schema: {
+          type: "object",
+          required: ["status"],
+          properties: {
+            status: { type: "string", enum: ["success"] },
+            ...properties,
+          },
+        },
+      },
+    },
+  };
+}
+
+function error(description) {
+  return {
+    description,
+    content: { "application/json": { schema: ref("Error") } },
+  };
+}
+
+function file(description, mimetype) {
+  return {
+    description,
+    content: { [mimetype]: { schema: { type: "string", format: "binary" } } },
+  };
+}
+
+function jsonBody(schema, { required = true } = {}) {
+  return { required, content: { "application/json": { schema } } };
+}
+
+function pathParam(name, description) {
+  return {
+    name,
+    in: "path",
+    required: true,
+    description,
+    schema: { type: "string", minLength: 1 },
+  };
+}
+
+function queryParam(name, schema, description) {
+  return { name, in: "query", required: false, description, schema };
+}
+
+// Pages and streams opened by the browser also take the key as ?api_key=
+const browserSecurity = [{ apiKey: [] }, { bearer: [] }, { apiKeyQuery: [] }];
+
+// Send endpoints accept an Idempotency-Key (see lib/idempotency.js)
+const idempotencyKeyParam = {
+  name: "Idempotency-Key",
+  in: "header",
+  required: false,
+  description:
+    "Unique key for the request. Retries with the same key get the first successful response again instead of sending twice.",
+  schema: { type: "string", minLength: 1, maxLength: 255 },
+};
+const idempotencyKeyReused = error(
+  "The Idempotency-Key was already used for a different request"
+);
+
+// An operation with the responses every route can give. scope is the API
+// key scope it requires, or null for public endpoints.
+function operation(operationId, scope, { description, responses, ...rest }) {
+  return {
+    operationId,
+    ...rest,
+    description: scope
+      ? `${
+          description ? description + "\n\n" : ""
+        }Requires the \`${scope}\` scope.`
+      : description,
+    ...(scope ? {} : { security: [] }),
+    responses: {
+      400: response("BadRequest"),
+      ...(scope && {
+        401: response("Unauthorized"),
+        403: response("Forbidden"),
+      }),
+      500: response("ServerError"),
+      ...responses,
+    },
+  };
+}
+
+// The same fields as a multipart form, where values are strings and the
+// media is an uploaded file
+const sendMessageFields = {
+  number: phoneNumber,
+  message: {
+    type: "string",
+    description: "Text, or the caption when sending media",
+  },
+  type: {
+    type: "string",
+    enum: MEDIA_SEND_TYPES,
+    description: "How to send the media. Defaults to what the file is.",
+  },
+  replyTo: {
+    type: "string",
+    description: "ID of a message in the chat to reply to",
+  },
+  mediaUrl: {
+    type: "string",
+    description: "Download the media to send from this http(s) URL",
+  },
+  mediaBase64: {
+    type: "string",
+    description: "The media to send, base64 or a data: URL",
+  },
+  mimetype: {
+    type: "string",
+    description: "Mimetype of mediaUrl / mediaBase64 when it can't be detected",
+  },
+  filename: {
+    type: "string",
+    description: "Filename of mediaUrl / mediaBase64 (shown for documents)",
+  },
+};
+
+const uploadField = {
+  file: {
+    type: "string",
+    format: "binary",
+    description: `The media to send, at most ${MAX_FILE_SIZE_LABEL} ("image" works too)`,
+  },
+};
+
+const schemas = {
+  Error: {
+    type: "object",
+    required: ["status", "code", "message"],
+    properties: {
+      status: { type: "string", enum: ["error"] },
+      code: {
+        type: "string",
+        description:
+          "VALIDATION_FAILED, INVALID_JSON, UNAUTHORIZED, FORBIDDEN, NOT_FOUND, CONFLICT, PAYLOAD_TOO_LARGE, IDEMPOTENCY_KEY_REUSED, INTERNAL_ERROR, ...",
+        example: "VALIDATION_FAILED",
+      },
+      message: { type: "string", example: "number is required" },
+      details: nullable({
+        type: "array",
+        description: "What's wrong with the request, one entry per problem",
+        items: {
+          type: "object",
+          properties: {
+            in: { type: "string", enum: ["body", "query", "path", "header"] },
+            field: { type: "string", example: "location.latitude" },
+            message: { type: "string", example: "must be <= 90" },
+          },
+        },
+      }),
+    },
+  },
+
+  Disconnect: {
+    type: "object",
+    properties: {
+      at: isoDate,
+      statusCode: nullable({ type: "integer" }),
+      reason: { type: "string", example: "connectionLost" },
+      message: nullable({ type: "string" }),
+      action: {
+        type: "string",
+        enum: [
+          "reconnect",
+          "restart",
+          "relink",
+          "logged-out",
+          "stop",
+          "give-up",
+        ],
+      },
+      delayMs: nullable({ type: "integer" }),
+    },
+  },
+
+  SessionStatus: {
+    type: "object",
+    properties: {
+      id: { type: "string", example: "default" },
+      status: { type: "string", enum: ["ready", "not_ready"] },
+      isReady: { type: "boolean" },
+      hasQrCode: { type: "boolean" },
+      hasPairingCode: { type: "boolean" },
+      hasSocket: { type: "boolean" },
+      user: nullable({
+        type: "object",
+        description: "The linked WhatsApp account",
+      }),
+      connectedAt: nullable(isoDate),
+      reconnect: {
+        type: "object",
+        properties: {
+          attempts: { type: "integer" },
+          maxAttempts: nullable({ type: "integer" }),
+          nextAttemptAt: nullable(isoDate),
+        },
+      },
+      lastDisconnect: nullable(ref("Disconnect")),
+      disconnectsTotal: { type: "integer" },
+    },
+  },
+
+  Location: {
+    type: "object",
+    required: ["latitude", "longitude"],
+    properties: {
+      latitude: { type: "number", minimum: -90, maximum: 90 },
+      longitude: { type: "number", minimum: -180, maximum: 180 },
+      name: { type: "string" },
+      address: { type: "string" },
+    },
+  },
+
+  ContactCard: {
+    type: "object",
+    required: ["name", "number"],
+    properties: {
+      name: { type: "string", minLength: 1 },
+      number: phoneNumber,
+      organization: { type: "string" },
+      email: { type: "string" },
+    },
+  },
+
+  Poll: {
+    type: "object",
+    required: ["name", "options"],
+    properties: {
+      name: { type: "string", minLength: 1 },
+      options: {
+        type: "array",
+        minItems: 2,
+        maxItems: 12,
+        items: { type: "string", minLength: 1 },
+      },
+      selectableCount: {
+        type: "integer",
+        minimum: 0,
+        description:
+          "How many options can be picked, 0 for any number (default 1)",
+      },
+    },
+  },
+
+  Reaction: {
+    type: "object",
+    required: ["messageId", "emoji"],
+    properties: {
+      messageId: { type: "string", minLength: 1 },
+      emoji: {
+        type: "string",
+        maxLength: 16,
+        description: 'The emoji, or "" to remove the reaction',
+      },
+    },
+  },
+
+  SendMessageRequest: {
+    type: "object",
+    required: ["number"],
+    description:
+      "Text, media or one of location, contact, poll and reaction. Only one of those can be sent at a time.",
+    properties: {
+      ...sendMessageFields,
+      location: ref("Location"),
+      contact: {
+        description: "One contact card or several",
+        oneOf: [
+          ref("ContactCard"),
+          { type: "array", minItems: 1, items: ref("ContactCard") },
+        ],
+      },
+      poll: ref("Poll"),
+      reaction: ref("Reaction"),
+      wait: {
+        type: "boolean",
+        description: "Wait for the message to be sent (same as ?wait=true)",
+      },
+      verify: {
+        type: "boolean",
+        description:
+          "Check the number is on WhatsApp first (same as ?verify=true)",
+      },
+    },
+  },
+
+  OutboxJob: {
+    type: "object",
+    properties: {
+      id: { type: "string" },
+      sessionId: { type: "string" },
+      to: { type: "string" },
+      type: { type: "string", example: "text" },
+      state: { type: "string", enum: ["queued", "sending", "sent", "failed"] },
+      attempts: { type: "integer" },
+      messageId: nullable({ type: "string" }),
+      error: nullable({ type: "string" }),
+      createdAt: isoDate,
+      updatedAt: isoDate,
+      sentAt: nullable(isoDate),
+    },
+  },
+
+  Receipt: {
+    type: "object",
+    properties: {
+      messageId: nullable({ type: "string" }),
+      sessionId: { type: "string" },
+      chat: { type: "string" },
+      status: {
+        type: "string",
+        enum: [
+          "queued",
+          "error",
+          "pending",
+          "server_ack",
+          "delivered",
+          "read",
+          "played",
+        ],
+      },
+      history: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            status: { type: "string" },
+            participant: { type: "string" },
+            at: isoDate,
+          },
+        },
+      },
+      participants: {
+        type: "object",
+        description: "Status per group member",
+        additionalProperties: { type: "string" },
+      },
+      updatedAt: isoDate,
+    },
+  },
+
+  Message: {
+    type: "object",
+    properties: {
+      id: { type: "string" },
+      chat: { type: "string" },
+      sender: nullable({ type: "string" }),
+      fromMe: { type: "boolean" },
+      isGroup: { type: "boolean" },
+      pushName: nullable({ type: "string" }),
+      type: nullable({ type: "string", example: "conversation" }),
+      text: nullable({ type: "string" }),
+      mediaType: nullable({
+        type: "string",
+        enum: ["image", "video", "audio", "document", "sticker"],
+      }),
+      media: nullable({
+        type: "object",
+        properties: {
+          mimetype: { type: "string" },
+          filename: nullable({ type: "string" }),
+          size: { type: "integer" },
+          sha256: { type: "string" },
+        },
+      }),
+      timestamp: nullable(isoDate),
+      quoted: nullable({
+        type: "object",
+        properties: {
+          id: nullable({ type: "string" }),
+          sender: nullable({ type: "string" }),
+          text: nullable({ type: "string" }),
+        },
+      }),
+      edited: { type: "boolean" },
+      deleted: { type: "boolean" },
+    },
+  },
+
+  Chat: {
+    type: "object",
+    properties: {
+      jid: { type: "string" },
+      name: nullable({ type: "string" }),
+      isGroup: { type: "boolean" },
+      unreadCount: { type: "integer" },
+      lastMessage: nullable({ type: "object" }),
+      lastMessageAt: nullable(isoDate),
+    },
+  },
+
+  Contact: {
+    type: "object",
+    properties: {
+      jid: { type: "string" },
+      name: nullable({ type: "string" }),
+      notify: nullable({
+        type: "string",
+        description: "The name the contact set for themselves",
+      }),
+    },
+  },
+
+  NumberCheckResult: {
+    type: "object",
+    properties: {
+      number: phoneNumber,
+      exists: { type: "boolean" },
+      jid: nullable({
+        type: "string",
+        description: "The JID WhatsApp knows the number by",
+      }),
+    },
+  },
+
+  Schedule: {
+    type: "object",
+    properties: {
+      id: { type: "string" },
+      sessionId: { type: "string" },
+      to: { type: "string" },
+      message: nullable({ type: "string" }),
+      hasMedia: { type: "boolean" },
+      mediaType: nullable({ type: "string" }),
+      sendAt: nullable({ type: "string" }),
+      recurrence: nullable({ type: "string" }),
+      nextRunAt: nullable(isoDate),
+      state: {
+        type: "string",
+        enum: ["scheduled", "completed", "cancelled", "failed"],
+      },
+      runs: { type: "integer" },
+      lastRunAt: nullable(isoDate),
+      lastJobId: nullable({ type: "string" }),
+      lastError: nullable({ type: "string" }),
+      createdAt: isoDate,
+    },
+  },
+
+  BulkRecipient: {
+    type: "object",
+    properties: {
+      row: { type: "integer" },
+      number: { type: "string" },
+      jid: { type: "string" },
+      message: { type: "string" },
+      state: { type: "string", enum: ["pending", "sent", "failed"] },
+      jobId: nullable({ type: "string" }),
+      messageId: nullable({ type: "string" }),
+      error: nullable({ type: "string" }),
+      finishedAt: nullable(isoDate),
+    },
+  },
+
+  BulkJob: {
+    type: "object",
+    properties: {
+      id: { type: "string" },
+      sessionId: { type: "string" },
+      state: { type: "string", enum: ["running", "completed", "cancelled"] },
+      template: { type: "string" },
+      delay: {
+        type: "object",
+        properties: { min: { type: "integer" }, max: { type: "integer" } },
+      },
+      summary: {
+        type: "object",
+        properties: {
+          total: { type: "integer" },
+          pending: { type: "integer" },
+          sent: { type: "integer" },
+          failed: { type: "integer" },
+        },
+      },
+      createdAt: isoDate,
+      finishedAt: nullable(isoDate),
+      recipients: {
+        type: "array",
+        description: "Only returned by GET /bulk-jobs/{id}",
+        items: ref("BulkRecipient"),
+      },
+    },
+  },
+
+  GroupSummary: {
+    type: "object",
+    properties: {
+      id: { type: "string", example: "120363025246125486@g.us" },
+      subject: { type: "string" },
+      description: { type: "string" },
+      creation: nullable(isoDate),
+      owner: { type: "string" },
+      participants: { type: "integer" },
+      size: { type: "integer" },
+    },
+  },
+
+  Group: {
+    type: "object",
+    properties: {
+      id: { type: "string", example: "120363025246125486@g.us" },
+      subject: { type: "string" },
+      description: { type: "string" },
+      creation: nullable(isoDate),
+      owner: { type: "string" },
+      announcementOnly: { type: "boolean" },
+      locked: { type: "boolean" },
+      size: { type: "integer" },
+      participants: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            id: { type: "string" },
+            isAdmin: { type: "boolean" },
+            isSuperAdmin: { type: "boolean" },
+          },
+        },
+      },
+    },
+  },
+
+  Webhook: {
+    type: "object",
+    properties: {
+      id: { type: "string" },
+      url: { type: "string" },
+      events: { type: "array", items: { type: "string" } },
+      source: { type: "string", enum: ["env", "api"] },
+      signed: { type: "boolean" },
+      createdAt: isoDate,
+    },
+  },
+
+  DeadLetter: {
+    type: "object",
+    properties: {
+      deliveryId: { type: "string" },
+      webhookId: { type: "string" },
+      url: { type: "string" },
+      event: { type: "string" },
+      attempts: { type: "integer" },
+      error: { type: "string" },
+      failedAt: isoDate,
+      payload: { type: "object" },
+    },
+  },
+
+  ApiKey: {
+    type: "object",
+    properties: {
+      id: { type: "string" },
+      name: { type: "string" },
+      scopes: { type: "array", items: { type: "string", enum: SCOPES } },
+      source: { type: "string", enum: ["env", "api"] },
+      createdAt: isoDate,
+    },
+  },
+
+  AutoReplyAction: {
+    type: "object",
+    required: ["type"],
+    properties: {
+      type: { type: "string", enum: ["reply", "webhook", "forward"] },
+      text: {
+        type: "string",
+        description: "reply: the text, with {{name}} and {{text}} placeholders",
+      },
+      quote: { type: "boolean", description: "reply: quote the message" },
+      url: { type: "string", description: "webhook: http(s) URL to post to" },
+      secret: { type: "string", description: "webhook: signing secret" },
+      to: { ...phoneNumber, description: "forward: number or group JID" },
+    },
+  },
+
+  AutoReplyRuleInput: {
+    type: "object",
+    required: ["name", "actions"],
+    properties: {
+      name: { type: "string", minLength: 1 },
+      enabled: { type: "boolean" },
+      sessions: {
+        type: "array",
+        description: "Sessions the rule applies to (all when empty)",
+        items: { type: "string" },
+      },
+      match: {
+        type: "object",
+        properties: {
+          keywords: { type: "array", items: { type: "string" } },
+          pattern: { type: "string", description: "Regular expression" },
+          senders: { type: "array", items: phoneNumber },
+          groups: { type: "array", items: { type: "string" } },
+          chat: { type: "string", enum: ["any", "private", "group"] },
+        },
+      },
+      businessHours: nullable({
+        type: "object",
+        required: ["from", "to"],
+        properties: {
+          days: {
+            type: "array",
+            minItems: 1,
+            items: { type: "integer", minimum: 0, maximum: 6 },
+            description: "Weekdays from 0 (Sunday) to 6",
+          },
+          from: time,
+          to: time,
+          timezone: { type: "string", example: "Asia/Jakarta" },
+        },
+      }),
+      outsideBusinessHours: { type: "boolean" },
+      cooldownMinutes: { type: "number", minimum: 0 },
+      actions: {
+        type: "array",
+        minItems: 1,
+        items: ref("AutoReplyAction"),
+      },
+    },
+  },
+
+  AutoReplyRule: {
+    allOf: [
+      ref("AutoReplyRuleInput"),
+      {
+        type: "object",
+        properties: {
+          id: { type: "string" },
+          source: { type: "string", enum: ["file", "api"] },
+          createdAt: isoDate,
+          updatedAt: isoDate,
+        },
+      },
+    ],
+  },
+};
+
+const responses = {
+  BadRequest: error("Invalid request"),
+  Unauthorized: error("Missing or invalid API key"),
+  Forbidden: error("The API key doesn't have the required scope"),
+  NotFound: error("Not found"),
+  ServerError: error("Server error"),
+};
+
+// Routes of a single WhatsApp session. Without the /sessions/{sessionId}
+// prefix they act on the "default" session.
+const sessionPaths = {
+  "/status": {
+    get: operation("getSessionStatus", "read", {
+      tags: ["Sessions"],
+      summary: "Connection status with the latest disconnects",
+      responses: {
+        200: {
+          description: "Status",
+          content: {
+            "application/json": {
+              schema: {
+                allOf: [
+                  ref("SessionStatus"),
+                  {
+                    type: "object",
+                    properties: {
+                      disconnects: { type: "array", items: ref("Disconnect") },
+                    },
+                  },
+                ],
+              },
+            },
+          },
+        },
+      },
+    }),
+  },
+
+  "/qr": {
+    get: operation("getQrCode", "read", {
+      tags: ["Sessions"],
+      summary: "QR code or pairing code to link the session",
+      responses: {
+        200: {
+          description:
+            'status is "success" with qr, "pairing" with pairingCode, "waiting" while the code is generated, or "error" when already connected',
+          content: {
+            "application/json": {
+              schema: {
+                type: "object",
+                properties: {
+                  status: {
+                    type: "string",
+                    enum: ["success", "pairing", "waiting", "error"],
+                  },
+                  message: { type: "string" },
+                  qr: { type: "string" },
+                  pairingCode: { type: "string" },
+                  phoneNumber: { type: "string" },
+                },
+              },
+            },
+          },
+        },
+      },
+    }),
+  },
+
+  "/qr/image": {
+    get: operation("getQrImage", "read", {
+      tags: ["Sessions"],
+      summary: "QR code as a PNG image",
+      security: browserSecurity,
+      responses: {
+        200: file("QR code", "image/png"),
+        404: { description: "No QR code yet" },
+      },
+    }),
+  },
+
+  "/qr/display": {
+    get: operation("getQrPage", "read", {
+      tags: ["Sessions"],
+      summary: "HTML page showing the QR code, updated live",
+      security: browserSecurity,
+      responses: {
+        200: {
+          description: "HTML page",
+          content: { "text/html": { schema: { type: "string" } } },
+        },
+      },
+    }),
+  },
+
+  "/connect": {
+    post: operation("connectSession", "admin", {
+      tags: ["Sessions"],
+      summary: "Connect, or link with a pairing code",
+      description:
+        "Starts a new connection (and QR code). With phoneNumber the session is linked with a pairing code instead.",
+      requestBody: jsonBody(
+        {
+          type: "object",
+          properties: { phoneNumber: phoneNumber },
+        },
+        { required: false }
+      ),
+      responses: {
+        200: success("Connecting", {
+          message: { type: "string" },
+          pairingCode: { type: "string" },
+          phoneNumber: { type: "string" },
+        }),
+      },
+    }),
+  },
+
+  "/disconnect": {
+    post: operation("disconnectSession", "admin", {
+      tags: ["Sessions"],
+      summary: "Log out from WhatsApp",
+      description:
+        "Without deleteAuth the session reconnects with its existing credentials.",
+      requestBody: jsonBody(
+        {
+          type: "object",
+          properties: { deleteAuth: { type: "boolean", default: false } },
+        },
+        { required: false }
+      ),
+      responses: {
+        200: success("Disconnected", {
+          message: { type: "string" },
+          deletedAuth: { type: "boolean" },
+        }),
+      },
+    }),
+  },
+
+  "/clear-auth": {
+    post: operation("clearSessionAuth", "admin", {
+      tags: ["Sessions"],
+      summary: "Delete the credentials and start over with a new QR code",
+      responses: {
+        200: success("Credentials deleted", { message: { type: "string" } }),
+      },
+    }),
+  },
+
+  "/events": {
+    get: operation("streamEvents", "read", {
+      tags: ["Sessions"],
+      summary: "Live events (Server-Sent Events)",
+      security: browserSecurity,
+      description:
+        "Events: status, qr, pairing-code, connection, logged-out, message and receipt. EventSource can't send headers, so pass the key as ?api_key=.",
+      responses: {
+        200: {
+          description: "Event stream",
+          content: { "text/event-stream": { schema: { type: "string" } } },
+        },
+      },
+    }),
+  },
+
+  "/send-message": {
+    post: operation("sendMessage", "send", {
+      tags: ["Messages"],
+      summary: "Send a message",
+      description:
+        "Messages go through the outbox, so they're accepted while the session is reconnecting. Returns 200 once sent, or 202 with the job while it's queued.",
+      parameters: [
+        queryParam(
+          "wait",
+          { type: "boolean" },
+          "Wait for the message to be sent (up to 30 seconds)"
+        ),
+        queryParam(
+          "verify",
+          { type: "boolean" },
+          "Check the number is on WhatsApp first"
+        ),
+        idempotencyKeyParam,
+      ],
+      requestBody: {
+        required: true,
+        content: {
+          "application/json": { schema: ref("SendMessageRequest") },
+          "multipart/form-data": {
+            schema: {
+              type: "object",
+              required: ["number"],
+              properties: {
+                ...sendMessageFields,
+                ...uploadField,
+                wait: { type: "boolean" },
+                verify: { type: "boolean" },
+              },
+            },
+          },
+        },
+      },
+      responses: {
+        200: success("Sent", {
+          message: { type: "string" },
+          jobId: { type: "string" },
+          messageId: { type: "string" },
+        }),
+        202: success("Queued", {
+          message: { type: "string" },
+          jobId: { type: "string" },
+          state: { type: "string" },
+        }),
+        404: error(
+          "The number isn't on WhatsApp, or the message to reply or react to wasn't found"
+        ),
+        413: error(`Media is larger than ${MAX_FILE_SIZE_LABEL}`),
+        422: idempotencyKeyReused,
+      },
+    }),
+  },
+
+  "/messages/{id}": {
+    get: operation("getOutboxJob", "read", {
+      tags: ["Messages"],
+      summary: "State of a queued message",
+      parameters: [pathParam("id", "Job ID returned by /send-message")],
+      responses: {
+        200: success("Job", { job: ref("OutboxJob") }),
+        404: response("NotFound"),
+      },
+    }),
+  },
+
+  "/messages/{id}/status": {
+    get: operation("getMessageStatus", "read", {
+      tags: ["Messages"],
+      summary: "Delivery status of a sent message",
+      parameters: [pathParam("id", "WhatsApp message ID or job ID")],
+      responses: {
+        200: success("Receipt", { receipt: ref("Receipt") }),
+        404: response("NotFound"),
+      },
+    }),
+  },
+
+  "/chats/{jid}/messages/{messageId}": {
+    parameters: [
+      pathParam("jid", "Chat JID or phone number"),
+      pathParam("messageId", "WhatsApp message ID"),
+    ],
+    patch: operation("editMessage", "send", {
+      tags: ["Messages"],
+      summary: "Edit the text of a sent message",
+      description: "Only text messages, within 15 minutes of sending.",
+      requestBody: jsonBody({
+        type: "object",
+        required: ["message"],
+        properties: {
+          message: {
+            type: "string",
+            minLength: 1,
+            description: "The new text",
+          },
+        },
+      }),
+      responses: {
+        200: success("Edited", {
+          message: { type: "string" },
+          data: ref("Message"),
+        }),
+        404: response("NotFound"),
+      },
+    }),
+    delete: operation("deleteMessage", "send", {
+      tags: ["Messages"],
+      summary: "Delete a message for everyone",
+      responses: {
+        200: success("Deleted", {
+          message: { type: "string" },
+          messageId: { type: "string" },
+        }),
+        404: response("NotFound"),
+      },
+    }),
+  },
+
+  "/chats/{jid}/messages/{messageId}/forward": {
+    parameters: [
+      pathParam("jid", "Chat JID or phone number"),
+      pathParam("messageId", "WhatsApp message ID"),
+    ],
+    post: operation("forwardMessage", "send", {
+      tags: ["Messages"],
+      summary: "Forward a message to another chat",
+      parameters: [idempotencyKeyParam],
+      requestBody: jsonBody({
+        type: "object",
+        required: ["to"],
+        properties: { to: phoneNumber },
+      }),
+      responses: {
+        200: success("Forwarded", {
+          message: { type: "string" },
+          messageId: { type: "string" },
+          to: { type: "string" },
+        }),
+        404: response("NotFound"),
+        422: idempotencyKeyReused,
+      },
+    }),
+  },
+
+  "/schedule": {
+    get: operation("listSchedules", "read", {
+      tags: ["Schedules"],
+      summary: "List scheduled messages",
+      parameters: [
+        queryParam(
+          "state",
+          {
+            type: "string",
+            enum: ["scheduled", "completed", "cancelled", "failed"],
+          },
+          "Only schedules in this state"
+        ),
+      ],
+      responses: {
+        200: success("Schedules", {
+          schedules: { type: "array", items: ref("Schedule") },
+          total: { type: "integer" },
+        }),
+      },
+    }),
+    post: operation("createSchedule", "send", {
+      tags: ["Schedules"],
+      summary: "Schedule a message",
+      parameters: [idempotencyKeyParam],
+      description:
+        'Accepts the text and media fields of /send-message. recurrence is "daily", "weekly" or a cron expression.',
+      requestBody: {
+        required: true,
+        content: {
+          "application/json": {
+            schema: {
+              type: "object",
+              required: ["number"],
+              properties: {
+                ...sendMessageFields,
+                sendAt: {
+                  type: "string",
+                  description: "ISO 8601 date, e.g. 2024-01-01T09:00:00+07:00",
+                },
+                recurrence: { type: "string", example: "0 9 * * 1-5" },
+              },
+            },
+          },
+          "multipart/form-data": {
+            schema: {
+              type: "object",
+              required: ["number"],
+              properties: {
+                ...sendMessageFields,
+                ...uploadField,
+                sendAt: { type: "string" },
+                recurrence: { type: "string" },
+              },
+            },
+          },
+        },
+      },
+      responses: {
+        201: success("Scheduled", {
+          message: { type: "string" },
+          schedule: ref("Schedule"),
+        }),
+        422: idempotencyKeyReused,
+      },
+    }),
+  },
+
+  "/schedule/{id}": {
+    parameters: [pathParam("id", "Schedule ID")],
+    get: operation("getSchedule", "read", {
+      tags: ["Schedules"],
+      summary: "Get a schedule",
+      responses: {
+        200: success("Schedule", { schedule: ref("Schedule") }),
+        404: response("NotFound"),
+      },
+    }),
+    delete: operation("cancelSchedule", "send", {
+      tags: ["Schedules"],
+      summary: "Cancel a schedule",
+      responses: {
+        200: success("Cancelled", {
+          message: { type: "string" },
+          schedule: ref("Schedule"),
+        }),
+        404: response("NotFound"),
+        409: error("The schedule already finished or was cancelled"),
+      },
+    }),
+  },
+
+  "/send-bulk": {
+    post: operation("sendBulk", "send", {
+      tags: ["Bulk"],
+      summary: "Send a templated message to many recipients",
+      parameters: [idempotencyKeyParam],
+      description:
+        'Recipients come from a JSON array or an uploaded CSV file with a "number" column. Other fields can be used in the template as {{field}}.',
+      requestBody: {
+        required: true,
+        content: {
+          "application/json": {
+            schema: {
+              type: "object",
+              required: ["template", "recipients"],
+              properties: {
+                template: {
+                  type: "string",
+                  minLength: 1,
+                  example: "Hi {{name}}, your order {{order}} is ready",
+                },
+                recipients: {
+                  type: "array",
+                  minItems: 1,
+                  maxItems: MAX_RECIPIENTS,
+                  items: {
+                    type: "object",
+                    required: ["number"],
+                    properties: { number: phoneNumber },
+                    additionalProperties: { type: "string" },
+                  },
+                },
+                minDelayMs: { type: "integer", minimum: 0 },
+                maxDelayMs: { type: "integer", minimum: 0 },
+              },
+            },
+          },
+          "multipart/form-data": {
+            schema: {
+              type: "object",
+              required: ["template"],
+              properties: {
+                template: { type: "string", minLength: 1 },
+                file: {
+                  type: "string",
+                  format: "binary",
+                  description: 'CSV file with a "number" column',
+                },
+                recipients: {
+                  type: "string",
+                  description:
+                    "The recipients as a JSON array, instead of a file",
+                },
+                minDelayMs: { type: "integer", minimum: 0 },
+                maxDelayMs: { type: "integer", minimum: 0 },
+              },
+            },
+          },
+        },
+      },
+      responses: {
+        202: success("Started", {
+          message: { type: "string" },
+          bulkJobId: { type: "string" },
+          job: ref("BulkJob"),
+        }),
+        422: idempotencyKeyReused,
+      },
+    }),
+  },
+
+  "/bulk-jobs": {
+    get: operation("listBulkJobs", "read", {
+      tags: ["Bulk"],
+      summary: "List bulk jobs",
+      responses: {
+        200: success("Bulk jobs", {
+          jobs: { type: "array", items: ref("BulkJob") },
+          total: { type: "integer" },
+        }),
+      },
+    }),
+  },
+
+  "/bulk-jobs/{id}": {
+    parameters: [pathParam("id", "Bulk job ID")],
+    get: operation("getBulkJob", "read", {
+      tags: ["Bulk"],
+      summary: "Bulk job with per-recipient results",
+      responses: {
+        200: success("Bulk job", { job: ref("BulkJob") }),
+        404: response("NotFound"),
+      },
+    }),
+    delete: operation("cancelBulkJob", "send", {
+      tags: ["Bulk"],
+      summary: "Cancel the remaining sends of a bulk job",
+      responses: {
+        200: success("Cancelled", {
+          message: { type: "string" },
+          job: ref("BulkJob"),
+        }),
+        404: response("NotFound"),
+        409: error("The bulk job already finished or was cancelled"),
+      },
+    }),
+  },
+
+  "/bulk-jobs/{id}/results.csv": {
+    get: operation("getBulkJobResults", "read", {
+      tags: ["Bulk"],
+      summary: "Per-recipient results as CSV",
+      parameters: [pathParam("id", "Bulk job ID")],
+      responses: {
+        200: {
+          description: "CSV file",
+          content: { "text/csv": { schema: { type: "string" } } },
+        },
+        404: response("NotFound"),
+      },
+    }),
+  },
+
+  "/chats": {
+    get: operation("listChats", "read", {
+      tags: ["Chats"],
+      summary: "List chats, newest first",
+      parameters: [
+        queryParam("q", { type: "string" }, "Filter by name or number"),
+      ],
+      responses: {
+        200: success("Chats", {
+          chats: { type: "array", items: ref("Chat") },
+          total: { type: "integer" },
+        }),
+      },
+    }),
+  },
+
+  "/chats/{jid}/messages": {
+    get: operation("listChatMessages", "read", {
+      tags: ["Chats"],
+      summary: "Messages of a chat, oldest first",
+      description:
+        "Pass nextBefore from the response as ?before= to get older messages.",
+      parameters: [
+        pathParam("jid", "Chat JID or phone number"),
+        queryParam("before", { type: "string" }, "Message ID or ISO 8601 date"),
+        queryParam(
+          "limit",
+          { type: "integer", minimum: 1, default: 50 },
+          "Page size (at most 200)"
+        ),
+        queryParam(
+          "q",
+          { type: "string" },
+          "Only messages of this chat containing this text"
+        ),
+      ],
+      responses: {
+        200: success("Messages", {
+          chat: ref("Chat"),
+          messages: { type: "array", items: ref("Message") },
+          hasMore: { type: "boolean" },
+          nextBefore: nullable({ type: "string" }),
+        }),
+      },
+    }),
+  },
+
+  "/contacts": {
+    get: operation("listContacts", "read", {
+      tags: ["Chats"],
+      summary: "List known contacts",
+      parameters: [
+        queryParam("q", { type: "string" }, "Filter by name or number"),
+      ],
+      responses: {
+        200: success("Contacts", {
+          contacts: { type: "array", items: ref("Contact") },
+          total: { type: "integer" },
+        }),
+      },
+    }),
+  },
+
+  "/contacts/check": {
+    post: operation("checkNumbers", "read", {
+      tags: ["Chats"],
+      summary: "Check which numbers are on WhatsApp",
+      requestBody: jsonBody({
+        type: "object",
+        required: ["numbers"],
+        properties: { numbers: phoneNumberList(500) },
+      }),
+      responses: {
+        200: success("Results, in the order of numbers", {
+          results: { type: "array", items: ref("NumberCheckResult") },
+          total: { type: "integer" },
+          onWhatsApp: { type: "integer" },
+        }),
+      },
+    }),
+  },
+
+  "/media/{messageId}": {
+    get: operation("getMedia", "read", {
+      tags: ["Chats"],
+      summary: "Media of an incoming message",
+      parameters: [pathParam("messageId", "WhatsApp message ID")],
+      responses: {
+        200: file(
+          "The file, with its SHA-256 in X-Content-SHA256",
+          "application/octet-stream"
+        ),
+        404: response("NotFound"),
+      },
+    }),
+  },
+
+  "/groups": {
+    get: operation("listGroups", "read", {
+      tags: ["Groups"],
+      summary: "List groups the account is in",
+      responses: {
+        200: success("Groups", {
+          groups: { type: "array", items: ref("GroupSummary") },
+          total: { type: "integer" },
+        }),
+      },
+    }),
+    post: operation("createGroup", "send", {
+      tags: ["Groups"],
+      summary: "Create a group",
+      requestBody: jsonBody({
+        type: "object",
+        required: ["subject", "participants"],
+        properties: {
+          subject: { type: "string", minLength: 1 },
+          participants: phoneNumberList(),
+        },
+      }),
+      responses: {
+        201: success("Created", {
+          message: { type: "string" },
+          group: ref("Group"),
+        }),
+      },
+    }),
+  },
+
+  "/groups/join": {
+    post: operation("joinGroup", "send", {
+      tags: ["Groups"],
+      summary: "Join a group with an invite code or link",
+      requestBody: jsonBody({
+        type: "object",
+        properties: {
+          code: { type: "string", example: "AbCdEfGhIjK" },
+          link: {
+            type: "string",
+            example: "https://chat.whatsapp.com/AbCdEfGhIjK",
+          },
+        },
+      }),
+      responses: {
+        200: success("Joined", {
+          message: { type: "string" },
+          groupId: nullable({ type: "string" }),
+        }),
+      },
+    }),
+  },
+
+  "/groups/{id}": {
+    parameters: [pathParam("id", "Group JID, with or without @g.us")],
+    get: operation("getGroup", "read", {
+      tags: ["Groups"],
+      summary: "Group details with participants",
+      responses: {
+        200: success("Group", { group: ref("Group") }),
+        404: response("NotFound"),
+      },
+    }),
+    patch: operation("updateGroup", "send", {
+      tags: ["Groups"],
+      summary: "Change subject, description or settings",
+      description:
+        "Only the given fields change. An empty description removes it.",
+      requestBody: jsonBody({
+        type: "object",
+        properties: {
+          subject: { type: "string", minLength: 1 },
+          description: { type: "string" },
+          announcementOnly: { type: "boolean" },
+          locked: { type: "boolean" },
+        },
+      }),
+      responses: {
+        200: success("Updated", {
+          message: { type: "string" },
+          group: ref("Group"),
+        }),
+        403: error("Not an admin of the group"),
+      },
+    }),
+  },
+
+  "/groups/{id}/participants": {
+    post: operation("updateGroupParticipants", "send", {
+      tags: ["Groups"],
+      summary: "Add, remove, promote or demote participants",
+      parameters: [pathParam("id", "Group JID, with or without @g.us")],
+      requestBody: jsonBody({
+        type: "object",
+        required: ["action", "participants"],
+        properties: {
+          action: {
+            type: "string",
+            enum: ["add", "remove", "promote", "demote"],
+          },
+          participants: phoneNumberList(),
+        },
+      }),
+      responses: {
+        200: success("Status per participant", {
+          message: { type: "string" },
+          results: {
+            type: "array",
+            items: {
+              type: "object",
+              properties: {
+                jid: { type: "string" },
+                status: { type: "string", example: "200" },
+                success: { type: "boolean" },
+              },
+            },
+          },
+        }),
+      },
+    }),
+  },
+
+  "/groups/{id}/invite-code": {
+    parameters: [pathParam("id", "Group JID, with or without @g.us")],
+    get: operation("getGroupInviteCode", "read", {
+      tags: ["Groups"],
+      summary: "Current invite link",
+      responses: {
+        200: success("Invite link", {
+          code: { type: "string" },
+          link: { type: "string" },
+        }),
+      },
+    }),
+    delete: operation("revokeGroupInviteCode", "send", {
+      tags: ["Groups"],
+      summary: "Revoke the invite link",
+      responses: {
+        200: success("The new invite link", {
+          message: { type: "string" },
+          code: { type: "string" },
+          link: { type: "string" },
+        }),
+      },
+    }),
+  },
+
+  "/groups/{id}/leave": {
+    post: operation("leaveGroup", "send", {
+      tags: ["Groups"],
+      summary: "Leave a group",
+      parameters: [pathParam("id", "Group JID, with or without @g.us")],
+      responses: {
+        200: success("Left", { message: { type: "string" } }),
+      },
+    }),
+  },
+
+  "/auth/export": {
+    get: operation("exportAuth", "admin", {
+      tags: ["Auth"],
+      summary: "Export the credentials, encrypted",
+      parameters: [
+        {
+          name: "X-Auth-Passphrase",
+          in: "header",
+          required: true,
+          description:
+            "Passphrase to encrypt the backup with, at least 8 characters",
+          schema: { type: "string", minLength: 8 },
+        },
+      ],
+      responses: {
+        200: success("Backup", { backup: { type: "object" } }),
+        404: error("The session isn't linked"),
+      },
+    }),
+  },
+
+  "/auth/import": {
+    post: operation("importAuth", "admin", {
+      tags: ["Auth"],
+      summary: "Restore credentials from a backup and reconnect",
+      parameters: [
+        {
+          name: "X-Auth-Passphrase",
+          in: "header",
+          required: false,
+          description: "Passphrase of the backup (or passphrase in the body)",
+          schema: { type: "string" },
+        },
+      ],
+      requestBody: jsonBody({
+        type: "object",
+        required: ["backup"],
+        properties: {
+          backup: { type: "object" },
+          passphrase: { type: "string" },
+        },
+      }),
+      responses: {
+        200: success("Restored", {
+          message: { type: "string" },
+          sourceSessionId: { type: "string" },
+        }),
+      },
+    }),
+  },
+};
+
+const sessionIdParam = {
+  name: "sessionId",
+  in: "path",
+  required: true,
+  description: 'Session ID ("default" for the default session)',
+  schema: { type: "string", pattern: SESSION_ID_PATTERN.source },
+};
+
+const paths = {
+  "/api": {
+    get: operation("getHealth", null, {
+      tags: ["System"],
+      summary: "Health check",
+      responses: {
+        200: {
+          description: "Running",
+          content: {
+            "application/json": {
+              schema: {
+                type: "object",
+                properties: {
+                  status: { type: "string", example: "OK" },
+                  message: { type: "string" },
+                  whatsappReady: { type: "boolean" },
+                },
+              },
+            },
+          },
+        },
+      },
+    }),
+  },
+
+  "/metrics": {
+    get: operation("getMetrics", "read", {
+      tags: ["System"],
+      summary: "Prometheus metrics",
+      responses: {
+        200: {
+          description: "Metrics in the Prometheus text format",
+          content: { "text/plain": { schema: { type: "string" } } },
+        },
+      },
+    }),
+  },
+
+  "/openapi.json": {
+    get: operation("getOpenApi", null, {
+      tags: ["System"],
+      summary: "This document",
+      responses: {
+        200: {
+          description: "OpenAPI 3 document",
+          content: { "application/json": { schema: { type: "object" } } },
+        },
+      },
+    }),
+  },
+
+  "/sessions": {
+    get: operation("listSessions", "read", {
+      tags: ["Sessions"],
+      summary: "List sessions",
+      responses: {
+        200: success("Sessions", {
+          sessions: { type: "array", items: ref("SessionStatus") },
+          total: { type: "integer" },
+        }),
+      },
+    }),
+    post: operation("createSession", "admin", {
+      tags: ["Sessions"],
+      summary: "Create a session and start connecting it",
+      requestBody: jsonBody({
+        type: "object",
+        required: ["id"],
+        properties: {
+          id: {
+            type: "string",
+            pattern: SESSION_ID_PATTERN.source,
+            description: "1-64 letters, numbers, dashes or underscores",
+            example: "sales",
+          },
+        },
+      }),
+      responses: {
+        201: success("Created", {
+          message: { type: "string" },
+          session: ref("SessionStatus"),
+        }),
+        409: error("A session with this ID already exists"),
+      },
+    }),
+  },
+
+  "/sessions/{sessionId}": {
+    parameters: [sessionIdParam],
+    get: operation("getSession", "read", {
+      tags: ["Sessions"],
+      summary: "Get a session",
+      responses: {
+        200: success("Session", { session: ref("SessionStatus") }),
+        404: response("NotFound"),
+      },
+    }),
+    delete: operation("deleteSession", "admin", {
+      tags: ["Sessions"],
+      summary: "Stop and delete a session",
+      description:
+        "The credentials are kept so the session can be created again, unless logout is true.",
+      parameters: [
+        queryParam(
+          "logout",
+          { type: "boolean", default: false },
+          "Also log out from WhatsApp and delete the credentials"
+        ),
+      ],
+      responses: {
+        200: success("Deleted", {
+          message: { type: "string" },
+          deletedAuth: { type: "boolean" },
+        }),
+        404: response("NotFound"),
+      },
+    }),
+  },
+
+  ...Object.fromEntries(
+    Object.entries(sessionPaths).map(([path, item]) => [
+      `/sessions/{sessionId}${path}`,
+      { ...item, parameters: [sessionIdParam, ...(item.parameters || [])] },
+    ])
+  ),
+
+  "/webhooks": {
+    get: operation("listWebhooks", "admin", {
+      tags: ["Webhooks"],
+      summary: "List webhooks",
+      responses: {
+        200: success("Webhooks", {
+          webhooks: { type: "array", items: ref("Webhook") },
+          total: { type: "integer" },
+        }),
+      },
+    }),
+    post: operation("createWebhook", "admin", {
+      tags: ["Webhooks"],
+      summary: "Register a webhook",
+      requestBody: jsonBody({
+        type: "object",
+        required: ["url"],
+        properties: {
+          url: {
+            type: "string",
+            format: "uri",
+            pattern: "^https?://",
+            description: "an http(s) URL",
+          },
+          events: {
+            type: "array",
+            items: { type: "string" },
+            description: 'message, receipt, logged-out or "*" (default)',
+            example: ["message"],
+          },
+          secret: {
+            type: "string",
+            description: "Signs deliveries (X-Webhook-Signature)",
+          },
+        },
+      }),
+      responses: {
+        201: success("Registered", { webhook: ref("Webhook") }),
+      },
+    }),
+  },
+
+  "/webhooks/dead-letters": {
+    get: operation("listWebhookDeadLetters", "admin", {
+      tags: ["Webhooks"],
+      summary: "Deliveries that failed after all retries",
+      responses: {
+        200: success("Dead letters", {
+          deadLetters: { type: "array", items: ref("DeadLetter") },
+          total: { type: "integer" },
+        }),
+      },
+    }),
+  },
+
+  "/webhooks/{id}": {
+    delete: operation("deleteWebhook", "admin", {
+      tags: ["Webhooks"],
+      summary: "Remove a webhook registered through the API",
+      parameters: [pathParam("id", "Webhook ID")],
+      responses: {
+        200: success("Removed", { message: { type: "string" } }),
+        404: response("NotFound"),
+      },
+    }),
+  },
+
+  "/auto-replies": {
+    get: operation("listAutoReplyRules", "admin", {
+      tags: ["Auto-replies"],
+      summary: "List rules in the order they're checked",
+      responses: {
+        200: success("Rules", {
+          rules: { type: "array", items: ref("AutoReplyRule") },
+          total: { type: "integer" },
+        }),
+      },
+    }),
+    post: operation("createAutoReplyRule", "admin", {
+      tags: ["Auto-replies"],
+      summary: "Add a rule, checked after the existing ones",
+      requestBody: jsonBody(ref("AutoReplyRuleInput")),
+      responses: {
+        201: success("Added", { rule: ref("AutoReplyRule") }),
+      },
+    }),
+  },
+
+  "/auto-replies/test": {
+    post: operation("testAutoReplyRules", "admin", {
+      tags: ["Auto-replies"],
+      summary: "Dry run: which rule a message would trigger",
+      requestBody: jsonBody({
+        type: "object",
+        required: ["message"],
+        properties: {
+          message: {
+            type: "object",
+            properties: {
+              text: { type: "string" },
+              from: phoneNumber,
+              group: { type: "string" },
+              name: { type: "string" },
+            },
+          },
+          sessionId: { type: "string" },
+          at: {
+            type: "string",
+            description: "ISO 8601 date to check business hours against",
+          },
+          rule: ref("AutoReplyRuleInput"),
+        },
+      }),
+      responses: {
+        200: success("Result", {
+          matched: { type: "boolean" },
+          rule: nullable(ref("AutoReplyRule")),
+          actions: { type: "array", items: { type: "object" } },
+          cooldownRemainingSeconds: { type: "integer" },
+          results: {
+            type: "array",
+            items: {
+              type: "object",
+              properties: {
+                id: { type: "string" },
+                name: { type: "string" },
+                matched: { type: "boolean" },
+                reason: nullable({ type: "string" }),
+              },
+            },
+          },
+        }),
+      },
+    }),
+  },
+
+  "/auto-replies/{id}": {
+    parameters: [pathParam("id", "Rule ID")],
+    get: operation("getAutoReplyRule", "admin", {
+      tags: ["Auto-replies"],
+      summary: "Get a rule",
+      responses: {
+        200: success("Rule", { rule: ref("AutoReplyRule") }),
+        404: response("NotFound"),
+      },
+    }),
+    put: operation("updateAutoReplyRule", "admin", {
+      tags: ["Auto-replies"],
+      summary: "Replace a rule",
+      requestBody: jsonBody(ref("AutoReplyRuleInput")),
+      responses: {
+        200: success("Replaced", { rule: ref("AutoReplyRule") }),
+        404: response("NotFound"),
+      },
+    }),
+    delete: operation("deleteAutoReplyRule", "admin", {
+      tags: ["Auto-replies"],
+      summary: "Remove a rule",
+      responses: {
+        200: success("Removed", { message: { type: "string" } }),
+        404: response("NotFound"),
+      },
+    }),
+  },
+
+  "/admin/api-keys": {
+    get: operation("listApiKeys", "admin", {
+      tags: ["Admin"],
+      summary: "List API keys",
+      responses: {
+        200: success("Keys", {
+          keys: { type: "array", items: ref("ApiKey") },
+          total: { type: "integer" },
+        }),
+      },
+    }),
+    post: operation("createApiKey", "admin", {
+      tags: ["Admin"],
+      summary: "Create an API key",
+      description:
+        "The key itself is only returned in this response. While no key exists, the first one can only be created from localhost or with the bootstrap token.",
+      parameters: [
+        {
+          name: "X-Bootstrap-Token",
+          in: "header",
+          required: false,
+          description:
+            "API_BOOTSTRAP_TOKEN, to create the first key from another machine",
+          schema: { type: "string" },
+        },
+      ],
+      requestBody: jsonBody({
+        type: "object",
+        required: ["scopes"],
+        properties: {
+          name: { type: "string", example: "courier app" },
+          scopes: {
+            type: "array",
+            minItems: 1,
+            items: { type: "string", enum: SCOPES },
+          },
+        },
+      }),
+      responses: {
+        201: success("Created", {
+          message: { type: "string" },
+          key: { type: "string" },
+          apiKey: ref("ApiKey"),
+        }),
+      },
+    }),
+  },
+
+  "/admin/api-keys/{id}": {
+    delete: operation("revokeApiKey", "admin", {
+      tags: ["Admin"],
+      summary: "Revoke an API key created through the API",
+      parameters: [pathParam("id", "Key ID")],
+      responses: {
+        200: success("Revoked", { message: { type: "string" } }),
+        404: response("NotFound"),
+        409: error("The last admin key can't be revoked"),
+      },
+    }),
+  },
+
+  "/admin/config": {
+    get: operation("getConfig", "admin", {
+      tags: ["Admin"],
+      summary: "Settings in effect, with secrets redacted",
+      responses: {
+        200: success("Settings", {
+          file: nullable({ type: "string" }),
+          config: { type: "object" },
+          sources: { type: "object" },
+        }),
+      },
+    }),
+  },
+};
+
+const document = {
+  openapi: "3.0.3",
+  info: {
+    title: "WhatsApp REST API",
+    version,
+    description:
+      'REST API for WhatsApp using Baileys. Every /sessions/{sessionId}/... route also works without the prefix, for the "default" session (e.g. /send-message).',
+  },
+  servers: [{ url: "/" }],
+  security: [{ apiKey: [] }, { bearer: [] }],
+  tags: [
+    "Sessions",
+    "Messages",
+    "Schedules",
+    "Bulk",
+    "Chats",
+    "Groups",
+    "Auth",
+    "Webhooks",
+    "Auto-replies",
+    "Admin",
+    "System",
+  ].map((name) => ({ name })),
+  paths,
+  components: {
+    securitySchemes: {
+      apiKey: { type: "apiKey", in: "header", name: "X-API-Key" },
+      bearer: { type: "http", scheme: "bearer" },
+      apiKeyQuery: { type: "apiKey", in: "query", name: "api_key" },
+    },
+    schemas,
+    responses,
+  },
+};
+
+module.exports = { document };
@@ -0,0 +1,396 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const { EventEmitter } = require("events");
+const bus = require("./events");
+const { getSession } = require("./session");
+const { buildMediaContent } = require("./media");
+const { readJson, writeJson } = require("./dataStore");
+const { config } = require("./config");
+const { trackSend } = require("./metrics");
+
+const OUTBOX_FILE = "outbox.json";
+
+// Rate limits per session, to avoid getting the number banned
+const globalPerMinute = config.outbox.globalPerMinute;
+const recipientPerMinute = config.outbox.recipientPerMinute;
+const maxAttempts = config.outbox.maxAttempts;
+const retryDelay = 5000;
+const RATE_WINDOW_MS = 60 * 1000;
+
+// Finished jobs are kept this long so their state can still be queried
+const FINISHED_JOB_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Every send changes its job several times (and bulk sends make many jobs),
+// so writes to disk are batched
+const SAVE_DELAY_MS = 1000;
+
+// Job states
+const QUEUED = "queued";
+const SENDING = "sending";
+const SENT = "sent";
+const FAILED = "failed";
+
+// Jobs by ID, oldest first
+const jobs = new Map(readJson(OUTBOX_FILE, []).map((job) => [job.id, job]));
+let saveTimer = null;
+
+const jobEvents = new EventEmitter();
+jobEvents.setMaxListeners(0);
+
+// Per session: timestamps of recent sends, and drain state
+const sendHistory = new Map();
+const draining = new Set();
+const drainTimers = new Map();
+
+function saveJobs() {
+  if (saveTimer) return;
+
+  saveTimer = setTimeout(() => {
+    saveTimer = null;
+
+    const cutoff = Date.now() - FINISHED_JOB_TTL_MS;
+    for (const [id, job] of jobs) {
+      if (
+        (job.state === SENT || job.state === FAILED) &&
+        new Date(job.updatedAt).getTime() <= cutoff
+      ) {
+        jobs.delete(id);
+      }
+    }
+
+    try {
+      writeJson(OUTBOX_FILE, Array.from(jobs.values()));
+    } catch (error) {
+      console.error("Error saving outbox:", error);
+    }
+  }, SAVE_DELAY_MS);
+  saveTimer.unref();
+}
+
+function updateJob(job, changes) {
+  Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+  saveJobs();
+}
+
+function getJob(id) {
+  return jobs.get(id) || null;
+}
+
+// The shape returned by the API (drops internal fields like the media path)
+function toPublicJob(job) {
+  return {
+    id: job.id,
+    sessionId: job.sessionId,
+    to: job.jid,
+    type: job.media ? job.media.type || "image" : job.contentType || "text",
+    state: job.state,
+    attempts: job.attempts,
+    messageId: job.messageId,
+    error: job.error,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+    sentAt: job.sentAt,
+  };
+}
+
+// Build the Baileys message content for a job
+function buildContent(job) {
+  let content;
+  if (job.content) {
+    content = job.content;
+  } else if (job.media) {
+    content = buildMediaContent({
+      buffer: fs.readFileSync(job.media.path),
+      type: job.media.type || "image",
+      mimetype: job.media.mimetype || "image/jpeg",
+      filename: job.media.filename,
+      caption: job.text,
+    });
+  } else {
+    content = { text: job.text };
+  }
+
+  if (job.mentions && job.mentions.length > 0) {
+    content = { ...content, mentions: job.mentions };
+  }
+  return content;
+}
+
+function removeMediaFile(job) {
+  if (job.media && fs.existsSync(job.media.path)) {
+    try {
+      fs.unlinkSync(job.media.path);
+    } catch (error) {
+      console.error("Error deleting file:", error);
+    }
+  }
+}
+
+function getHistory(sessionId) {
+  if (!sendHistory.has(sessionId)) {
+    sendHistory.set(sessionId, []);
+  }
+  const history = sendHistory.get(sessionId);
+
+  // Drop sends that are outside the rate window
+  const cutoff = Date.now() - RATE_WINDOW_MS;
+  while (history.length > 0 && history[0].at <= cutoff) {
+    history.shift();
+  }
+  return history;
+}
+
+// Find the next job that may be sent now. Returns { job } or, when
+// everything is rate limited or waiting for a retry, { waitMs }.
+function nextJob(sessionId) {
+  const history = getHistory(sessionId);
+  const now = Date.now();
+  let waitMs = null;
+
+  const earliest = (ms) => {
+    waitMs = waitMs === null ? ms : Math.min(waitMs, ms);
+  };
+
+  const queued = Array.from(jobs.values()).filter(
+    (job) => job.sessionId === sessionId && job.state === QUEUED
+  );
+  if (queued.length === 0) return {};
+
+  if (history.length >= globalPerMinute) {
+    return { waitMs: history[0].at + RATE_WINDOW_MS - now };
+  }
+
+  for (const job of queued) {
+    if (job.notBefore && job.notBefore > now) {
+      earliest(job.notBefore - now);
+      continue;
+    }
+
+    const recipientSends = history.filter((entry) => entry.jid === job.jid);
+    if (recipientSends.length >= recipientPerMinute) {
+      earliest(recipientSends[0].at + RATE_WINDOW_MS - now);
+      continue;
+    }
+
+    return { job };
+  }
+
+  return { waitMs };
+}
+
+// "text", the media type ("image", "document", ...) or the rich content type
+// ("location", "poll", ...), for metrics
+function jobType(job) {
+  if (job.contentType) return job.contentType;
+  if (job.media) return job.media.type || "image";
+  return "text";
+}
+
+async function sendJob(session, job) {
+  updateJob(job, { state: SENDING, attempts: job.attempts + 1 });
+  getHistory(session.id).push({ jid: job.jid, at: Date.now() });
+
+  try {
+    const result = await trackSend(session.id, jobType(job), () =>
+      session.sock.sendMessage(
+        job.jid,
+        buildContent(job),
+        job.quoted ? { quoted: job.quoted } : undefined
+      )
+    );
+
+    removeMediaFile(job);
+    updateJob(job, {
+      state: SENT,
+      messageId: result.key.id,
+      error: null,
+      sentAt: new Date().toISOString(),
+    });
+    jobEvents.emit(job.id, job);
+    bus.emit("sent", {
+      sessionId: session.id,
+      jobId: job.id,
+      messageId: result.key.id,
+      chat: job.jid,
+      raw: result,
+    });
+  } catch (error) {
+    console.error(`[${session.id}] Error sending message ${job.id}:`, error);
+
+    if (job.attempts >= maxAttempts) {
+      removeMediaFile(job);
+      updateJob(job, { state: FAILED, error: error.message });
+      jobEvents.emit(job.id, job);
+    } else {
+      updateJob(job, {
+        state: QUEUED,
+        error: error.message,
+        notBefore: Date.now() + retryDelay * job.attempts,
+      });
+    }
+  }
+}
+
+function scheduleDrain(sessionId, delay) {
+  clearTimeout(drainTimers.get(sessionId));
+  drainTimers.set(
+    sessionId,
+    setTimeout(() => {
+      drainTimers.delete(sessionId);
+      drain(sessionId);
+    }, Math.max(delay, 0))
+  );
+}
+
+// Send queued jobs for a session until the queue is empty, the session
+// disconnects or a rate limit is hit (then try again when it frees up)
+async function drain(sessionId) {
+  if (draining.has(sessionId)) return;
+  draining.add(sessionId);
+
+  try {
+    while (true) {
+      const session = getSession(sessionId);
+      if (!session) {
+        failSessionJobs(sessionId);
+        break;
+      }
+      if (!session.isReady || !session.sock) break;
+
+      const { job, waitMs } = nextJob(sessionId);
+      if (!job) {
+        if (typeof waitMs === "number") {
+          scheduleDrain(sessionId, waitMs);
+        }
+        break;
+      }
+
+      await sendJob(session, job);
+    }
+  } finally {
+    draining.delete(sessionId);
+  }
+}
+
+// Add a message to the outbox. media is { path, mimetype, filename, type }
+// of a file that the outbox takes ownership of (deleted once sent or failed).
+// For locations, contacts, polls and reactions, content is the ready-made
+// Baileys content and contentType its name. mentions are JIDs mentioned in
+// the text, quoted is the message being replied to.
+function enqueue({
+  sessionId,
+  jid,
+  text,
+  media,
+  content,
+  contentType,
+  mentions,
+  quoted,
+}) {
+  const now = new Date().toISOString();
+  const job = {
+    id: crypto.randomUUID(),
+    sessionId,
+    jid,
+    text: text || null,
+    media: media || null,
+    content: content || null,
+    contentType: contentType || null,
+    mentions: mentions || [],
+    quoted: quoted || null,
+    state: QUEUED,
+    attempts: 0,
+    messageId: null,
+    error: null,
+    notBefore: null,
+    createdAt: now,
+    updatedAt: now,
+    sentAt: null,
+  };
+  jobs.set(job.id, job);
+  saveJobs();
+
+  drain(sessionId);
+  return job;
+}
+
+// Resolve once the job is sent or failed, or after timeoutMs with the job
+// still pending
+function waitForJob(id, timeoutMs) {
+  const job = getJob(id);
+  if (!job || job.state === SENT || job.state === FAILED) {
+    return Promise.resolve(job);
+  }
+
+  return new Promise((resolve) => {
+    const onDone = (finishedJob) => {
+      clearTimeout(timer);
+      resolve(finishedJob);
+    };
+    const timer = setTimeout(() => {
+      jobEvents.removeListener(id, onDone);
+      resolve(getJob(id));
+    }, timeoutMs);
+    jobEvents.once(id, onDone);
+  });
+}
+
+// Fail the queued jobs of a session that no longer exists, they can't be sent
+function failSessionJobs(sessionId) {
+  for (const job of jobs.values()) {
+    if (job.sessionId !== sessionId || job.state !== QUEUED) continue;
+
+    removeMediaFile(job);
+    updateJob(job, {
+      state: FAILED,
+      error: `Session ${sessionId} no longer exists`,
+    });
+    jobEvents.emit(job.id, job);
+  }
+}
+
+// A send that was interrupted by a crash or restart may have reached
+// WhatsApp already, so it's failed rather than sent a second time
+for (const job of jobs.values()) {
+  if (job.state === SENDING) {
+    removeMediaFile(job);
+    updateJob(job, {
+      state: FAILED,
+      error:
+        "The server stopped while sending this message, it may or may not have been sent",
+    });
+  }
+}
+
+// Sessions are restored once the server has loaded, after that queued jobs
+// of sessions that are gone won't be sent anymore
+setImmediate(() => {
+  const sessionIds = new Set(
+    Array.from(jobs.values())
+      .filter((job) => job.state === QUEUED)
+      .map((job) => job.sessionId)
+  );
+  for (const sessionId of sessionIds) {
+    if (!getSession(sessionId)) failSessionJobs(sessionId);
+  }
+});
+
+// Start sending as soon as a session connects
+bus.on("connection", ({ sessionId, connection }) => {
+  if (connection === "open") {
+    drain(sessionId);
+  }
+});
+
+bus.on("session-removed", ({ sessionId }) => failSessionJobs(sessionId));
+
+module.exports = {
+  QUEUED,
+  SENDING,
+  SENT,
+  FAILED,
+  enqueue,
+  getJob,
+  waitForJob,
+  toPublicJob,
+};
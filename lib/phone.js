@@ -0,0 +1,86 @@
+const { config } = require("./config");
+
+// Phone number normalization. Numbers are accepted the way people write
+// them and turned into E.164 digits (country code + number, without "+"):
+//   "+62 812-3456-7890"  -> "6281234567890"  (international)
+//   "0062 812 3456 7890" -> "6281234567890"  (00 international prefix)
+//   "0812 3456 7890"     -> "6281234567890"  (local, gets DEFAULT_COUNTRY_CODE)
+//   "6281234567890"      -> "6281234567890"  (already has a country code)
+
+// Country code for local numbers starting with 0 (default: Indonesia)
+const defaultCountryCode = config.phone.defaultCountryCode;
+
+// E.164 allows at most 15 digits; anything under 8 can't be a full
+// international number
+const MIN_DIGITS = 8;
+const MAX_DIGITS = 15;
+
+// Separators people use when writing numbers
+const SEPARATORS = /[\s\-.()/]/g;
+
+function invalidNumber(input, reason) {
+  const error = new Error(`Invalid phone number "${input}": ${reason}`);
+  error.statusCode = 400;
+  return error;
+}
+
+// Normalize a phone number to E.164 digits. Throws an error with
+// statusCode 400 and a message saying what's wrong when it isn't valid.
+function normalizePhoneNumber(input, countryCode = defaultCountryCode) {
+  const value = String(input === undefined || input === null ? "" : input).trim();
+  const compact = value.replace(SEPARATORS, "");
+
+  if (!compact) {
+    throw invalidNumber(value, "the number is empty");
+  }
+  if (!/^\+?\d+$/.test(compact)) {
+    throw invalidNumber(
+      value,
+      "only digits, spaces, dashes, dots, parentheses and a leading + are allowed"
+    );
+  }
+
+  let digits;
+  if (compact.startsWith("+")) {
+    digits = compact.slice(1);
+  } else if (compact.startsWith("00")) {
+    digits = compact.slice(2);
+  } else if (compact.startsWith("0")) {
+    digits = countryCode + compact.slice(1);
+  } else {
+    digits = compact;
+  }
+
+  if (digits.startsWith("0")) {
+    throw invalidNumber(value, "country codes don't start with 0");
+  }
+  if (digits.length < MIN_DIGITS) {
+    throw invalidNumber(
+      value,
+      `too short (${digits.length} digits including the country code, at least ${MIN_DIGITS} expected)`
+    );
+  }
+  if (digits.length > MAX_DIGITS) {
+    throw invalidNumber(
+      value,
+      `too long (${digits.length} digits, at most ${MAX_DIGITS} allowed)`
+    );
+  }
+
+  return digits;
+}
+
+function isValidPhoneNumber(input, countryCode = defaultCountryCode) {
+  try {
+    normalizePhoneNumber(input, countryCode);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+module.exports = {
+  defaultCountryCode,
+  normalizePhoneNumber,
+  isValidPhoneNumber,
+};
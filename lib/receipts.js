@@ -0,0 +1,113 @@
+const bus = require("./events");
+const { readJson, writeJson } = require("./dataStore");
+
+const RECEIPTS_FILE = "receipts.json";
+
+// Receipts are kept this long after the last status change
+const RECEIPT_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Receipts often come in bursts (a group reading a message), so writes to
+// disk are batched
+const SAVE_DELAY_MS = 1000;
+
+// Order of statuses. Updates can arrive out of order, so the status of a
+// message only moves forward. "error" always wins.
+const STATUS_ORDER = ["pending", "server_ack", "delivered", "read", "played"];
+
+let receipts = readJson(RECEIPTS_FILE, {});
+let saveTimer = null;
+
+function saveReceipts() {
+  if (saveTimer) return;
+
+  saveTimer = setTimeout(() => {
+    saveTimer = null;
+
+    const cutoff = Date.now() - RECEIPT_TTL_MS;
+    for (const [messageId, receipt] of Object.entries(receipts)) {
+      if (new Date(receipt.updatedAt).getTime() <= cutoff) {
+        delete receipts[messageId];
+      }
+    }
+
+    try {
+      writeJson(RECEIPTS_FILE, receipts);
+    } catch (error) {
+      console.error("Error saving receipts:", error);
+    }
+  }, SAVE_DELAY_MS);
+  saveTimer.unref();
+}
+
+function isNewer(status, current) {
+  if (current === "error") return false;
+  if (status === "error") return true;
+  return STATUS_ORDER.indexOf(status) > STATUS_ORDER.indexOf(current);
+}
+
+// Record a status change of a sent message. participant is set for receipts
+// from a single member of a group; those only update that member's status.
+function recordStatus({ sessionId, messageId, chat, status, participant }) {
+  const now = new Date().toISOString();
+
+  let receipt = receipts[messageId];
+  if (!receipt) {
+    receipt = {
+      messageId,
+      sessionId,
+      chat,
+      status: null,
+      history: [],
+      participants: {},
+      createdAt: now,
+      updatedAt: now,
+    };
+    receipts[messageId] = receipt;
+  }
+
+  if (participant) {
+    const current = receipt.participants[participant];
+    if (current && !isNewer(status, current)) return receipt;
+    receipt.participants[participant] = status;
+  } else {
+    if (receipt.status && !isNewer(status, receipt.status)) return receipt;
+    receipt.status = status;
+  }
+
+  receipt.history.push(participant ? { status, participant, at: now } : { status, at: now });
+  receipt.updatedAt = now;
+  saveReceipts();
+  return receipt;
+}
+
+function getReceipt(messageId) {
+  return receipts[messageId] || null;
+}
+
+function toPublicReceipt(receipt) {
+  return {
+    messageId: receipt.messageId,
+    sessionId: receipt.sessionId,
+    chat: receipt.chat,
+    status: receipt.status,
+    history: receipt.history,
+    participants: receipt.participants,
+    updatedAt: receipt.updatedAt,
+  };
+}
+
+// A message handed to WhatsApp starts out pending
+bus.on("sent", ({ sessionId, messageId, chat }) => {
+  recordStatus({ sessionId, messageId, chat, status: "pending" });
+});
+
+bus.on("receipt", (receipt) => {
+  recordStatus(receipt);
+});
+
+module.exports = {
+  STATUS_ORDER,
+  recordStatus,
+  getReceipt,
+  toPublicReceipt,
+};
@@ -0,0 +1,271 @@
+const path = require("path");
+const fs = require("fs");
+const dns = require("dns");
+const net = require("net");
+const http = require("http");
+const https = require("https");
+const fetch = require("node-fetch");
+const { uploadsDir } = require("./upload");
+const {
+  MAX_FILE_SIZE,
+  MAX_FILE_SIZE_LABEL,
+  extensionFor,
+  sniffMimetype,
+} = require("./media");
+const { uploadSize } = require("./metrics");
+const { invalid } = require("./requests");
+const { config } = require("./config");
+
+const DOWNLOAD_TIMEOUT_MS = 30000;
+const MAX_REDIRECTS = 5;
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+const BLOCKED_HOST_CODE = "MEDIA_URL_BLOCKED";
+
+// Addresses mediaUrl may not point at: this machine, private networks and
+// link-local ones (cloud metadata at 169.254.169.254). Otherwise any key with
+// the send scope could make the server fetch internal URLs and get the
+// response back as an attachment. uploads.urlAllowedHosts lifts this for
+// hosts that are meant to be used.
+const blockedAddresses = new net.BlockList();
+for (const [address, prefix] of [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4],
+]) {
+  blockedAddresses.addSubnet(address, prefix, "ipv4");
+}
+for (const [address, prefix] of [
+  ["::", 127], // unspecified and loopback
+  ["::ffff:0:0", 96], // IPv4-mapped
+  ["64:ff9b::", 96], // NAT64
+  ["fc00::", 7], // unique local (fd00:ec2::254 is AWS metadata)
+  ["fe80::", 10],
+  ["ff00::", 8],
+]) {
+  blockedAddresses.addSubnet(address, prefix, "ipv6");
+}
+
+function isBlockedAddress(address) {
+  return blockedAddresses.check(address, net.isIPv6(address) ? "ipv6" : "ipv4");
+}
+
+function isAllowedHost(hostname) {
+  return config.uploads.urlAllowedHosts.includes(hostname.toLowerCase());
+}
+
+function blockedHostMessage(hostname) {
+  return `mediaUrl points to ${hostname}, a local or private address. Add the host to MEDIA_URL_ALLOWED_HOSTS to allow it.`;
+}
+
+// dns.lookup for the download's connections, so the addresses checked are
+// the ones connected to (a second lookup could answer differently)
+function checkedLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+
+    const addresses = Array.isArray(address) ? address : [{ address }];
+    if (
+      !isAllowedHost(hostname) &&
+      addresses.some((entry) => isBlockedAddress(entry.address))
+    ) {
+      const blocked = new Error(blockedHostMessage(hostname));
+      blocked.code = BLOCKED_HOST_CODE;
+      return callback(blocked);
+    }
+    callback(null, address, family);
+  });
+}
+
+const httpAgent = new http.Agent({ lookup: checkedLookup });
+const httpsAgent = new https.Agent({ lookup: checkedLookup });
+
+// Check a URL before requesting it, the first one and every redirect.
+// Connections to IP addresses skip the lookup, so those are checked here.
+function checkMediaUrl(url) {
+  let parsedUrl;
+  try {
+    parsedUrl = new URL(url);
+  } catch (error) {
+    parsedUrl = null;
+  }
+  if (!parsedUrl || !["http:", "https:"].includes(parsedUrl.protocol)) {
+    throw invalid("mediaUrl must be a valid http(s) URL");
+  }
+
+  const hostname = parsedUrl.hostname.replace(/^\[|\]$/g, "");
+  if (
+    net.isIP(hostname) &&
+    isBlockedAddress(hostname) &&
+    !isAllowedHost(hostname)
+  ) {
+    throw invalid(blockedHostMessage(hostname));
+  }
+}
+
+// Fetch the URL, following redirects one at a time so each one is checked
+async function fetchMedia(url) {
+  for (let redirects = 0; ; redirects++) {
+    checkMediaUrl(url);
+
+    let response;
+    try {
+      response = await fetch(url, {
+        timeout: DOWNLOAD_TIMEOUT_MS,
+        size: MAX_FILE_SIZE,
+        redirect: "manual",
+        agent: (parsedUrl) =>
+          parsedUrl.protocol === "https:" ? httpsAgent : httpAgent,
+      });
+    } catch (error) {
+      if (error.code === BLOCKED_HOST_CODE) {
+        throw invalid(blockedHostMessage(new URL(url).hostname));
+      }
+      throw invalid(`Could not download mediaUrl: ${error.message}`);
+    }
+
+    const location = response.headers.get("location");
+    if (!REDIRECT_STATUSES.includes(response.status) || !location) {
+      return { response, url };
+    }
+    if (redirects === MAX_REDIRECTS) {
+      throw invalid("Could not download mediaUrl: too many redirects");
+    }
+    url = new URL(location, url).toString();
+  }
+}
+
+// Pick the mimetype of downloaded/decoded media. An explicit mimetype wins,
+// then what the bytes look like, then what the server or data URL claimed.
+function chooseMimetype(buffer, explicit, claimed) {
+  const clean = (value) => (value || "").split(";")[0].trim().toLowerCase();
+  return clean(explicit) || sniffMimetype(buffer) || clean(claimed) || null;
+}
+
+// Make sure the filename has an extension matching the mimetype, which is
+// what the upload checks look at
+function chooseFilename(filename, mimetype) {
+  const ext = extensionFor(mimetype);
+  const base = path.basename(filename || "") || "file";
+  if (!ext || path.extname(base).toLowerCase() === ext) return base;
+  if (ext === ".jpg" && path.extname(base).toLowerCase() === ".jpeg") return base;
+  return base + ext;
+}
+
+// Save media to uploads/ and return it shaped like a multer file
+function saveMedia(buffer, mimetype, filename) {
+  const name = chooseFilename(filename, mimetype);
+  const uniqueSuffix = Date.now() + "-" + Math.round(Math.random() * 1e9);
+  const filePath = path.join(
+    uploadsDir,
+    "media-" + uniqueSuffix + path.extname(name)
+  );
+  fs.writeFileSync(filePath, buffer);
+
+  return {
+    path: filePath,
+    originalname: name,
+    mimetype,
+    size: buffer.length,
+  };
+}
+
+function filenameFromResponse(response, url) {
+  const disposition = response.headers.get("content-disposition") || "";
+  const match = disposition.match(/filename\*?=(?:UTF-8'')?"?([^";]+)"?/i);
+  if (match) return decodeURIComponent(match[1]);
+  return decodeURIComponent(path.basename(new URL(url).pathname));
+}
+
+// Download media from a URL, enforcing the upload size limit
+async function downloadMedia(mediaUrl, { mimetype, filename } = {}) {
+  const { response, url } = await fetchMedia(mediaUrl);
+
+  if (!response.ok) {
+    throw invalid(
+      `Could not download mediaUrl: the server responded with HTTP ${response.status}`
+    );
+  }
+
+  const contentLength = parseInt(response.headers.get("content-length"), 10);
+  if (contentLength > MAX_FILE_SIZE) {
+    throw invalid(`Media is larger than the ${MAX_FILE_SIZE_LABEL} limit`, 413);
+  }
+
+  let buffer;
+  try {
+    buffer = await response.buffer();
+  } catch (error) {
+    // node-fetch rejects with type "max-size" once the size limit is hit
+    if (error.type === "max-size") {
+      throw invalid(`Media is larger than the ${MAX_FILE_SIZE_LABEL} limit`, 413);
+    }
+    throw invalid(`Could not download mediaUrl: ${error.message}`);
+  }
+
+  uploadSize.observe({ source: "url" }, buffer.length);
+  const type = chooseMimetype(buffer, mimetype, response.headers.get("content-type"));
+  return saveMedia(buffer, type, filename || filenameFromResponse(response, url));
+}
+
+// Decode base64 media, either plain or as a data URL
+// ("data:application/pdf;base64,JVBERi0...")
+function decodeMedia(data, { mimetype, filename } = {}) {
+  let claimed = null;
+  let base64 = String(data);
+
+  const dataUrl = base64.match(/^data:([^;,]+)?(?:;[^,]*)?;base64,(.*)$/s);
+  if (dataUrl) {
+    claimed = dataUrl[1];
+    base64 = dataUrl[2];
+  }
+
+  base64 = base64.replace(/\s/g, "");
+  if (!/^[A-Za-z0-9+/_-]*={0,2}$/.test(base64)) {
+    throw invalid("mediaBase64 is not valid base64");
+  }
+
+  // Check the size before decoding (3 bytes per 4 characters)
+  if (Math.floor((base64.length * 3) / 4) > MAX_FILE_SIZE + 2) {
+    throw invalid(`Media is larger than the ${MAX_FILE_SIZE_LABEL} limit`, 413);
+  }
+
+  const buffer = Buffer.from(base64, "base64");
+  if (buffer.length === 0) {
+    throw invalid("mediaBase64 is empty");
+  }
+  if (buffer.length > MAX_FILE_SIZE) {
+    throw invalid(`Media is larger than the ${MAX_FILE_SIZE_LABEL} limit`, 413);
+  }
+
+  uploadSize.observe({ source: "base64" }, buffer.length);
+  return saveMedia(buffer, chooseMimetype(buffer, mimetype, claimed), filename);
+}
+
+// The media file of a send request: an upload, mediaUrl or mediaBase64.
+// Returns a multer-like file object (or null), throwing errors with a
+// statusCode for bad input.
+async function getRequestMedia(req) {
+  if (req.file) return req.file;
+
+  const { mediaUrl, mediaBase64, mimetype, filename } = req.body;
+  if (mediaUrl && mediaBase64) {
+    throw invalid("Send either mediaUrl or mediaBase64, not both");
+  }
+  if (mediaUrl) return downloadMedia(mediaUrl, { mimetype, filename });
+  if (mediaBase64) return decodeMedia(mediaBase64, { mimetype, filename });
+  return null;
+}
+
+module.exports = {
+  downloadMedia,
+  decodeMedia,
+  getRequestMedia,
+};
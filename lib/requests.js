@@ -0,0 +1,59 @@
+const { codeForStatus, sendError } = require("./errors");
+
+// Helpers for routes and the modules that check what requests send
+
+// An error for invalid input. The message suits the response; statusCode
+// says which one (400 unless given).
+function invalid(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function isPlainObject(value) {
+  return !!value && typeof value === "object" && !Array.isArray(value);
+}
+
+function isNonEmptyString(value) {
+  return typeof value === "string" && value.trim() !== "";
+}
+
+// Express middleware for routes that need a connected session
+function requireReady(req, res, next) {
+  const session = req.waSession;
+  if (!session.isReady || !session.sock) {
+    return sendError(
+      res,
+      400,
+      "BAD_REQUEST",
+      "WhatsApp client is not ready. Please scan QR code first."
+    );
+  }
+  next();
+}
+
+// Log a WhatsApp call that failed and answer with its error. WhatsApp
+// answers failed requests with a status code (403 when we aren't a group
+// admin, 404 for unknown groups, ...); client errors are passed on,
+// everything else is a 500.
+function sendActionError(req, res, action, error) {
+  console.error(`[${req.waSession.id}] Error trying to ${action}:`, error);
+
+  const status =
+    error.statusCode || error.output?.statusCode || error.data?.code;
+  const statusCode = status >= 400 && status < 500 ? status : 500;
+  sendError(
+    res,
+    statusCode,
+    codeForStatus(statusCode),
+    `Failed to ${action}: ${error.message || "Unknown error"}`
+  );
+}
+
+module.exports = {
+  invalid,
+  isPlainObject,
+  isNonEmptyString,
+  requireReady,
+  sendActionError,
+};
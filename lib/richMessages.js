@@ -0,0 +1,241 @@
+const { findMessage, messageKey } = require("./store");
+const { normalizePhoneNumber, isValidPhoneNumber } = require("./phone");
+const { invalid, isPlainObject, isNonEmptyString } = require("./requests");
+
+// Message kinds other than text and media that /send-message accepts, each
+// as an object field of the same name
+const RICH_TYPES = ["location", "contact", "poll", "reaction"];
+
+const MAX_POLL_OPTIONS = 12;
+
+// "@0812..." or "@62812..." in the text of group messages
+const MENTION_PATTERN = /@(\+?\d[\d-]{6,18}\d)/g;
+
+function buildLocation(location) {
+  const latitude = Number(location.latitude);
+  const longitude = Number(location.longitude);
+
+  if (
+    location.latitude === undefined ||
+    isNaN(latitude) ||
+    latitude < -90 ||
+    latitude > 90
+  ) {
+    throw invalid("location.latitude must be a number between -90 and 90");
+  }
+  if (
+    location.longitude === undefined ||
+    isNaN(longitude) ||
+    longitude < -180 ||
+    longitude > 180
+  ) {
+    throw invalid("location.longitude must be a number between -180 and 180");
+  }
+  for (const field of ["name", "address"]) {
+    if (location[field] !== undefined && typeof location[field] !== "string") {
+      throw invalid(`location.${field} must be a string`);
+    }
+  }
+
+  return {
+    location: {
+      degreesLatitude: latitude,
+      degreesLongitude: longitude,
+      name: location.name || undefined,
+      address: location.address || undefined,
+    },
+  };
+}
+
+// vCard values can't contain line breaks, and ; , \ must be escaped
+function escapeVcard(value) {
+  return String(value)
+    .replace(/[\r\n]+/g, " ")
+    .replace(/([;,\\])/g, "\\$1");
+}
+
+function buildVcard({ name, number, organization, email }) {
+  const digits = normalizePhoneNumber(number);
+  const lines = [
+    "BEGIN:VCARD",
+    "VERSION:3.0",
+    `FN:${escapeVcard(name)}`,
+  ];
+  if (organization) lines.push(`ORG:${escapeVcard(organization)};`);
+  // waid makes WhatsApp show the "Message" button for the number
+  lines.push(`TEL;type=CELL;type=VOICE;waid=${digits}:+${digits}`);
+  if (email) lines.push(`EMAIL:${escapeVcard(email)}`);
+  lines.push("END:VCARD");
+  return lines.join("\n");
+}
+
+// One contact ({ name, number, organization, email }) or an array of them
+function buildContact(contact) {
+  const contacts = Array.isArray(contact) ? contact : [contact];
+  if (contacts.length === 0) {
+    throw invalid("contact must have at least one entry");
+  }
+
+  const vcards = contacts.map((entry, index) => {
+    const label = contacts.length > 1 ? `contact[${index}]` : "contact";
+    if (!isPlainObject(entry)) {
+      throw invalid(`${label} must be an object with name and number`);
+    }
+    if (!isNonEmptyString(entry.name)) {
+      throw invalid(`${label}.name is required`);
+    }
+    if (!entry.number) {
+      throw invalid(`${label}.number is required`);
+    }
+    try {
+      return { displayName: entry.name, vcard: buildVcard(entry) };
+    } catch (error) {
+      throw invalid(`${label}.number: ${error.message}`);
+    }
+  });
+
+  return {
+    contacts: {
+      displayName:
+        vcards.length === 1 ? vcards[0].displayName : `${vcards.length} contacts`,
+      contacts: vcards,
+    },
+  };
+}
+
+// { name, options: [...], selectableCount } - selectableCount defaults to 1,
+// 0 lets people pick any number of options
+function buildPoll(poll) {
+  if (!isNonEmptyString(poll.name)) {
+    throw invalid("poll.name is required");
+  }
+  const { options } = poll;
+  if (
+    !Array.isArray(options) ||
+    options.length < 2 ||
+    options.length > MAX_POLL_OPTIONS ||
+    !options.every(isNonEmptyString)
+  ) {
+    throw invalid(
+      `poll.options must be an array of 2 to ${MAX_POLL_OPTIONS} non-empty strings`
+    );
+  }
+  if (new Set(options).size !== options.length) {
+    throw invalid("poll.options must not contain duplicates");
+  }
+
+  const selectableCount =
+    poll.selectableCount === undefined ? 1 : poll.selectableCount;
+  if (
+    !Number.isInteger(selectableCount) ||
+    selectableCount < 0 ||
+    selectableCount > options.length
+  ) {
+    throw invalid(
+      "poll.selectableCount must be an integer from 0 (any number) to the number of options"
+    );
+  }
+
+  return {
+    poll: {
+      name: poll.name,
+      values: options,
+      selectableCount,
+    },
+  };
+}
+
+// Messages can only be reacted to or replied to when they're in the local
+// message store, which has the details WhatsApp needs
+function findTarget(sessionId, jid, messageId, action) {
+  if (!isNonEmptyString(messageId)) {
+    throw invalid(`The ID of the message to ${action} is required`);
+  }
+  const message = findMessage(sessionId, jid, messageId);
+  if (!message) {
+    throw invalid(
+      `Message ${messageId} not found in the chat history of ${jid}`,
+      404
+    );
+  }
+  return message;
+}
+
+// { messageId, emoji } - an empty emoji removes the reaction
+function buildReaction(sessionId, jid, reaction) {
+  const target = findTarget(sessionId, jid, reaction.messageId, "react to");
+  if (typeof reaction.emoji !== "string" || reaction.emoji.length > 16) {
+    throw invalid('reaction.emoji must be an emoji, or "" to remove the reaction');
+  }
+
+  return {
+    react: {
+      text: reaction.emoji,
+      key: messageKey(target),
+    },
+  };
+}
+
+// Build the Baileys content for a location, contact, poll or reaction in a
+// /send-message body. Returns { type, content }, or null when the body has
+// none of them. Throws errors with a statusCode for invalid requests.
+function buildRichContent(sessionId, jid, body) {
+  const present = RICH_TYPES.filter(
+    (type) => body[type] !== undefined && body[type] !== null
+  );
+  if (present.length === 0) return null;
+  if (present.length > 1) {
+    throw invalid(`Only one of ${RICH_TYPES.join(", ")} can be sent at a time`);
+  }
+
+  const type = present[0];
+  const value = body[type];
+  if (!(type === "contact" && Array.isArray(value)) && !isPlainObject(value)) {
+    throw invalid(`${type} must be an object`);
+  }
+
+  switch (type) {
+    case "location":
+      return { type, content: buildLocation(value) };
+    case "contact":
+      return { type, content: buildContact(value) };
+    case "poll":
+      return { type, content: buildPoll(value) };
+    case "reaction":
+      return { type, content: buildReaction(sessionId, jid, value) };
+  }
+}
+
+// The quoted message for a reply, in the shape Baileys expects
+function buildQuoted(sessionId, jid, messageId) {
+  const target = findTarget(sessionId, jid, messageId, "reply to");
+  return {
+    key: messageKey(target),
+    message: { conversation: target.text || "" },
+  };
+}
+
+// Turn "@0812..." in a group message into mentions. Numbers are rewritten
+// in E.164 form so WhatsApp highlights them. Returns { text, mentions }.
+function resolveMentions(text, jid) {
+  if (!text || !jid.endsWith("@g.us")) {
+    return { text, mentions: [] };
+  }
+
+  const mentions = new Set();
+  const resolved = text.replace(MENTION_PATTERN, (match, number) => {
+    if (!isValidPhoneNumber(number)) return match;
+    const digits = normalizePhoneNumber(number);
+    mentions.add(`${digits}@s.whatsapp.net`);
+    return `@${digits}`;
+  });
+
+  return { text: resolved, mentions: Array.from(mentions) };
+}
+
+module.exports = {
+  RICH_TYPES,
+  buildRichContent,
+  buildQuoted,
+  resolveMentions,
+};
@@ -0,0 +1,238 @@
+const crypto = require("crypto");
+const path = require("path");
+const fs = require("fs");
+const { enqueue } = require("./outbox");
+const { isValidCron, nextCronDate } = require("./cron");
+const { uploadsDir } = require("./upload");
+const { dataDir, readJson, writeJson } = require("./dataStore");
+
+const SCHEDULES_FILE = "schedules.json";
+
+// Media of scheduled messages is kept here until the schedule is done,
+// every run sends a copy through the outbox
+const scheduleMediaDir = path.join(dataDir, "schedule-media");
+
+const CHECK_INTERVAL_MS = 10000;
+
+// Schedule states
+const SCHEDULED = "scheduled";
+const COMPLETED = "completed";
+const CANCELLED = "cancelled";
+const FAILED = "failed";
+
+let schedules = readJson(SCHEDULES_FILE, []);
+
+function saveSchedules() {
+  try {
+    writeJson(SCHEDULES_FILE, schedules);
+  } catch (error) {
+    console.error("Error saving schedules:", error);
+  }
+}
+
+// Throws if recurrence isn't "daily", "weekly" or a cron expression
+function validateRecurrence(recurrence) {
+  if (!recurrence || recurrence === "daily" || recurrence === "weekly") return;
+  if (!isValidCron(recurrence)) {
+    throw new Error(
+      'recurrence must be "daily", "weekly" or a cron expression like "0 9 * * 1-5"'
+    );
+  }
+  if (!nextCronDate(recurrence, new Date())) {
+    throw new Error(
+      `recurrence "${recurrence}" never matches a date (like February 30)`
+    );
+  }
+}
+
+// Next run after `after`, or null when a one-off schedule is done
+function nextRunAfter(schedule, after) {
+  const { recurrence } = schedule;
+  if (!recurrence) return null;
+
+  if (recurrence === "daily" || recurrence === "weekly") {
+    const days = recurrence === "daily" ? 1 : 7;
+    const next = new Date(schedule.nextRunAt);
+    // Catch up past missed runs (e.g. the server was down for a while)
+    while (next <= after) {
+      next.setDate(next.getDate() + days);
+    }
+    return next;
+  }
+
+  return nextCronDate(recurrence, after);
+}
+
+function getSchedule(id) {
+  return schedules.find((schedule) => schedule.id === id) || null;
+}
+
+function listSchedules(sessionId) {
+  return schedules.filter((schedule) => schedule.sessionId === sessionId);
+}
+
+function toPublicSchedule(schedule) {
+  return {
+    id: schedule.id,
+    sessionId: schedule.sessionId,
+    to: schedule.jid,
+    message: schedule.text,
+    hasMedia: !!schedule.media,
+    mediaType: schedule.media ? schedule.media.type || "image" : null,
+    sendAt: schedule.sendAt,
+    recurrence: schedule.recurrence,
+    nextRunAt: schedule.nextRunAt,
+    state: schedule.state,
+    runs: schedule.runs,
+    lastRunAt: schedule.lastRunAt,
+    lastJobId: schedule.lastJobId,
+    lastError: schedule.lastError || null,
+    createdAt: schedule.createdAt,
+  };
+}
+
+function removeScheduleMedia(schedule) {
+  if (schedule.media && fs.existsSync(schedule.media.path)) {
+    try {
+      fs.unlinkSync(schedule.media.path);
+    } catch (error) {
+      console.error("Error deleting scheduled media:", error);
+    }
+  }
+}
+
+// Create a schedule. sendAt is the first run; for cron recurrences it may be
+// omitted and the first run is the next match of the expression. media is an
+// uploaded file that the scheduler takes ownership of.
+function createSchedule({ sessionId, jid, text, media, sendAt, recurrence }) {
+  validateRecurrence(recurrence);
+
+  let firstRun = sendAt ? new Date(sendAt) : null;
+  if (!firstRun && recurrence && isValidCron(recurrence)) {
+    firstRun = nextCronDate(recurrence, new Date());
+  }
+  if (!firstRun || isNaN(firstRun.getTime())) {
+    throw new Error("sendAt must be a valid ISO 8601 date");
+  }
+
+  const id = crypto.randomUUID();
+
+  let storedMedia = null;
+  if (media) {
+    if (!fs.existsSync(scheduleMediaDir)) {
+      fs.mkdirSync(scheduleMediaDir, { recursive: true });
+    }
+    const mediaPath = path.join(scheduleMediaDir, id + path.extname(media.path));
+    fs.renameSync(media.path, mediaPath);
+    storedMedia = { ...media, path: mediaPath };
+  }
+
+  const schedule = {
+    id,
+    sessionId,
+    jid,
+    text: text || null,
+    media: storedMedia,
+    sendAt: firstRun.toISOString(),
+    recurrence: recurrence || null,
+    nextRunAt: firstRun.toISOString(),
+    state: SCHEDULED,
+    runs: 0,
+    lastRunAt: null,
+    lastJobId: null,
+    lastError: null,
+    createdAt: new Date().toISOString(),
+  };
+  schedules.push(schedule);
+  saveSchedules();
+  return schedule;
+}
+
+function cancelSchedule(id) {
+  const schedule = getSchedule(id);
+  if (!schedule || schedule.state !== SCHEDULED) return schedule;
+
+  schedule.state = CANCELLED;
+  schedule.nextRunAt = null;
+  removeScheduleMedia(schedule);
+  saveSchedules();
+  return schedule;
+}
+
+// Hand a due schedule to the outbox, which sends it once the session is ready
+function runSchedule(schedule, now) {
+  let media = null;
+  if (schedule.media) {
+    if (!fs.existsSync(schedule.media.path)) {
+      throw new Error("The media file of this schedule is missing");
+    }
+    // The outbox deletes its file after sending, so give it a copy
+    const copyPath = path.join(
+      uploadsDir,
+      `scheduled-${schedule.id}-${Date.now()}${path.extname(schedule.media.path)}`
+    );
+    fs.copyFileSync(schedule.media.path, copyPath);
+    media = { ...schedule.media, path: copyPath };
+  }
+
+  const job = enqueue({
+    sessionId: schedule.sessionId,
+    jid: schedule.jid,
+    text: schedule.text,
+    media,
+  });
+
+  schedule.runs += 1;
+  schedule.lastRunAt = now.toISOString();
+  schedule.lastJobId = job.id;
+
+  const next = nextRunAfter(schedule, now);
+  if (next) {
+    schedule.nextRunAt = next.toISOString();
+  } else {
+    schedule.state = COMPLETED;
+    schedule.nextRunAt = null;
+    removeScheduleMedia(schedule);
+  }
+}
+
+function checkSchedules() {
+  const now = new Date();
+  let changed = false;
+
+  for (const schedule of schedules) {
+    if (schedule.state !== SCHEDULED) continue;
+    if (new Date(schedule.nextRunAt) > now) continue;
+
+    try {
+      runSchedule(schedule, now);
+    } catch (error) {
+      // It would fail the same way on every check (e.g. its media is gone)
+      console.error(`Error running schedule ${schedule.id}, giving up:`, error);
+      schedule.state = FAILED;
+      schedule.nextRunAt = null;
+      schedule.lastError = error.message;
+      removeScheduleMedia(schedule);
+    }
+    changed = true;
+  }
+
+  if (changed) saveSchedules();
+}
+
+// Schedules that came due while the server was down fire on the first check
+setInterval(checkSchedules, CHECK_INTERVAL_MS).unref();
+setImmediate(checkSchedules);
+
+module.exports = {
+  SCHEDULED,
+  COMPLETED,
+  CANCELLED,
+  FAILED,
+  validateRecurrence,
+  createSchedule,
+  cancelSchedule,
+  getSchedule,
+  listSchedules,
+  toPublicSchedule,
+};
@@ -0,0 +1,99 @@
+const { BufferJSON } = require("@whiskeysockets/baileys");
+const bus = require("./events");
+const { readJson, writeJson } = require("./dataStore");
+const { config } = require("./config");
+
+const SENT_MESSAGES_FILE = "sent-messages.json";
+
+// Messages can be edited, deleted and forwarded this long after sending
+const SENT_MESSAGE_TTL_MS = config.sentMessages.ttlDays * 24 * 60 * 60 * 1000;
+
+const SAVE_DELAY_MS = 1000;
+
+// Key and content of every message sent through the outbox, by
+// "<sessionId>/<messageId>". Content has binary fields (media keys), so it
+// is stored with Baileys' BufferJSON encoding.
+let sentMessages = readJson(SENT_MESSAGES_FILE, {});
+let saveTimer = null;
+
+function saveSentMessages() {
+  if (saveTimer) return;
+
+  saveTimer = setTimeout(() => {
+    saveTimer = null;
+
+    const cutoff = Date.now() - SENT_MESSAGE_TTL_MS;
+    for (const [id, sent] of Object.entries(sentMessages)) {
+      if (new Date(sent.sentAt).getTime() <= cutoff) {
+        delete sentMessages[id];
+      }
+    }
+
+    try {
+      writeJson(SENT_MESSAGES_FILE, sentMessages);
+    } catch (error) {
+      console.error("Error saving sent messages:", error);
+    }
+  }, SAVE_DELAY_MS);
+  saveTimer.unref();
+}
+
+function encode(value) {
+  return JSON.parse(JSON.stringify(value, BufferJSON.replacer));
+}
+
+function decode(value) {
+  return JSON.parse(JSON.stringify(value), BufferJSON.reviver);
+}
+
+function rememberSentMessage(sessionId, raw) {
+  if (!raw || !raw.key || !raw.key.id) return;
+
+  sentMessages[`${sessionId}/${raw.key.id}`] = {
+    sessionId,
+    chat: raw.key.remoteJid,
+    key: raw.key,
+    message: encode(raw.message || null),
+    sentAt: new Date().toISOString(),
+  };
+  saveSentMessages();
+}
+
+// The full message ({ key, message }) of a message sent to jid, ready to
+// pass to Baileys, or null when it wasn't sent through the API (or expired)
+function getSentMessage(sessionId, jid, messageId) {
+  const sent = sentMessages[`${sessionId}/${messageId}`];
+  if (!sent || sent.chat !== jid) return null;
+
+  return {
+    key: sent.key,
+    message: decode(sent.message),
+  };
+}
+
+// Keep an edited text so later forwards send the new version
+function updateSentText(sessionId, messageId, text) {
+  const sent = sentMessages[`${sessionId}/${messageId}`];
+  if (!sent) return;
+
+  sent.message = { conversation: text };
+  saveSentMessages();
+}
+
+function forgetSentMessage(sessionId, messageId) {
+  const id = `${sessionId}/${messageId}`;
+  if (!sentMessages[id]) return;
+
+  delete sentMessages[id];
+  saveSentMessages();
+}
+
+bus.on("sent", ({ sessionId, raw }) => {
+  rememberSentMessage(sessionId, raw);
+});
+
+module.exports = {
+  getSentMessage,
+  updateSentText,
+  forgetSentMessage,
+};
@@ -0,0 +1,639 @@
+const {
+  default: makeWASocket,
+  fetchLatestBaileysVersion,
+} = require("@whiskeysockets/baileys");
+const pino = require("pino");
+const bus = require("./events");
+const { MESSAGE_STATUSES, normalizeMessage } = require("./messages");
+const { saveIncomingMedia } = require("./incomingMedia");
+const { config } = require("./config");
+const {
+  classifyDisconnect,
+  maxReconnectAttempts,
+  reconnectDelay,
+} = require("./disconnects");
+const {
+  countIncoming,
+  setConnectionState,
+  disconnects: disconnectsMetric,
+  reconnectAttempts: reconnectAttemptsMetric,
+} = require("./metrics");
+const {
+  loadAuthState,
+  clearAuthState,
+  listStoredSessionIds,
+} = require("./authStore");
+const { readJson, writeJson } = require("./dataStore");
+
+const DEFAULT_SESSION_ID = "default";
+
+const STOPPED_SESSIONS_FILE = "stopped-sessions.json";
+
+// How long /connect waits for WhatsApp to hand out a pairing code
+const PAIRING_CODE_TIMEOUT_MS = 30000;
+
+// Disconnects kept per session for /status
+const DISCONNECT_HISTORY_SIZE = 20;
+
+// Session IDs end up in folder names, so keep them simple
+const SESSION_ID_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/;
+
+const sessions = new Map();
+
+// Sessions deleted without logging out. Their credentials are kept so they
+// can be created again, but they aren't started on the next restart.
+const stoppedSessionIds = new Set(readJson(STOPPED_SESSIONS_FILE, []));
+
+function saveStoppedSessionIds() {
+  try {
+    writeJson(STOPPED_SESSIONS_FILE, Array.from(stoppedSessionIds));
+  } catch (error) {
+    console.error("Error saving stopped sessions:", error);
+  }
+}
+
+function isValidSessionId(id) {
+  return typeof id === "string" && SESSION_ID_PATTERN.test(id);
+}
+
+// Create the in-memory state for a session (does not connect)
+function createSession(id) {
+  return {
+    id,
+    sock: null,
+    qrCodeData: null,
+    // Set when linking with a phone number instead of a QR code
+    pairingNumber: null,
+    pairingCode: null,
+    isReady: false,
+    userInfo: null, // Store user info when connected
+    connectedAt: null,
+    reconnectTimer: null,
+    // Failed reconnects in a row, reset once connected or by /connect
+    reconnectAttempts: 0,
+    nextReconnectAt: null,
+    // Latest first, at most DISCONNECT_HISTORY_SIZE
+    disconnects: [],
+    disconnectsTotal: 0,
+    stopped: false, // Set when the session is removed, stops the reconnect loop
+  };
+}
+
+function scheduleReconnect(session, delay) {
+  if (session.stopped) return;
+
+  clearTimeout(session.reconnectTimer);
+  session.nextReconnectAt = new Date(Date.now() + delay).toISOString();
+  session.reconnectTimer = setTimeout(() => {
+    session.reconnectTimer = null;
+    session.nextReconnectAt = null;
+    console.log(`[${session.id}] Reconnecting...`);
+    initializeWhatsApp(session, { reconnect: true });
+  }, delay);
+}
+
+// Decide what to do about a closed connection (or one that couldn't be
+// started), remember it for /status and act on it. See lib/disconnects.js.
+function handleDisconnect(session, error) {
+  const disconnect = classifyDisconnect(error);
+  const entry = {
+    at: new Date().toISOString(),
+    ...disconnect,
+    delayMs: null,
+  };
+
+  const maxAttempts = maxReconnectAttempts(disconnect);
+  if (disconnect.action === "reconnect") {
+    const attempt = session.reconnectAttempts + 1;
+    if (maxAttempts && attempt > maxAttempts) {
+      entry.action = "give-up";
+    } else {
+      session.reconnectAttempts = attempt;
+      entry.delayMs = reconnectDelay(attempt);
+    }
+  }
+
+  session.disconnects.unshift(entry);
+  session.disconnects.length = Math.min(
+    session.disconnects.length,
+    DISCONNECT_HISTORY_SIZE
+  );
+  session.disconnectsTotal++;
+  disconnectsMetric.inc({
+    session: session.id,
+    reason: entry.reason,
+    action: entry.action,
+  });
+  if (["reconnect", "restart", "relink"].includes(entry.action)) {
+    reconnectAttemptsMetric.inc({ session: session.id, reason: entry.reason });
+  }
+
+  bus.emit("connection", {
+    sessionId: session.id,
+    connection: "close",
+    statusCode: entry.statusCode,
+    reason: entry.reason,
+    action: entry.action,
+  });
+
+  switch (entry.action) {
+    case "restart":
+      console.log(`[${session.id}] WhatsApp asked for a restart, reconnecting`);
+      scheduleReconnect(session, 0);
+      break;
+
+    case "reconnect":
+      console.log(
+        `[${session.id}] Connection closed (${entry.reason}), reconnect attempt ${session.reconnectAttempts} in ${(entry.delayMs / 1000).toFixed(1)}s`
+      );
+      scheduleReconnect(session, entry.delayMs);
+      break;
+
+    case "give-up":
+      console.log(
+        `[${session.id}] ❌ Connection closed (${entry.reason}) and ${maxAttempts} reconnects failed. Giving up, call /connect to try again.`
+      );
+      break;
+
+    case "stop":
+      console.log(
+        `[${session.id}] ⚠️  The session was opened somewhere else (${entry.reason}). Not reconnecting, call /connect to take it back.`
+      );
+      break;
+
+    case "relink":
+    case "logged-out": {
+      const problem =
+        entry.action === "logged-out"
+          ? "was logged out from the phone"
+          : `has unusable credentials (${entry.reason})`;
+      console.log(
+        `[${session.id}] ❌ Session ${problem}. Deleting auth files...`
+      );
+      try {
+        deleteAuthState(session);
+        console.log(`[${session.id}] ✅ Auth files deleted.`);
+      } catch (error) {
+        console.error(`[${session.id}] Error deleting auth files:`, error);
+      }
+      bus.emit("logged-out", {
+        sessionId: session.id,
+        reason: entry.reason,
+        statusCode: entry.statusCode,
+        user: session.userInfo,
+        at: entry.at,
+      });
+
+      if (entry.action === "relink") {
+        // Start over with a new QR code
+        session.reconnectAttempts = 0;
+        scheduleReconnect(session, 0);
+      } else {
+        console.log(`[${session.id}] Call /connect to get a new QR code.`);
+      }
+      break;
+    }
+  }
+}
+
+// Publish messages that aren't new (history sync, our own messages)
+function emitHistory(session, { messages }) {
+  const normalized = [];
+  for (const msg of messages || []) {
+    if (!msg.message || !msg.key?.remoteJid) continue;
+    if (msg.key.remoteJid === "status@broadcast") continue;
+
+    try {
+      normalized.push(normalizeMessage(msg));
+    } catch (error) {
+      console.error(`[${session.id}] Error handling synced message:`, error);
+    }
+  }
+
+  if (normalized.length > 0) {
+    bus.emit("history", { sessionId: session.id, messages: normalized });
+  }
+}
+
+// Initialize WhatsApp Socket with Baileys. Reconnects scheduled after a
+// disconnect pass { reconnect: true }; any other call starts counting
+// failed attempts from zero.
+async function initializeWhatsApp(session, { reconnect = false } = {}) {
+  if (session.stopped) return;
+
+  if (!reconnect) {
+    session.reconnectAttempts = 0;
+  }
+
+  // Never keep two sockets alive for the same session
+  if (session.sock) {
+    closeSocket(session);
+  }
+
+  try {
+    // Credentials and keys, from the store selected with AUTH_STORE
+    const { state, saveCreds } = await loadAuthState(session.id);
+
+    // Fetch latest version
+    const { version, isLatest } = await fetchLatestBaileysVersion();
+    console.log(
+      `[${session.id}] Using WA v${version.join(".")}, isLatest: ${isLatest}`
+    );
+
+    const sock = makeWASocket({
+      version,
+      logger: pino({ level: "silent" }),
+      printQRInTerminal: false, // Disabled to avoid deprecation warning
+      auth: state,
+      browser: config.whatsapp.browser, // How the device shows up in WhatsApp
+      defaultQueryTimeoutMs: undefined,
+      syncFullHistory: false,
+      markOnlineOnConnect: true,
+    });
+    session.sock = sock;
+
+    // A pairing code is requested once per socket
+    let pairingRequested = false;
+
+    // Save credentials when updated
+    sock.ev.on("creds.update", saveCreds);
+
+    // Handle connection updates
+    sock.ev.on("connection.update", async (update) => {
+      // Ignore events from a socket that has since been replaced
+      if (session.sock !== sock) return;
+
+      const { connection, lastDisconnect, qr } = update;
+
+      // Linking with a phone number: WhatsApp is ready for pairing once it
+      // offers a QR code, but the code is shown instead
+      if (qr && session.pairingNumber && !state.creds.registered) {
+        if (!pairingRequested) {
+          pairingRequested = true;
+          const phoneNumber = session.pairingNumber;
+          try {
+            const code = await sock.requestPairingCode(phoneNumber);
+            session.pairingCode = code;
+            console.log(
+              `[${session.id}] Pairing code for ${phoneNumber}: ${code}. Enter it in WhatsApp > Linked Devices > Link with phone number.`
+            );
+            bus.emit("pairing-code", { sessionId: session.id, phoneNumber, code });
+          } catch (error) {
+            console.error(`[${session.id}] Error requesting pairing code:`, error);
+            bus.emit("pairing-code", {
+              sessionId: session.id,
+              phoneNumber,
+              code: null,
+              error: error.message || "Failed to request pairing code",
+            });
+          }
+        }
+      } else if (qr) {
+        console.log(`[${session.id}] QR Code received! Please scan it.`);
+        session.qrCodeData = qr;
+        bus.emit("qr", { sessionId: session.id, qr });
+      }
+
+      if (connection) {
+        setConnectionState(session.id, connection);
+      }
+
+      // Handle connection status
+      if (connection === "close") {
+        session.isReady = false;
+        session.qrCodeData = null;
+        session.pairingCode = null;
+        session.connectedAt = null;
+        handleDisconnect(session, lastDisconnect?.error);
+      } else if (connection === "open") {
+        console.log(`[${session.id}] ✅ WhatsApp client is ready!`);
+        session.isReady = true;
+        session.qrCodeData = null; // Clear QR code once ready
+        session.pairingNumber = null;
+        session.pairingCode = null;
+        session.reconnectAttempts = 0;
+        session.connectedAt = new Date().toISOString();
+
+        // Get user info
+        if (sock.user) {
+          session.userInfo = {
+            id: sock.user.id,
+            name: sock.user.name || "Unknown",
+          };
+          console.log(
+            `[${session.id}] Connected as: ${session.userInfo.name} (${session.userInfo.id})`
+          );
+        }
+
+        bus.emit("connection", { sessionId: session.id, connection: "open" });
+      } else if (connection === "connecting") {
+        bus.emit("connection", {
+          sessionId: session.id,
+          connection: "connecting",
+        });
+      }
+    });
+
+    // Status changes of messages we sent (server ack, delivered, read, ...)
+    sock.ev.on("messages.update", (updates) => {
+      for (const { key, update: change } of updates) {
+        if (!key.fromMe || change.status === undefined || change.status === null) {
+          continue;
+        }
+
+        bus.emit("receipt", {
+          sessionId: session.id,
+          messageId: key.id,
+          chat: key.remoteJid,
+          status: MESSAGE_STATUSES[change.status] || String(change.status),
+        });
+      }
+    });
+
+    // Receipts from individual group members
+    sock.ev.on("message-receipt.update", (updates) => {
+      for (const { key, receipt } of updates) {
+        if (!key.fromMe || !receipt.userJid) continue;
+
+        let status = "delivered";
+        if (receipt.playedTimestamp) status = "played";
+        else if (receipt.readTimestamp) status = "read";
+
+        bus.emit("receipt", {
+          sessionId: session.id,
+          messageId: key.id,
+          chat: key.remoteJid,
+          status,
+          participant: receipt.userJid,
+        });
+      }
+    });
+
+    // Handle incoming messages. "notify" means new messages, "append" is
+    // history being synced to us (and our own sent messages), which is only
+    // kept in the message store.
+    sock.ev.on("messages.upsert", async ({ messages, type }) => {
+      if (type !== "notify") {
+        emitHistory(session, { messages });
+        return;
+      }
+
+      for (const msg of messages) {
+        if (!msg.message || !msg.key?.remoteJid) continue;
+        if (msg.key.remoteJid === "status@broadcast") continue;
+
+        try {
+          const message = normalizeMessage(msg);
+          if (!message.fromMe) {
+            countIncoming(session.id, message);
+          }
+
+          // Download media first so its metadata is part of the event
+          try {
+            message.media = await saveIncomingMedia(session, msg, message);
+          } catch (error) {
+            console.error(
+              `[${session.id}] Error downloading media of message ${message.id}:`,
+              error.message
+            );
+          }
+
+          bus.emit("message", {
+            sessionId: session.id,
+            message,
+            raw: msg,
+          });
+        } catch (error) {
+          console.error(`[${session.id}] Error handling incoming message:`, error);
+        }
+      }
+    });
+
+    // Chats, contacts and recent messages synced from the phone
+    sock.ev.on("messaging-history.set", ({ chats, contacts, messages }) => {
+      emitHistory(session, { messages });
+      if (chats && chats.length > 0) {
+        bus.emit("chats", { sessionId: session.id, chats });
+      }
+      if (contacts && contacts.length > 0) {
+        bus.emit("contacts", { sessionId: session.id, contacts });
+      }
+    });
+
+    const emitChats = (chats) => bus.emit("chats", { sessionId: session.id, chats });
+    sock.ev.on("chats.upsert", emitChats);
+    sock.ev.on("chats.update", emitChats);
+    // Groups are chats too; their metadata carries the group name (subject)
+    sock.ev.on("groups.upsert", emitChats);
+    sock.ev.on("groups.update", emitChats);
+
+    const emitContacts = (contacts) =>
+      bus.emit("contacts", { sessionId: session.id, contacts });
+    sock.ev.on("contacts.upsert", emitContacts);
+    sock.ev.on("contacts.update", emitContacts);
+  } catch (error) {
+    console.error(`[${session.id}] Error initializing WhatsApp:`, error);
+    session.isReady = false;
+    setConnectionState(session.id, "close");
+    handleDisconnect(session, error);
+  }
+}
+
+// Reset the connection state and return the socket, which no longer
+// reports to the session
+function detachSocket(session) {
+  clearTimeout(session.reconnectTimer);
+  session.reconnectTimer = null;
+  session.nextReconnectAt = null;
+
+  const sock = session.sock;
+  // Detached sockets' close events don't trigger a reconnect
+  session.sock = null;
+  session.isReady = false;
+  session.qrCodeData = null;
+  session.pairingCode = null;
+  session.connectedAt = null;
+  return sock;
+}
+
+function endSocket(session, sock) {
+  if (!sock) return;
+  try {
+    if (typeof sock.end === "function") {
+      sock.end();
+    }
+  } catch (error) {
+    console.log(`[${session.id}] Error closing socket:`, error.message);
+  }
+}
+
+// Close the socket without logging out and reset the connection state
+function closeSocket(session) {
+  endSocket(session, detachSocket(session));
+}
+
+// Reconnect a session by linking it with a phone number instead of a QR
+// code. Resolves with the code to enter on the phone, or null when the
+// session turned out to be linked already and just connected.
+function connectWithPairingCode(session, phoneNumber) {
+  return new Promise((resolve, reject) => {
+    const cleanup = () => {
+      clearTimeout(timer);
+      bus.removeListener("pairing-code", onPairingCode);
+      bus.removeListener("connection", onConnection);
+    };
+    const onPairingCode = (event) => {
+      if (event.sessionId !== session.id) return;
+      cleanup();
+      if (event.error) {
+        reject(new Error(event.error));
+      } else {
+        resolve(event.code);
+      }
+    };
+    const onConnection = (event) => {
+      if (event.sessionId !== session.id || event.connection !== "open") return;
+      cleanup();
+      resolve(null);
+    };
+    const timer = setTimeout(() => {
+      cleanup();
+      const error = new Error("Timed out waiting for a pairing code from WhatsApp");
+      error.statusCode = 504;
+      reject(error);
+    }, PAIRING_CODE_TIMEOUT_MS);
+
+    bus.on("pairing-code", onPairingCode);
+    bus.on("connection", onConnection);
+
+    closeSocket(session);
+    session.pairingNumber = phoneNumber;
+    initializeWhatsApp(session);
+  });
+}
+
+// Log out from WhatsApp (non-fatal) and close the socket
+async function logoutSession(session) {
+  // Detached first, so the close event of this logout isn't handled like the
+  // device being removed from the phone
+  const sock = detachSocket(session);
+  if (sock && typeof sock.logout === "function") {
+    try {
+      await sock.logout();
+      console.log(`[${session.id}] Logged out from WhatsApp`);
+    } catch (error) {
+      console.log(
+        `[${session.id}] Error during logout (non-fatal):`,
+        error.message
+      );
+    }
+  }
+  endSocket(session, sock);
+}
+
+// Delete the stored credentials, so the session has to be linked again
+function deleteAuthState(session) {
+  clearAuthState(session.id);
+}
+
+function getSession(id) {
+  return sessions.get(id) || null;
+}
+
+function listSessions() {
+  return Array.from(sessions.values());
+}
+
+// Register a session and start connecting it
+function startSession(id) {
+  if (!isValidSessionId(id)) {
+    throw new Error(
+      "Invalid session ID. Use 1-64 letters, numbers, dashes or underscores."
+    );
+  }
+  if (sessions.has(id)) {
+    return sessions.get(id);
+  }
+
+  if (stoppedSessionIds.delete(id)) {
+    saveStoppedSessionIds();
+  }
+
+  const session = createSession(id);
+  sessions.set(id, session);
+  initializeWhatsApp(session);
+  return session;
+}
+
+// Stop a session for good, optionally logging out and deleting its auth files
+async function removeSession(id, { logout = false, deleteAuth = false } = {}) {
+  const session = sessions.get(id);
+  if (!session) return false;
+
+  session.stopped = true;
+  if (logout) {
+    await logoutSession(session);
+  } else {
+    closeSocket(session);
+  }
+  sessions.delete(id);
+
+  if (deleteAuth) {
+    deleteAuthState(session);
+    stoppedSessionIds.delete(id);
+  } else {
+    stoppedSessionIds.add(id);
+  }
+  saveStoppedSessionIds();
+  bus.emit("session-removed", { sessionId: id, deletedAuth: deleteAuth });
+  return true;
+}
+
+// Start the default session plus every named session with stored
+// credentials, except the ones that were deleted
+function restoreSessions() {
+  startSession(DEFAULT_SESSION_ID);
+
+  for (const id of listStoredSessionIds()) {
+    if (isValidSessionId(id) && !stoppedSessionIds.has(id)) {
+      startSession(id);
+    }
+  }
+}
+
+function getSessionStatus(session) {
+  return {
+    id: session.id,
+    status: session.isReady ? "ready" : "not_ready",
+    isReady: session.isReady,
+    hasQrCode: !!session.qrCodeData,
+    hasPairingCode: !!session.pairingCode,
+    hasSocket: !!session.sock,
+    user: session.userInfo,
+    connectedAt: session.connectedAt,
+    reconnect: {
+      attempts: session.reconnectAttempts,
+      maxAttempts: config.whatsapp.reconnectMaxAttempts || null,
+      nextAttemptAt: session.nextReconnectAt,
+    },
+    lastDisconnect: session.disconnects[0] || null,
+    disconnectsTotal: session.disconnectsTotal,
+  };
+}
+
+module.exports = {
+  DEFAULT_SESSION_ID,
+  SESSION_ID_PATTERN,
+  isValidSessionId,
+  initializeWhatsApp,
+  closeSocket,
+  connectWithPairingCode,
+  logoutSession,
+  deleteAuthState,
+  getSession,
+  listSessions,
+  startSession,
+  removeSession,
+  restoreSessions,
+  getSessionStatus,
+};
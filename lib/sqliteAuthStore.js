@@ -0,0 +1,153 @@
+const path = require("path");
+const fs = require("fs");
+const { BufferJSON, initAuthCreds, proto } = require("@whiskeysockets/baileys");
+const { config } = require("./config");
+
+// Auth state of every session in one SQLite database, one row per key.
+// Values are stored as the same JSON the multi-file store writes, under the
+// same names ("creds", "pre-key-1", ...), so backups work with both stores.
+const dbPath = config.auth.sqlitePath;
+
+let db = null;
+let statements = null;
+
+function getDb() {
+  if (db) return db;
+
+  // An optional dependency, only required when this store is selected
+  let Database;
+  try {
+    Database = require("better-sqlite3");
+  } catch (error) {
+    if (error.code !== "MODULE_NOT_FOUND") throw error;
+    throw new Error(
+      "AUTH_STORE=sqlite needs the better-sqlite3 package, which isn't installed. Run npm install better-sqlite3, or use AUTH_STORE=file."
+    );
+  }
+
+  fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+  db = new Database(dbPath);
+  db.pragma("journal_mode = WAL");
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS auth_state (
+      session_id TEXT NOT NULL,
+      name TEXT NOT NULL,
+      value TEXT NOT NULL,
+      PRIMARY KEY (session_id, name)
+    )
+  `);
+
+  statements = {
+    get: db.prepare(
+      "SELECT value FROM auth_state WHERE session_id = ? AND name = ?"
+    ),
+    set: db.prepare(
+      "INSERT OR REPLACE INTO auth_state (session_id, name, value) VALUES (?, ?, ?)"
+    ),
+    remove: db.prepare(
+      "DELETE FROM auth_state WHERE session_id = ? AND name = ?"
+    ),
+    clear: db.prepare("DELETE FROM auth_state WHERE session_id = ?"),
+    all: db.prepare("SELECT name, value FROM auth_state WHERE session_id = ?"),
+    sessions: db.prepare(
+      "SELECT session_id FROM auth_state WHERE name = 'creds'"
+    ),
+  };
+  return db;
+}
+
+// The name useMultiFileAuthState gives the file of a key, without ".json"
+function keyName(type, id) {
+  return `${type}-${id}`.replace(/\//g, "__").replace(/:/g, "-");
+}
+
+async function load(sessionId) {
+  getDb();
+
+  const read = (name) => {
+    const row = statements.get.get(sessionId, name);
+    return row ? JSON.parse(row.value, BufferJSON.reviver) : null;
+  };
+  const write = (name, value) => {
+    statements.set.run(
+      sessionId,
+      name,
+      JSON.stringify(value, BufferJSON.replacer)
+    );
+  };
+
+  const creds = read("creds") || initAuthCreds();
+
+  return {
+    state: {
+      creds,
+      keys: {
+        get: async (type, ids) => {
+          const data = {};
+          for (const id of ids) {
+            let value = read(keyName(type, id));
+            if (type === "app-state-sync-key" && value) {
+              value = proto.Message.AppStateSyncKeyData.fromObject(value);
+            }
+            data[id] = value;
+          }
+          return data;
+        },
+        set: async (data) => {
+          db.transaction(() => {
+            for (const [type, values] of Object.entries(data)) {
+              for (const [id, value] of Object.entries(values)) {
+                if (value) {
+                  write(keyName(type, id), value);
+                } else {
+                  statements.remove.run(sessionId, keyName(type, id));
+                }
+              }
+            }
+          })();
+        },
+      },
+    },
+    saveCreds: async () => write("creds", creds),
+  };
+}
+
+function clear(sessionId) {
+  getDb();
+  statements.clear.run(sessionId);
+}
+
+function listSessionIds() {
+  getDb();
+  return statements.sessions.all().map((row) => row.session_id);
+}
+
+function exportEntries(sessionId) {
+  getDb();
+  const rows = statements.all.all(sessionId);
+  if (!rows.some((row) => row.name === "creds")) return null;
+
+  const entries = {};
+  for (const row of rows) {
+    entries[row.name] = JSON.parse(row.value);
+  }
+  return entries;
+}
+
+function importEntries(sessionId, entries) {
+  getDb();
+  db.transaction(() => {
+    statements.clear.run(sessionId);
+    for (const [name, value] of Object.entries(entries)) {
+      statements.set.run(sessionId, name, JSON.stringify(value));
+    }
+  })();
+}
+
+module.exports = {
+  load,
+  clear,
+  listSessionIds,
+  exportEntries,
+  importEntries,
+};
@@ -0,0 +1,400 @@
+const path = require("path");
+const bus = require("./events");
+const { normalizeMessage } = require("./messages");
+const { config } = require("./config");
+const {
+  readJson,
+  writeJson,
+  appendJsonLine,
+  writeJsonLines,
+  readJsonLines,
+} = require("./dataStore");
+
+// Local copy of chats, contacts and messages of every session, so history
+// can be read without the phone. Per session, in data/store/<sessionId>/:
+//   chats.json, contacts.json   - keyed by JID
+//   messages/<jid>.jsonl        - one normalized message per line. A message
+//                                 seen twice is appended again; the last
+//                                 copy wins when reading. Files are
+//                                 compacted to one copy of the newest
+//                                 store.maxMessagesPerChat messages.
+const STORE_DIR = "store";
+
+const MAX_MESSAGES_PER_CHAT = config.store.maxMessagesPerChat;
+
+// A messages file is rewritten once it has this many lines it doesn't need
+// (old copies, messages over the limit), and checked after this many appends
+const COMPACT_SLACK_LINES = 500;
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// Chats and contacts change in bursts (history sync), so writes are batched
+const SAVE_DELAY_MS = 2000;
+
+// Chats whose messages are kept in memory once read, so paging through or
+// searching a chat doesn't read its file every time. The least recently read
+// are dropped first.
+const MAX_CACHED_CHATS = 50;
+
+const stores = new Map();
+
+// Lines appended to each messages file since it was last read
+const appendCounts = new Map();
+
+// Messages of recently read chats by file, as readMessages returns them,
+// least recently read first
+const messageCache = new Map();
+
+function storeFile(sessionId, name) {
+  return path.join(STORE_DIR, sessionId, name);
+}
+
+function messagesFile(sessionId, jid) {
+  const fileName = `${encodeURIComponent(jid)}.jsonl`;
+  return storeFile(sessionId, path.join("messages", fileName));
+}
+
+function getStore(sessionId) {
+  if (!stores.has(sessionId)) {
+    stores.set(sessionId, {
+      chats: readJson(storeFile(sessionId, "chats.json"), {}),
+      contacts: readJson(storeFile(sessionId, "contacts.json"), {}),
+      saveTimer: null,
+    });
+  }
+  return stores.get(sessionId);
+}
+
+function saveStore(sessionId) {
+  const store = getStore(sessionId);
+  if (store.saveTimer) return;
+
+  store.saveTimer = setTimeout(() => {
+    store.saveTimer = null;
+    try {
+      writeJson(storeFile(sessionId, "chats.json"), store.chats);
+      writeJson(storeFile(sessionId, "contacts.json"), store.contacts);
+    } catch (error) {
+      console.error(`[${sessionId}] Error saving message store:`, error);
+    }
+  }, SAVE_DELAY_MS);
+  store.saveTimer.unref();
+}
+
+function upsertChat(store, jid, changes) {
+  const chat = store.chats[jid] || {
+    jid,
+    name: null,
+    isGroup: jid.endsWith("@g.us"),
+    unreadCount: 0,
+    lastMessage: null,
+    lastMessageAt: null,
+  };
+  store.chats[jid] = Object.assign(chat, changes);
+  return chat;
+}
+
+function upsertContact(store, jid, changes) {
+  const contact = store.contacts[jid] || { jid, name: null, notify: null };
+  store.contacts[jid] = Object.assign(contact, changes);
+  return contact;
+}
+
+// Only set fields Baileys actually sent; updates are partial
+function definedFields(fields) {
+  const result = {};
+  for (const [key, value] of Object.entries(fields)) {
+    if (value !== undefined && value !== null) result[key] = value;
+  }
+  return result;
+}
+
+function storeMessages(sessionId, messages) {
+  const store = getStore(sessionId);
+
+  for (const message of messages) {
+    if (!message.id || !message.chat) continue;
+
+    try {
+      appendJsonLine(messagesFile(sessionId, message.chat), message);
+      cacheMessage(sessionId, message.chat, message);
+      countAppend(sessionId, message.chat);
+    } catch (error) {
+      console.error(`[${sessionId}] Error storing message:`, error);
+      continue;
+    }
+
+    const chat = upsertChat(store, message.chat, {});
+    const isLatest =
+      !chat.lastMessageAt ||
+      (message.timestamp && message.timestamp >= chat.lastMessageAt);
+    if (isLatest) {
+      chat.lastMessageAt = message.timestamp || chat.lastMessageAt;
+      chat.lastMessage = {
+        id: message.id,
+        fromMe: message.fromMe,
+        sender: message.sender,
+        text: message.text,
+        type: message.type,
+      };
+    }
+
+    // The push name is the best name we have for people we never saved
+    if (!message.fromMe && message.pushName && message.sender) {
+      upsertContact(store, message.sender, { notify: message.pushName });
+      if (!chat.isGroup && !chat.name) chat.name = message.pushName;
+    }
+  }
+
+  saveStore(sessionId);
+}
+
+// Chats, newest first. q filters by name or JID.
+function listChats(sessionId, { q } = {}) {
+  const { chats, contacts } = getStore(sessionId);
+  const search = q ? q.toLowerCase() : null;
+
+  return Object.values(chats)
+    .map((chat) => {
+      const contact = contacts[chat.jid];
+      const name = chat.name || (contact && (contact.name || contact.notify)) || null;
+      return { ...chat, name };
+    })
+    .filter(
+      (chat) =>
+        !search ||
+        chat.jid.toLowerCase().includes(search) ||
+        (chat.name && chat.name.toLowerCase().includes(search))
+    )
+    .sort((a, b) => (b.lastMessageAt || "").localeCompare(a.lastMessageAt || ""));
+}
+
+function getChat(sessionId, jid) {
+  return getStore(sessionId).chats[jid] || null;
+}
+
+function listContacts(sessionId, { q } = {}) {
+  const search = q ? q.toLowerCase() : null;
+
+  return Object.values(getStore(sessionId).contacts).filter(
+    (contact) =>
+      !search ||
+      contact.jid.toLowerCase().includes(search) ||
+      [contact.name, contact.notify].some(
+        (name) => name && name.toLowerCase().includes(search)
+      )
+  );
+}
+
+// Every message of a messages file once (the newest MAX_MESSAGES_PER_CHAT),
+// oldest first. Compacts the file when it has grown too far past that.
+function loadMessages(sessionId, file) {
+  const lines = readJsonLines(file);
+  appendCounts.delete(file);
+
+  const byId = new Map();
+  for (const message of lines) {
+    byId.set(message.id, message);
+  }
+
+  let messages = Array.from(byId.values()).sort((a, b) =>
+    (a.timestamp || "").localeCompare(b.timestamp || "")
+  );
+  if (MAX_MESSAGES_PER_CHAT && messages.length > MAX_MESSAGES_PER_CHAT) {
+    messages = messages.slice(-MAX_MESSAGES_PER_CHAT);
+  }
+
+  if (lines.length - messages.length >= COMPACT_SLACK_LINES) {
+    try {
+      writeJsonLines(file, messages);
+    } catch (error) {
+      console.error(`[${sessionId}] Error compacting ${file}:`, error);
+    }
+  }
+  return messages;
+}
+
+// All messages of a chat, see loadMessages. Don't change the array, it's
+// cached.
+function readMessages(sessionId, jid) {
+  const file = messagesFile(sessionId, jid);
+  let messages = messageCache.get(file);
+  if (messages) {
+    messageCache.delete(file);
+  } else {
+    messages = loadMessages(sessionId, file);
+  }
+
+  messageCache.set(file, messages);
+  if (messageCache.size > MAX_CACHED_CHATS) {
+    messageCache.delete(messageCache.keys().next().value);
+  }
+  return messages;
+}
+
+// Keep the cached messages of a chat in step with a message appended to its
+// file: it replaces an earlier copy and goes in timestamp order
+function cacheMessage(sessionId, jid, message) {
+  const file = messagesFile(sessionId, jid);
+  if (!messageCache.has(file)) return;
+
+  const messages = messageCache
+    .get(file)
+    .filter((cached) => cached.id !== message.id);
+  const timestamp = message.timestamp || "";
+  let index = messages.length;
+  while (index > 0 && (messages[index - 1].timestamp || "") > timestamp) {
+    index--;
+  }
+  messages.splice(index, 0, message);
+  if (MAX_MESSAGES_PER_CHAT && messages.length > MAX_MESSAGES_PER_CHAT) {
+    messages.splice(0, messages.length - MAX_MESSAGES_PER_CHAT);
+  }
+  messageCache.set(file, messages);
+}
+
+// Check a messages file for compaction every COMPACT_SLACK_LINES appends,
+// so chats that are written to but never read don't grow forever
+function countAppend(sessionId, jid) {
+  const file = messagesFile(sessionId, jid);
+  const count = (appendCounts.get(file) || 0) + 1;
+  appendCounts.set(file, count);
+  if (count >= COMPACT_SLACK_LINES) {
+    loadMessages(sessionId, file);
+  }
+}
+
+function findMessage(sessionId, jid, messageId) {
+  const messages = readMessages(sessionId, jid);
+  return messages.find((message) => message.id === messageId) || null;
+}
+
+// The key of a stored message, as Baileys needs it for reactions, replies,
+// edits and deletes
+function messageKey(message) {
+  return {
+    remoteJid: message.chat,
+    fromMe: message.fromMe,
+    id: message.id,
+    participant: message.isGroup && !message.fromMe ? message.sender : undefined,
+  };
+}
+
+// Change a stored message (after an edit or delete). The changed copy is
+// appended, so it wins over the original when reading.
+function updateMessage(sessionId, jid, messageId, changes) {
+  const message = findMessage(sessionId, jid, messageId);
+  if (!message) return null;
+
+  const updated = { ...message, ...changes };
+  try {
+    appendJsonLine(messagesFile(sessionId, jid), updated);
+    cacheMessage(sessionId, jid, updated);
+    countAppend(sessionId, jid);
+  } catch (error) {
+    console.error(`[${sessionId}] Error updating stored message:`, error);
+  }
+  return updated;
+}
+
+// A page of messages, oldest first. before is a message ID or an ISO date;
+// only older messages are returned. q searches the message text of this
+// chat (there's no search across chats).
+function getMessages(sessionId, jid, { before, limit, q } = {}) {
+  const pageSize = Math.min(Math.max(limit || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  let messages = readMessages(sessionId, jid);
+
+  if (q) {
+    const search = q.toLowerCase();
+    messages = messages.filter(
+      (message) => message.text && message.text.toLowerCase().includes(search)
+    );
+  }
+
+  if (before) {
+    const index = messages.findIndex((message) => message.id === before);
+    if (index !== -1) {
+      messages = messages.slice(0, index);
+    } else {
+      const date = new Date(before);
+      if (isNaN(date.getTime())) {
+        throw new Error("before must be a message ID or an ISO 8601 date");
+      }
+      const cutoff = date.toISOString();
+      messages = messages.filter(
+        (message) => message.timestamp && message.timestamp < cutoff
+      );
+    }
+  }
+
+  const page = messages.slice(-pageSize);
+  const hasMore = messages.length > page.length;
+  return {
+    messages: page,
+    hasMore,
+    nextBefore: hasMore ? page[0].id : null,
+  };
+}
+
+bus.on("message", ({ sessionId, message }) => {
+  storeMessages(sessionId, [message]);
+});
+
+bus.on("history", ({ sessionId, messages }) => {
+  storeMessages(sessionId, messages);
+});
+
+// Messages sent through the outbox
+bus.on("sent", ({ sessionId, raw }) => {
+  try {
+    storeMessages(sessionId, [normalizeMessage(raw)]);
+  } catch (error) {
+    console.error(`[${sessionId}] Error storing sent message:`, error);
+  }
+});
+
+bus.on("chats", ({ sessionId, chats }) => {
+  const store = getStore(sessionId);
+  for (const chat of chats) {
+    if (!chat.id || chat.id === "status@broadcast") continue;
+    upsertChat(
+      store,
+      chat.id,
+      definedFields({
+        // Group metadata has a subject instead of a name
+        name: chat.name || chat.subject,
+        unreadCount: chat.unreadCount,
+      })
+    );
+  }
+  saveStore(sessionId);
+});
+
+bus.on("contacts", ({ sessionId, contacts }) => {
+  const store = getStore(sessionId);
+  for (const contact of contacts) {
+    if (!contact.id) continue;
+    upsertContact(
+      store,
+      contact.id,
+      definedFields({
+        name: contact.name || contact.verifiedName,
+        notify: contact.notify,
+      })
+    );
+  }
+  saveStore(sessionId);
+});
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  listChats,
+  getChat,
+  listContacts,
+  getMessages,
+  findMessage,
+  messageKey,
+  updateMessage,
+};
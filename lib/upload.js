@@ -0,0 +1,93 @@
+const multer = require("multer");
+const path = require("path");
+const fs = require("fs");
+const { MAX_FILE_SIZE, resolveMimetype } = require("./media");
+const { uploadSize } = require("./metrics");
+
+// Create uploads directory if it doesn't exist
+const uploadsDir = path.join(__dirname, "..", "uploads");
+if (!fs.existsSync(uploadsDir)) {
+  fs.mkdirSync(uploadsDir, { recursive: true });
+}
+
+// Configure multer for file uploads
+const storage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    cb(null, uploadsDir);
+  },
+  filename: (req, file, cb) => {
+    const uniqueSuffix = Date.now() + "-" + Math.round(Math.random() * 1e9);
+    cb(
+      null,
+      file.fieldname + "-" + uniqueSuffix + path.extname(file.originalname)
+    );
+  },
+});
+
+const upload = multer({
+  storage: storage,
+  limits: { fileSize: MAX_FILE_SIZE }, // uploads.maxFileSizeMb
+  fileFilter: (req, file, cb) => {
+    // Accept images and other common file types
+    if (resolveMimetype(file.originalname, file.mimetype)) {
+      return cb(null, true);
+    } else {
+      const error = new Error(
+        "Invalid file type. Only images, PDFs, documents, and media files are allowed."
+      );
+      error.status = 400;
+      cb(error);
+    }
+  },
+});
+
+// A single media file in the "file" field, or "image" for older clients.
+// The chosen file ends up in req.file like with upload.single().
+const mediaUpload = [
+  upload.fields([
+    { name: "file", maxCount: 1 },
+    { name: "image", maxCount: 1 },
+  ]),
+  (req, res, next) => {
+    const files = req.files || {};
+    const [file, extra] = [].concat(files.file || [], files.image || []);
+    req.file = file;
+    // Only one file can be sent per message
+    removeUpload(extra);
+    if (file) {
+      uploadSize.observe({ source: "upload" }, file.size);
+    }
+    next();
+  },
+];
+
+// CSV uploads (recipient lists for bulk sends)
+const csvUpload = multer({
+  storage: storage,
+  limits: { fileSize: 2 * 1024 * 1024 }, // 2MB limit
+  fileFilter: (req, file, cb) => {
+    const isCsv =
+      path.extname(file.originalname).toLowerCase() === ".csv" ||
+      /text\/csv|application\/vnd\.ms-excel|text\/plain/.test(file.mimetype);
+
+    if (isCsv) {
+      return cb(null, true);
+    }
+    const error = new Error("Invalid file type. Only CSV files are allowed.");
+    error.status = 400;
+    cb(error);
+  },
+});
+
+// Delete an uploaded file that won't be sent
+function removeUpload(file) {
+  if (file && fs.existsSync(file.path)) {
+    try {
+      fs.unlinkSync(file.path);
+    } catch (error) {
+      console.error("Error deleting file:", error);
+    }
+  }
+}
+
+module.exports = { upload, mediaUpload, csvUpload, uploadsDir, removeUpload };
@@ -0,0 +1,199 @@
+const Ajv = require("ajv");
+const addFormats = require("ajv-formats");
+const { document } = require("./openapi");
+const { sendError } = require("./errors");
+const { removeUpload } = require("./upload");
+
+// Requests are checked against their operation in openapi.js. Query
+// strings and form fields are always strings, so values are converted where
+// that's unambiguous: "true" -> true, "20" -> 20, 628... -> "628...".
+const ajv = new Ajv({
+  allErrors: true,
+  coerceTypes: true,
+  strict: false,
+  verbose: true,
+});
+addFormats(ajv);
+// Uploaded files aren't in req.body
+ajv.addFormat("binary", true);
+// Bodies are compiled from inside the document, so their $refs resolve
+ajv.addSchema(document, "openapi.json");
+
+const BODY_TYPES = ["application/json", "multipart/form-data"];
+
+// Where parameters are found in the request
+const PARAMETER_SOURCES = {
+  path: (req) => req.params,
+  query: (req) => req.query,
+  header: (req) => req.headers,
+};
+
+// JSON pointer segment, "/send-message" -> "~1send-message"
+const escapePointer = (segment) =>
+  segment.replace(/~/g, "~0").replace(/\//g, "~1");
+
+function findOperation(operationId) {
+  for (const [path, item] of Object.entries(document.paths)) {
+    for (const [method, operation] of Object.entries(item)) {
+      if (method !== "parameters" && operation.operationId === operationId) {
+        return { path, method, item, operation };
+      }
+    }
+  }
+  return null;
+}
+
+// One validator per parameter location, for an object with the parameters
+// as properties. Path parameters are always there once the route matched
+// (and the ones resolved by a parent router may be missing), so they are
+// only checked for their format.
+function compileParameters({ item, operation }) {
+  const parameters = [
+    ...(item.parameters || []),
+    ...(operation.parameters || []),
+  ];
+
+  return Object.keys(PARAMETER_SOURCES)
+    .map((location) => {
+      const params = parameters.filter((param) => param.in === location);
+      if (params.length === 0) return null;
+
+      // Header names are case-insensitive, Node lowercases them
+      const name = (param) =>
+        location === "header" ? param.name.toLowerCase() : param.name;
+      const schema = {
+        type: "object",
+        properties: Object.fromEntries(
+          params.map((param) => [name(param), param.schema])
+        ),
+        required: params
+          .filter((param) => param.required && location !== "path")
+          .map(name),
+      };
+      return { location, check: ajv.compile(schema) };
+    })
+    .filter(Boolean);
+}
+
+function compileBodies({ path, method, operation }) {
+  if (!operation.requestBody) return {};
+
+  const bodies = {};
+  for (const type of BODY_TYPES) {
+    if (!operation.requestBody.content[type]) continue;
+    bodies[type] = ajv.getSchema(
+      `openapi.json#/paths/${escapePointer(
+        path
+      )}/${method}/requestBody/content/${escapePointer(type)}/schema`
+    );
+  }
+  return bodies;
+}
+
+// "/contact/0/name" -> "contact[0].name"
+function fieldName(instancePath) {
+  return instancePath
+    .split("/")
+    .slice(1)
+    .map((segment) => segment.replace(/~1/g, "/").replace(/~0/g, "~"))
+    .reduce(
+      (field, segment) =>
+        /^\d+$/.test(segment)
+          ? `${field}[${segment}]`
+          : field
+          ? `${field}.${segment}`
+          : segment,
+      ""
+    );
+}
+
+// Turn ajv errors into { in, field, message } entries
+function describeErrors(location, errors) {
+  // A value matching none of the oneOf forms is one problem, not one per
+  // form it didn't match
+  const alternatives = errors
+    .filter((error) => ["oneOf", "anyOf"].includes(error.keyword))
+    .map((error) => error.instancePath);
+  const relevant = errors.filter(
+    (error) =>
+      ["oneOf", "anyOf"].includes(error.keyword) ||
+      !alternatives.some(
+        (path) =>
+          error.instancePath === path ||
+          error.instancePath.startsWith(path + "/")
+      )
+  );
+
+  return relevant.map((error) => {
+    let field = fieldName(error.instancePath);
+    let message = error.message;
+
+    if (error.keyword === "required") {
+      field = field
+        ? `${field}.${error.params.missingProperty}`
+        : error.params.missingProperty;
+      message = "is required";
+    } else if (error.keyword === "pattern" && error.parentSchema.description) {
+      // Patterns are described for people: "must be an http(s) URL"
+      message = `must be ${error.parentSchema.description}`;
+    } else if (error.keyword === "enum") {
+      message = `must be one of: ${error.params.allowedValues.join(", ")}`;
+    } else if (["oneOf", "anyOf"].includes(error.keyword)) {
+      message = "doesn't match any of the accepted forms";
+    }
+
+    return { in: location, field: field || location, message };
+  });
+}
+
+// Express middleware checking the path and query parameters, headers and
+// body of a request against an operation in openapi.js. Invalid requests
+// get a 400 with code VALIDATION_FAILED and the problems in details.
+// Runs after multer, so uploaded files of rejected requests are removed.
+function validate(operationId) {
+  const found = findOperation(operationId);
+  if (!found) {
+    throw new Error(`No operation "${operationId}" in lib/openapi.js`);
+  }
+
+  const parameterChecks = compileParameters(found);
+  const bodyChecks = compileBodies(found);
+
+  return (req, res, next) => {
+    const details = [];
+
+    for (const { location, check } of parameterChecks) {
+      if (!check(PARAMETER_SOURCES[location](req))) {
+        details.push(...describeErrors(location, check.errors));
+      }
+    }
+
+    const isForm = req.is("multipart/form-data");
+    if (isForm && req.body) {
+      // Forms send fields left empty as "", which means not set
+      for (const [name, value] of Object.entries(req.body)) {
+        if (value === "") delete req.body[name];
+      }
+    }
+
+    const checkBody = isForm
+      ? bodyChecks["multipart/form-data"]
+      : bodyChecks["application/json"];
+    if (checkBody && !checkBody(req.body === undefined ? {} : req.body)) {
+      details.push(...describeErrors("body", checkBody.errors));
+    }
+
+    if (details.length === 0) return next();
+
+    removeUpload(req.file);
+    sendError(
+      res,
+      400,
+      "VALIDATION_FAILED",
+      details.map((detail) => `${detail.field} ${detail.message}`).join("; "),
+      details
+    );
+  };
+}
+
+module.exports = { validate };
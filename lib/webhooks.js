@@ -0,0 +1,327 @@
+const crypto = require("crypto");
+const fetch = require("node-fetch");
+const bus = require("./events");
+const { readJson, writeJson, appendJsonLine, readJsonLines } = require("./dataStore");
+const { config } = require("./config");
+const { webhookDeliveries } = require("./metrics");
+
+const WEBHOOKS_FILE = "webhooks.json";
+const DEAD_LETTER_FILE = "webhook-dead-letters.jsonl";
+const RETRIES_FILE = "webhook-retries.json";
+
+// Webhooks from WEBHOOK_URLS (comma separated) are always active and signed
+// with WEBHOOK_SECRET. More can be registered through the /webhooks API.
+const envWebhookUrls = config.webhooks.urls;
+const defaultSecret = config.webhooks.secret;
+// Events sent to the WEBHOOK_URLS webhooks, e.g. "message,receipt"
+const envWebhookEvents = config.webhooks.events;
+const maxAttempts = config.webhooks.maxAttempts;
+const baseRetryDelay = config.webhooks.retryDelayMs;
+const requestTimeout = 10000;
+
+// Deliveries failing together (an endpoint that's down) change the retries
+// many times, so writes to disk are batched
+const SAVE_DELAY_MS = 1000;
+
+let registeredWebhooks = readJson(WEBHOOKS_FILE, []);
+
+// Deliveries waiting to be retried, by "<delivery ID>/<webhook ID>":
+// { webhookId, delivery, attempt, retryAt }. They're kept on disk so a
+// restart doesn't drop them. The webhook's URL and secret are looked up when
+// the retry runs, so they aren't written out, and a webhook removed in the
+// meantime isn't called anymore.
+const pendingRetries = new Map(
+  readJson(RETRIES_FILE, []).map((retry) => [
+    retryKey(retry.webhookId, retry.delivery),
+    retry,
+  ])
+);
+let saveRetriesTimer = null;
+
+// Where webhooks that aren't registered come from (sendToWebhook), by the
+// prefix of their ID: a function finding { id, url, secret } by the rest of
+// the ID, or null when it's gone
+const webhookSources = new Map();
+
+function saveWebhooks() {
+  writeJson(WEBHOOKS_FILE, registeredWebhooks);
+}
+
+function retryKey(webhookId, delivery) {
+  return `${delivery.id}/${webhookId}`;
+}
+
+function saveRetries() {
+  if (saveRetriesTimer) return;
+
+  saveRetriesTimer = setTimeout(() => {
+    saveRetriesTimer = null;
+    try {
+      writeJson(RETRIES_FILE, Array.from(pendingRetries.values()));
+    } catch (error) {
+      console.error("Error saving webhook retries:", error);
+    }
+  }, SAVE_DELAY_MS);
+  saveRetriesTimer.unref();
+}
+
+function registerWebhookSource(prefix, find) {
+  webhookSources.set(prefix, find);
+}
+
+function findWebhook(id) {
+  const webhook = listWebhooks().find((entry) => entry.id === id);
+  if (webhook) return webhook;
+
+  for (const [prefix, find] of webhookSources) {
+    if (id.startsWith(prefix)) return find(id.slice(prefix.length));
+  }
+  return null;
+}
+
+function runRetry(retry) {
+  const delay = Math.max(0, new Date(retry.retryAt).getTime() - Date.now());
+  setTimeout(() => {
+    const webhook = findWebhook(retry.webhookId);
+    if (!webhook) {
+      console.log(
+        `Webhook ${retry.webhookId} no longer exists, dropping the retry of delivery ${retry.delivery.id}`
+      );
+      finishRetry(retry.webhookId, retry.delivery);
+      return;
+    }
+    deliver(webhook, retry.delivery, retry.attempt);
+  }, delay);
+}
+
+function scheduleRetry(webhook, delivery, attempt, delay) {
+  const retry = {
+    webhookId: webhook.id,
+    delivery,
+    attempt,
+    retryAt: new Date(Date.now() + delay).toISOString(),
+  };
+  pendingRetries.set(retryKey(webhook.id, delivery), retry);
+  saveRetries();
+  runRetry(retry);
+}
+
+// The delivery went through or gave up; a retry of it is done
+function finishRetry(webhookId, delivery) {
+  if (pendingRetries.delete(retryKey(webhookId, delivery))) saveRetries();
+}
+
+// All active webhooks, env-configured ones first
+function listWebhooks() {
+  const envWebhooks = envWebhookUrls.map((url, index) => ({
+    id: `env-${index + 1}`,
+    url,
+    events: envWebhookEvents,
+    secret: defaultSecret,
+    source: "env",
+  }));
+  return envWebhooks.concat(registeredWebhooks);
+}
+
+function addWebhook({ url, events = ["*"], secret }) {
+  const webhook = {
+    id: crypto.randomUUID(),
+    url,
+    events,
+    secret: secret || defaultSecret,
+    source: "api",
+    createdAt: new Date().toISOString(),
+  };
+  registeredWebhooks.push(webhook);
+  saveWebhooks();
+  return webhook;
+}
+
+function removeWebhook(id) {
+  const before = registeredWebhooks.length;
+  registeredWebhooks = registeredWebhooks.filter((webhook) => webhook.id !== id);
+  if (registeredWebhooks.length === before) return false;
+  saveWebhooks();
+  return true;
+}
+
+// Hide secrets when returning webhooks over the API
+function toPublicWebhook(webhook) {
+  const { secret, ...rest } = webhook;
+  return { ...rest, signed: !!secret };
+}
+
+// HMAC-SHA256 of the raw request body, sent as X-Webhook-Signature
+function signPayload(body, secret) {
+  return "sha256=" + crypto.createHmac("sha256", secret).update(body).digest("hex");
+}
+
+// 4xx responses won't succeed on retry, except timeouts and rate limits
+function isRetryableStatus(statusCode) {
+  return statusCode >= 500 || statusCode === 408 || statusCode === 429;
+}
+
+async function postWebhook(webhook, delivery) {
+  const body = JSON.stringify(delivery.payload);
+  const headers = {
+    "Content-Type": "application/json",
+    "User-Agent": "whatsapp-rest-api-webhook",
+    "X-Webhook-Event": delivery.event,
+    "X-Webhook-Delivery": delivery.id,
+  };
+  if (webhook.secret) {
+    headers["X-Webhook-Signature"] = signPayload(body, webhook.secret);
+  }
+
+  const response = await fetch(webhook.url, {
+    method: "POST",
+    headers,
+    body,
+    timeout: requestTimeout,
+  });
+
+  if (!response.ok) {
+    const error = new Error(`Webhook responded with HTTP ${response.status}`);
+    error.statusCode = response.status;
+    throw error;
+  }
+}
+
+// Deliver to one webhook, retrying with exponential backoff. Deliveries that
+// keep failing are written to the dead-letter log.
+async function deliver(webhook, delivery, attempt = 1) {
+  try {
+    await postWebhook(webhook, delivery);
+    webhookDeliveries.inc({ event: delivery.event, result: "delivered" });
+    finishRetry(webhook.id, delivery);
+  } catch (error) {
+    const retryable = !error.statusCode || isRetryableStatus(error.statusCode);
+
+    if (retryable && attempt < maxAttempts) {
+      webhookDeliveries.inc({ event: delivery.event, result: "retry" });
+      const delay = baseRetryDelay * Math.pow(2, attempt - 1);
+      console.log(
+        `Webhook ${webhook.url} failed (attempt ${attempt}/${maxAttempts}): ${error.message}. Retrying in ${delay}ms`
+      );
+      scheduleRetry(webhook, delivery, attempt + 1, delay);
+      return;
+    }
+
+    finishRetry(webhook.id, delivery);
+    webhookDeliveries.inc({ event: delivery.event, result: "failed" });
+    console.error(
+      `Webhook ${webhook.url} failed after ${attempt} attempt(s): ${error.message}`
+    );
+    try {
+      appendJsonLine(DEAD_LETTER_FILE, {
+        deliveryId: delivery.id,
+        webhookId: webhook.id,
+        url: webhook.url,
+        event: delivery.event,
+        attempts: attempt,
+        error: error.message,
+        failedAt: new Date().toISOString(),
+        payload: delivery.payload,
+      });
+    } catch (writeError) {
+      console.error("Error writing webhook dead letter:", writeError);
+    }
+  }
+}
+
+function subscribes(webhook, event) {
+  return webhook.events.includes("*") || webhook.events.includes(event);
+}
+
+function createDelivery(event, data) {
+  return {
+    id: crypto.randomUUID(),
+    event,
+    payload: {
+      event,
+      timestamp: new Date().toISOString(),
+      ...data,
+    },
+  };
+}
+
+// Send an event to every webhook subscribed to it (fire and forget)
+function dispatch(event, data) {
+  const webhooks = listWebhooks().filter((webhook) => subscribes(webhook, event));
+  if (webhooks.length === 0) return;
+
+  const delivery = createDelivery(event, data);
+  for (const webhook of webhooks) {
+    deliver(webhook, delivery);
+  }
+}
+
+// Send an event to a single URL that isn't a registered webhook ({ id, url,
+// secret }), with the same signing, retries and dead-letter log. The ID has
+// to start with a prefix given to registerWebhookSource, so retries can find
+// the webhook again.
+function sendToWebhook(webhook, event, data) {
+  deliver(webhook, createDelivery(event, data));
+}
+
+function listDeadLetters() {
+  return readJsonLines(DEAD_LETTER_FILE);
+}
+
+// The logged-out alert webhook (see below)
+registerWebhookSource("alert", () =>
+  config.alerts.webhookUrl
+    ? {
+        id: "alert",
+        url: config.alerts.webhookUrl,
+        secret: config.alerts.webhookSecret,
+      }
+    : null
+);
+
+// Retries that were waiting when the server stopped. They run once the
+// other modules are loaded and have registered their webhook sources.
+for (const retry of pendingRetries.values()) {
+  runRetry(retry);
+}
+
+// Forward incoming messages to webhooks
+bus.on("message", ({ sessionId, message }) => {
+  if (message.fromMe) return;
+  dispatch("message", { sessionId, message });
+});
+
+// Delivery and read receipts go to webhooks subscribed to "receipt" (or "*")
+bus.on("receipt", (receipt) => {
+  dispatch("receipt", receipt);
+});
+
+// A session lost its credentials and has to be linked again. Besides
+// subscribed webhooks, alerts.webhookUrl is told.
+bus.on("logged-out", (event) => {
+  dispatch("logged-out", event);
+
+  if (config.alerts.webhookUrl) {
+    sendToWebhook(
+      {
+        id: "alert",
+        url: config.alerts.webhookUrl,
+        secret: config.alerts.webhookSecret,
+      },
+      "logged-out",
+      event
+    );
+  }
+});
+
+module.exports = {
+  listWebhooks,
+  addWebhook,
+  removeWebhook,
+  toPublicWebhook,
+  signPayload,
+  dispatch,
+  sendToWebhook,
+  registerWebhookSource,
+  listDeadLetters,
+};
@@ -0,0 +1,74 @@
+const express = require("express");
+const {
+  listKeys,
+  createKey,
+  revokeKey,
+  isLastAdminKey,
+  toPublicKey,
+  requireScope,
+  requireBootstrapAccess,
+} = require("../lib/apiKeys");
+const { getPublicConfig } = require("../lib/config");
+const { validate } = require("../lib/validation");
+
+// Admin-only endpoints
+const router = express.Router();
+router.use(requireScope("admin"));
+
+// List API keys (the keys themselves are never returned)
+router.get("/api-keys", validate("listApiKeys"), (req, res) => {
+  const keys = listKeys().map(toPublicKey);
+
+  res.json({
+    status: "success",
+    keys,
+    total: keys.length,
+  });
+});
+
+// Create an API key. The plain key is only returned in this response.
+router.post("/api-keys", requireBootstrapAccess, validate("createApiKey"), (req, res) => {
+  const { name, scopes } = req.body;
+
+  const { key, entry } = createKey({ name, scopes });
+
+  res.status(201).json({
+    status: "success",
+    message: "API key created. Store it now, it won't be shown again.",
+    key,
+    apiKey: toPublicKey(entry),
+  });
+});
+
+// Revoke an API key created through the API
+router.delete("/api-keys/:id", validate("revokeApiKey"), (req, res) => {
+  if (isLastAdminKey(req.params.id)) {
+    return res.status(409).json({
+      status: "error",
+      message: "This is the last admin key. Create another admin key before revoking it.",
+    });
+  }
+
+  if (!revokeKey(req.params.id)) {
+    return res.status(404).json({
+      status: "error",
+      message: "API key not found (keys from API_KEYS can't be revoked here)",
+    });
+  }
+
+  res.json({
+    status: "success",
+    message: "API key revoked",
+  });
+});
+
+// The settings in effect, with secrets redacted, and where each one came
+// from (default, file or env)
+router.get("/config", validate("getConfig"), (req, res) => {
+  res.json({
+    status: "success",
+    ...getPublicConfig(),
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,90 @@
+const express = require("express");
+const { requireScope } = require("../lib/apiKeys");
+const { validate } = require("../lib/validation");
+const {
+  createBackup,
+  openBackup,
+  importAuthState,
+} = require("../lib/authStore");
+const { initializeWhatsApp, closeSocket } = require("../lib/session");
+
+// Encrypted backups of a session's WhatsApp credentials
+const router = express.Router({ mergeParams: true });
+
+// Export the credentials, encrypted with the passphrase in the
+// X-Auth-Passphrase header (kept out of URLs and access logs)
+router.get("/auth/export", requireScope("admin"), validate("exportAuth"), (req, res) => {
+  const session = req.waSession;
+
+  let backup;
+  try {
+    backup = createBackup(session.id, req.get("X-Auth-Passphrase"));
+  } catch (error) {
+    return res.status(error.statusCode || 500).json({
+      status: "error",
+      message: error.message,
+    });
+  }
+
+  if (!backup) {
+    return res.status(404).json({
+      status: "error",
+      message: "This session has no credentials to export. Link it first.",
+    });
+  }
+
+  console.log(`[${session.id}] Auth state exported`);
+  res.set(
+    "Content-Disposition",
+    `attachment; filename="auth-${session.id}.json"`
+  );
+  res.json({
+    status: "success",
+    backup,
+  });
+});
+
+// Restore credentials from a backup: { backup, passphrase }. The session's
+// current credentials are replaced and it reconnects with the restored ones.
+router.post("/auth/import", requireScope("admin"), validate("importAuth"), (req, res) => {
+  const session = req.waSession;
+  const { backup } = req.body;
+  const passphrase = req.get("X-Auth-Passphrase") || req.body.passphrase;
+
+  let restored;
+  try {
+    restored = openBackup(backup, passphrase);
+  } catch (error) {
+    return res.status(error.statusCode || 500).json({
+      status: "error",
+      message: error.message,
+    });
+  }
+
+  // The old socket would keep saving its own credentials
+  closeSocket(session);
+  session.pairingNumber = null;
+
+  try {
+    importAuthState(session.id, restored.entries);
+  } catch (error) {
+    console.error(`[${session.id}] Error importing auth state:`, error);
+    return res.status(500).json({
+      status: "error",
+      message: "Failed to import auth state: " + error.message,
+    });
+  }
+
+  console.log(
+    `[${session.id}] Auth state imported from a backup of session ${restored.sessionId}. Reconnecting...`
+  );
+  initializeWhatsApp(session);
+
+  res.json({
+    status: "success",
+    message: "Credentials restored. Reconnecting...",
+    sourceSessionId: restored.sessionId,
+  });
+});
+
+module.exports = router;
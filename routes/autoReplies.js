@@ -0,0 +1,182 @@
+const express = require("express");
+const {
+  validateRule,
+  listRules,
+  getRule,
+  addRule,
+  updateRule,
+  removeRule,
+  toPublicRule,
+  evaluate,
+  describeActions,
+  cooldownRemaining,
+} = require("../lib/autoReply");
+const { DEFAULT_SESSION_ID } = require("../lib/session");
+const { formatJid } = require("../lib/messages");
+const { requireScope } = require("../lib/apiKeys");
+const { validate } = require("../lib/validation");
+const { invalid, isPlainObject } = require("../lib/requests");
+
+// Managing auto-reply rules requires an admin key
+const router = express.Router();
+router.use(requireScope("admin"));
+
+function sendRuleError(res, error) {
+  res.status(error.statusCode || 500).json({
+    status: "error",
+    message: error.message,
+  });
+}
+
+// Turn the fake message of a dry run ({ text, from, group, name }) into a
+// message as the rules see it
+function buildTestMessage(input) {
+  if (!isPlainObject(input)) {
+    throw invalid("message must be an object like { text, from, group, name }");
+  }
+
+  const sender = input.from ? formatJid(String(input.from)) : null;
+  const group = input.group
+    ? String(input.group).replace(/@g\.us$/, "") + "@g.us"
+    : null;
+  if (!sender && !group) {
+    throw invalid("message.from (the sender's number) is required");
+  }
+
+  return {
+    id: "dry-run",
+    chat: group || sender,
+    sender,
+    fromMe: false,
+    isGroup: !!group,
+    pushName: input.name || null,
+    type: "conversation",
+    text: input.text || "",
+    mediaType: null,
+    media: null,
+    timestamp: new Date().toISOString(),
+    quoted: null,
+  };
+}
+
+// List rules in the order they're checked
+router.get("/", validate("listAutoReplyRules"), (req, res) => {
+  const rules = listRules().map(toPublicRule);
+
+  res.json({
+    status: "success",
+    rules,
+    total: rules.length,
+  });
+});
+
+// Dry run: which rule a message would trigger and what it would do, without
+// sending anything. Body: { message: { text, from, group, name }, sessionId,
+// at, rule }. at is an ISO date to check business hours against; rule tests
+// an unsaved rule instead of the configured ones.
+router.post("/test", validate("testAutoReplyRules"), (req, res) => {
+  const body = req.body;
+  const sessionId = body.sessionId || DEFAULT_SESSION_ID;
+
+  let message;
+  let rules;
+  try {
+    message = buildTestMessage(body.message);
+    rules = body.rule
+      ? [{ id: "test", ...validateRule(body.rule), source: "test" }]
+      : listRules();
+  } catch (error) {
+    return sendRuleError(res, error);
+  }
+
+  const date = body.at ? new Date(body.at) : new Date();
+  if (isNaN(date.getTime())) {
+    return res.status(400).json({
+      status: "error",
+      message: "at must be an ISO 8601 date",
+    });
+  }
+
+  const { rule, results } = evaluate(rules, sessionId, message, date);
+
+  res.json({
+    status: "success",
+    matched: !!rule,
+    rule: rule ? toPublicRule(rule) : null,
+    actions: rule ? describeActions(rule, message) : [],
+    // The rule wouldn't run again in this chat until its cooldown is over
+    cooldownRemainingSeconds: rule
+      ? Math.ceil(cooldownRemaining(rule, sessionId, message.chat) / 1000)
+      : 0,
+    results,
+  });
+});
+
+router.get("/:id", validate("getAutoReplyRule"), (req, res) => {
+  const rule = getRule(req.params.id);
+  if (!rule) {
+    return res.status(404).json({
+      status: "error",
+      message: "Rule not found",
+    });
+  }
+
+  res.json({
+    status: "success",
+    rule: toPublicRule(rule),
+  });
+});
+
+// Add a rule; it's checked after the existing ones
+router.post("/", validate("createAutoReplyRule"), (req, res) => {
+  try {
+    const rule = addRule(req.body);
+
+    res.status(201).json({
+      status: "success",
+      rule: toPublicRule(rule),
+    });
+  } catch (error) {
+    sendRuleError(res, error);
+  }
+});
+
+// Replace a rule
+router.put("/:id", validate("updateAutoReplyRule"), (req, res) => {
+  let rule;
+  try {
+    rule = updateRule(req.params.id, req.body);
+  } catch (error) {
+    return sendRuleError(res, error);
+  }
+
+  if (!rule) {
+    return res.status(404).json({
+      status: "error",
+      message:
+        "Rule not found (rules from AUTO_REPLY_RULES_FILE can't be changed)",
+    });
+  }
+
+  res.json({
+    status: "success",
+    rule: toPublicRule(rule),
+  });
+});
+
+router.delete("/:id", validate("deleteAutoReplyRule"), (req, res) => {
+  if (!removeRule(req.params.id)) {
+    return res.status(404).json({
+      status: "error",
+      message:
+        "Rule not found (rules from AUTO_REPLY_RULES_FILE can't be removed)",
+    });
+  }
+
+  res.json({
+    status: "success",
+    message: "Rule removed",
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,159 @@
+const express = require("express");
+const fs = require("fs");
+const { csvUpload, removeUpload } = require("../lib/upload");
+const { requireScope } = require("../lib/apiKeys");
+const { validate } = require("../lib/validation");
+const { idempotent } = require("../lib/idempotency");
+const { parseCsv } = require("../lib/csv");
+const {
+  RUNNING,
+  createBulkJob,
+  getBulkJob,
+  listBulkJobs,
+  cancelBulkJob,
+  toPublicBulkJob,
+  bulkJobToCsv,
+} = require("../lib/bulk");
+
+// Bulk / broadcast sends for a session
+const router = express.Router({ mergeParams: true });
+
+// Send a templated message to many recipients. Recipients come from a JSON
+// array ("recipients") or an uploaded CSV file ("file") with a "number"
+// column; other columns can be used in the template as {{column}}.
+router.post("/send-bulk", requireScope("send"), csvUpload.single("file"), validate("sendBulk"), idempotent, (req, res) => {
+  const session = req.waSession;
+  const csvFile = req.file;
+  const { template, minDelayMs, maxDelayMs } = req.body;
+
+  try {
+    let rows = req.body.recipients;
+    if (csvFile) {
+      try {
+        rows = parseCsv(fs.readFileSync(csvFile.path, "utf8"));
+      } catch (error) {
+        return res.status(400).json({
+          status: "error",
+          message: error.message,
+        });
+      }
+    } else if (typeof rows === "string") {
+      // Multipart forms can send the recipients as a JSON string
+      try {
+        rows = JSON.parse(rows);
+      } catch (error) {
+        return res.status(400).json({
+          status: "error",
+          message: "recipients must be a JSON array",
+        });
+      }
+    }
+
+    if (!rows) {
+      return res.status(400).json({
+        status: "error",
+        message: "Provide recipients as a JSON array or upload a CSV file in the \"file\" field",
+      });
+    }
+
+    let bulkJob;
+    try {
+      bulkJob = createBulkJob({
+        sessionId: session.id,
+        rows,
+        template,
+        minDelayMs,
+        maxDelayMs,
+      });
+    } catch (error) {
+      return res.status(400).json({
+        status: "error",
+        message: error.message,
+      });
+    }
+
+    res.status(202).json({
+      status: "success",
+      message: `Bulk send started for ${bulkJob.recipients.length} recipient(s)`,
+      bulkJobId: bulkJob.id,
+      job: toPublicBulkJob(bulkJob, { includeRecipients: false }),
+    });
+  } catch (error) {
+    console.error(`[${session.id}] Error starting bulk send:`, error);
+    res.status(500).json({
+      status: "error",
+      message: error.message,
+    });
+  } finally {
+    removeUpload(csvFile);
+  }
+});
+
+// List bulk jobs (without the per-recipient results)
+router.get("/bulk-jobs", requireScope("read"), validate("listBulkJobs"), (req, res) => {
+  const bulkJobs = listBulkJobs(req.waSession.id).map((bulkJob) =>
+    toPublicBulkJob(bulkJob, { includeRecipients: false })
+  );
+
+  res.json({
+    status: "success",
+    jobs: bulkJobs,
+    total: bulkJobs.length,
+  });
+});
+
+function findBulkJob(req, res) {
+  const bulkJob = getBulkJob(req.params.id);
+  if (!bulkJob || bulkJob.sessionId !== req.waSession.id) {
+    res.status(404).json({
+      status: "error",
+      message: "Bulk job not found",
+    });
+    return null;
+  }
+  return bulkJob;
+}
+
+// Bulk job with per-recipient results
+router.get("/bulk-jobs/:id", requireScope("read"), validate("getBulkJob"), (req, res) => {
+  const bulkJob = findBulkJob(req, res);
+  if (!bulkJob) return;
+
+  res.json({
+    status: "success",
+    job: toPublicBulkJob(bulkJob),
+  });
+});
+
+// Download the per-recipient results as CSV
+router.get("/bulk-jobs/:id/results.csv", requireScope("read"), validate("getBulkJobResults"), (req, res) => {
+  const bulkJob = findBulkJob(req, res);
+  if (!bulkJob) return;
+
+  res.type("text/csv");
+  res.attachment(`bulk-${bulkJob.id}.csv`);
+  res.send(bulkJobToCsv(bulkJob));
+});
+
+// Cancel the remaining sends of a bulk job
+router.delete("/bulk-jobs/:id", requireScope("send"), validate("cancelBulkJob"), (req, res) => {
+  const bulkJob = findBulkJob(req, res);
+  if (!bulkJob) return;
+
+  if (bulkJob.state !== RUNNING) {
+    return res.status(409).json({
+      status: "error",
+      message: `Bulk job is already ${bulkJob.state}`,
+    });
+  }
+
+  cancelBulkJob(bulkJob.id);
+
+  res.json({
+    status: "success",
+    message: "Bulk job cancelled",
+    job: toPublicBulkJob(bulkJob, { includeRecipients: false }),
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,74 @@
+const express = require("express");
+const { requireScope } = require("../lib/apiKeys");
+const { validate } = require("../lib/validation");
+const { formatJid } = require("../lib/messages");
+const {
+  listChats,
+  getChat,
+  listContacts,
+  getMessages,
+} = require("../lib/store");
+
+// Chat history from the local message store
+const router = express.Router({ mergeParams: true });
+
+// List chats, newest first (?q= filters by name or number)
+router.get("/chats", requireScope("read"), validate("listChats"), (req, res) => {
+  const chats = listChats(req.waSession.id, { q: req.query.q });
+
+  res.json({
+    status: "success",
+    chats,
+    total: chats.length,
+  });
+});
+
+// Messages of a chat, oldest first, in pages of ?limit= (default 50, max
+// 200). Pass nextBefore from the response as ?before= to get older ones.
+router.get("/chats/:jid/messages", requireScope("read"), validate("listChatMessages"), (req, res) => {
+  // A full JID or just a phone number
+  let jid;
+  try {
+    jid = formatJid(req.params.jid);
+  } catch (error) {
+    return res.status(400).json({
+      status: "error",
+      message: error.message,
+    });
+  }
+
+  let page;
+  try {
+    page = getMessages(req.waSession.id, jid, {
+      before: req.query.before,
+      limit: req.query.limit,
+      q: req.query.q,
+    });
+  } catch (error) {
+    return res.status(400).json({
+      status: "error",
+      message: error.message,
+    });
+  }
+
+  res.json({
+    status: "success",
+    chat: getChat(req.waSession.id, jid) || { jid },
+    messages: page.messages,
+    hasMore: page.hasMore,
+    nextBefore: page.nextBefore,
+  });
+});
+
+// List known contacts (?q= filters by name or number)
+router.get("/contacts", requireScope("read"), validate("listContacts"), (req, res) => {
+  const contacts = listContacts(req.waSession.id, { q: req.query.q });
+
+  res.json({
+    status: "success",
+    contacts,
+    total: contacts.length,
+  });
+});
+
+module.exports = router;
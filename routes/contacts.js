@@ -0,0 +1,52 @@
+const express = require("express");
+const { requireScope } = require("../lib/apiKeys");
+const { validate } = require("../lib/validation");
+const { formatJid } = require("../lib/messages");
+const { checkNumbers, isPhoneJid } = require("../lib/numberCheck");
+const { requireReady } = require("../lib/requests");
+
+// Number lookups
+const router = express.Router({ mergeParams: true });
+
+// Check which numbers are on WhatsApp: { numbers: ["628...", ...] }, at
+// most 500 at once. Group JIDs, LIDs and the like are rejected.
+router.post("/contacts/check", requireScope("read"), validate("checkNumbers"), requireReady, async (req, res) => {
+  const session = req.waSession;
+  const { numbers } = req.body;
+
+  const invalid = [];
+  for (const number of numbers) {
+    try {
+      if (!isPhoneJid(formatJid(number))) {
+        invalid.push(`${number} is not a phone number`);
+      }
+    } catch (error) {
+      invalid.push(error.message);
+    }
+  }
+  if (invalid.length > 0) {
+    return res.status(400).json({
+      status: "error",
+      message: invalid.join("; "),
+    });
+  }
+
+  try {
+    const results = await checkNumbers(session, numbers);
+
+    res.json({
+      status: "success",
+      results,
+      total: results.length,
+      onWhatsApp: results.filter((result) => result.exists).length,
+    });
+  } catch (error) {
+    console.error(`[${session.id}] Error checking numbers:`, error);
+    res.status(500).json({
+      status: "error",
+      message: error.message || "Failed to check numbers",
+    });
+  }
+});
+
+module.exports = router;
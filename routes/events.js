@@ -0,0 +1,74 @@
+const express = require("express");
+const bus = require("../lib/events");
+const { requireScope } = require("../lib/apiKeys");
+const { validate } = require("../lib/validation");
+const { getSessionStatus } = require("../lib/session");
+
+// Live event stream of a session (Server-Sent Events)
+const router = express.Router({ mergeParams: true });
+
+// Keep proxies from closing an idle stream
+const HEARTBEAT_INTERVAL_MS = 25000;
+
+// Bus events forwarded to clients, under the same name
+const STREAMED_EVENTS = [
+  "qr",
+  "pairing-code",
+  "connection",
+  "logged-out",
+  "message",
+  "receipt",
+];
+
+// EventSource can't send headers, so pass the key as ?api_key= when
+// API keys are enabled
+router.get("/events", requireScope("read", { allowQueryKey: true }), validate("streamEvents"), (req, res) => {
+  const session = req.waSession;
+
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no", // Disable buffering in nginx
+  });
+  res.flushHeaders();
+
+  const send = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  // Start with the current state so clients don't need to poll /status
+  send("status", {
+    ...getSessionStatus(session),
+    qr: session.qrCodeData,
+    pairingCode: session.pairingCode,
+  });
+
+  const listeners = STREAMED_EVENTS.map((event) => {
+    const listener = (payload) => {
+      if (payload.sessionId !== session.id) return;
+
+      if (event === "message") {
+        // The raw Baileys message stays on the server
+        send(event, { sessionId: payload.sessionId, message: payload.message });
+      } else {
+        send(event, payload);
+      }
+    };
+    bus.on(event, listener);
+    return [event, listener];
+  });
+
+  const heartbeat = setInterval(() => {
+    res.write(": heartbeat\n\n");
+  }, HEARTBEAT_INTERVAL_MS);
+
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    for (const [event, listener] of listeners) {
+      bus.removeListener(event, listener);
+    }
+  });
+});
+
+module.exports = router;
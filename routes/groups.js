@@ -0,0 +1,333 @@
+const express = require("express");
+const { requireScope } = require("../lib/apiKeys");
+const { validate } = require("../lib/validation");
+const { formatJid } = require("../lib/messages");
+const { requireReady, sendActionError } = require("../lib/requests");
+
+// Group listing and management
+const router = express.Router({ mergeParams: true });
+
+const INVITE_LINK_PREFIX = "https://chat.whatsapp.com/";
+
+// Participant actions and how they're reported
+const PARTICIPANT_ACTIONS = {
+  add: "added",
+  remove: "removed",
+  promote: "promoted",
+  demote: "demoted",
+};
+
+// Accept "120363025246125486@g.us" or just "120363025246125486"
+function toGroupJid(id) {
+  return id.endsWith("@g.us") ? id : `${id}@g.us`;
+}
+
+// Participant JIDs from phone numbers (or JIDs). Throws on invalid numbers.
+function toParticipantJids(participants) {
+  return participants.map((participant) => formatJid(participant));
+}
+
+// Accept an invite code or a full chat.whatsapp.com link
+function parseInviteCode(value) {
+  const match = String(value)
+    .trim()
+    .match(/^(?:https?:\/\/chat\.whatsapp\.com\/)?([\w-]+)$/);
+  return match ? match[1] : null;
+}
+
+function toPublicGroup(group) {
+  return {
+    id: group.id,
+    subject: group.subject || "No Subject",
+    description: group.desc || "",
+    creation: group.creation
+      ? new Date(group.creation * 1000).toISOString()
+      : null,
+    owner: group.owner || "",
+    announcementOnly: !!group.announce,
+    locked: !!group.restrict,
+    size: group.size || (group.participants ? group.participants.length : 0),
+    participants: (group.participants || []).map((participant) => ({
+      id: participant.id,
+      isAdmin: !!participant.admin,
+      isSuperAdmin: participant.admin === "superadmin",
+    })),
+  };
+}
+
+function badRequest(res, message) {
+  return res.status(400).json({
+    status: "error",
+    message,
+  });
+}
+
+// Get all groups (NO /api prefix)
+router.get("/groups", requireScope("read"), validate("listGroups"), requireReady, async (req, res) => {
+  try {
+    // Fetch all groups using Baileys
+    const groups = await req.waSession.sock.groupFetchAllParticipating();
+
+    // Format groups data
+    const groupsList = Object.values(groups).map((group) => ({
+      id: group.id,
+      subject: group.subject || "No Subject",
+      description: group.desc || "",
+      creation: group.creation
+        ? new Date(group.creation * 1000).toISOString()
+        : null,
+      owner: group.owner || "",
+      participants: group.participants ? group.participants.length : 0,
+      size: group.size || 0,
+    }));
+
+    res.json({
+      status: "success",
+      groups: groupsList,
+      total: groupsList.length,
+    });
+  } catch (error) {
+    sendActionError(req, res, "fetch groups", error);
+  }
+});
+
+// Create a group: { subject, participants: ["628...", ...] }
+router.post("/groups", requireScope("send"), validate("createGroup"), requireReady, async (req, res) => {
+  const { subject, participants } = req.body;
+
+  let jids;
+  try {
+    jids = toParticipantJids(participants);
+  } catch (error) {
+    return badRequest(res, error.message);
+  }
+
+  try {
+    const group = await req.waSession.sock.groupCreate(subject, jids);
+
+    res.status(201).json({
+      status: "success",
+      message: "Group created",
+      group: toPublicGroup(group),
+    });
+  } catch (error) {
+    sendActionError(req, res, "create group", error);
+  }
+});
+
+// Join a group: { code } with an invite code or link
+router.post(
+  "/groups/join",
+  requireScope("send"),
+  validate("joinGroup"),
+  requireReady,
+  async (req, res) => {
+    const code = parseInviteCode(req.body.code || req.body.link || "");
+
+    if (!code) {
+      return badRequest(
+        res,
+        "code must be an invite code or a chat.whatsapp.com link"
+      );
+    }
+
+    try {
+      const groupId = await req.waSession.sock.groupAcceptInvite(code);
+
+      res.json({
+        status: "success",
+        message: "Joined group",
+        groupId: groupId || null,
+      });
+    } catch (error) {
+      sendActionError(req, res, "join group", error);
+    }
+  }
+);
+
+// Group details with participants and their admin flags
+router.get(
+  "/groups/:id",
+  requireScope("read"),
+  validate("getGroup"),
+  requireReady,
+  async (req, res) => {
+    try {
+      const group = await req.waSession.sock.groupMetadata(
+        toGroupJid(req.params.id)
+      );
+
+      res.json({
+        status: "success",
+        group: toPublicGroup(group),
+      });
+    } catch (error) {
+      sendActionError(req, res, "fetch group", error);
+    }
+  }
+);
+
+// Change subject, description and settings. Only the given fields change:
+// { subject, description, announcementOnly, locked }
+router.patch(
+  "/groups/:id",
+  requireScope("send"),
+  validate("updateGroup"),
+  requireReady,
+  async (req, res) => {
+    const { subject, description, announcementOnly, locked } = req.body;
+    const jid = toGroupJid(req.params.id);
+    const sock = req.waSession.sock;
+
+    if (subject !== undefined && !subject.trim()) {
+      return badRequest(res, "subject must be a non-empty string");
+    }
+    if (
+      [subject, description, announcementOnly, locked].every(
+        (v) => v === undefined
+      )
+    ) {
+      return badRequest(
+        res,
+        "Nothing to update. Pass subject, description, announcementOnly or locked."
+      );
+    }
+
+    try {
+      if (subject !== undefined) {
+        await sock.groupUpdateSubject(jid, subject);
+      }
+      if (description !== undefined) {
+        // An empty description removes it
+        await sock.groupUpdateDescription(jid, description || undefined);
+      }
+      if (announcementOnly !== undefined) {
+        await sock.groupSettingUpdate(
+          jid,
+          announcementOnly ? "announcement" : "not_announcement"
+        );
+      }
+      if (locked !== undefined) {
+        await sock.groupSettingUpdate(jid, locked ? "locked" : "unlocked");
+      }
+
+      const group = await sock.groupMetadata(jid);
+      res.json({
+        status: "success",
+        message: "Group updated",
+        group: toPublicGroup(group),
+      });
+    } catch (error) {
+      sendActionError(req, res, "update group", error);
+    }
+  }
+);
+
+// Add, remove, promote or demote participants:
+// { action: "add", participants: ["628...", ...] }
+router.post(
+  "/groups/:id/participants",
+  requireScope("send"),
+  validate("updateGroupParticipants"),
+  requireReady,
+  async (req, res) => {
+    const { action, participants } = req.body;
+
+    let jids;
+    try {
+      jids = toParticipantJids(participants);
+    } catch (error) {
+      return badRequest(res, error.message);
+    }
+
+    try {
+      const results = await req.waSession.sock.groupParticipantsUpdate(
+        toGroupJid(req.params.id),
+        jids,
+        action
+      );
+
+      // WhatsApp reports a status per participant ("200" when it worked,
+      // "403" when they can't be added, "409" when already a member, ...)
+      res.json({
+        status: "success",
+        message: `Participants ${PARTICIPANT_ACTIONS[action]}`,
+        results: results.map((result) => ({
+          jid: result.jid,
+          status: result.status,
+          success: result.status === "200",
+        })),
+      });
+    } catch (error) {
+      sendActionError(req, res, `${action} participants`, error);
+    }
+  }
+);
+
+// Current invite link (requires admin rights in the group)
+router.get(
+  "/groups/:id/invite-code",
+  requireScope("read"),
+  validate("getGroupInviteCode"),
+  requireReady,
+  async (req, res) => {
+    try {
+      const code = await req.waSession.sock.groupInviteCode(
+        toGroupJid(req.params.id)
+      );
+
+      res.json({
+        status: "success",
+        code,
+        link: INVITE_LINK_PREFIX + code,
+      });
+    } catch (error) {
+      sendActionError(req, res, "fetch invite code", error);
+    }
+  }
+);
+
+// Revoke the invite link; returns the new one
+router.delete(
+  "/groups/:id/invite-code",
+  requireScope("send"),
+  validate("revokeGroupInviteCode"),
+  requireReady,
+  async (req, res) => {
+    try {
+      const code = await req.waSession.sock.groupRevokeInvite(
+        toGroupJid(req.params.id)
+      );
+
+      res.json({
+        status: "success",
+        message: "Invite link revoked",
+        code,
+        link: INVITE_LINK_PREFIX + code,
+      });
+    } catch (error) {
+      sendActionError(req, res, "revoke invite code", error);
+    }
+  }
+);
+
+router.post(
+  "/groups/:id/leave",
+  requireScope("send"),
+  validate("leaveGroup"),
+  requireReady,
+  async (req, res) => {
+    try {
+      await req.waSession.sock.groupLeave(toGroupJid(req.params.id));
+
+      res.json({
+        status: "success",
+        message: "Left group",
+      });
+    } catch (error) {
+      sendActionError(req, res, "leave group", error);
+    }
+  }
+);
+
+module.exports = router;
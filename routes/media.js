@@ -0,0 +1,53 @@
+const express = require("express");
+const fs = require("fs");
+const { requireScope } = require("../lib/apiKeys");
+const { validate } = require("../lib/validation");
+const { getMedia, getMediaPath } = require("../lib/incomingMedia");
+const { extensionFor } = require("../lib/media");
+
+// Media downloaded from incoming messages
+const router = express.Router({ mergeParams: true });
+
+// The mimetype comes from whoever sent the message. Only these are shown
+// inline; anything else (HTML, SVG, ...) could run scripts on the API's
+// origin, so it's served as a download.
+const INLINE_MIMETYPES = [
+  "image/jpeg",
+  "image/png",
+  "image/gif",
+  "image/webp",
+  "video/mp4",
+  "video/3gpp",
+  "audio/ogg",
+  "audio/mpeg",
+  "audio/mp4",
+  "audio/aac",
+  "audio/amr",
+  "audio/opus",
+];
+
+router.get("/media/:messageId", requireScope("read"), validate("getMedia"), (req, res) => {
+  const entry = getMedia(req.waSession.id, req.params.messageId);
+
+  if (!entry || !fs.existsSync(getMediaPath(entry))) {
+    return res.status(404).json({
+      status: "error",
+      message: "Media not found. It may not have been downloaded or was deleted.",
+    });
+  }
+
+  const mimetype = (entry.mimetype || "").split(";")[0].trim().toLowerCase();
+
+  // Documents keep their original filename
+  if (entry.filename) {
+    res.attachment(entry.filename);
+  } else if (!INLINE_MIMETYPES.includes(mimetype)) {
+    res.attachment(`${req.params.messageId}${extensionFor(mimetype) || ""}`);
+  }
+  res.type(entry.mimetype || "application/octet-stream");
+  res.set("X-Content-Type-Options", "nosniff");
+  res.set("X-Content-SHA256", entry.sha256);
+  res.sendFile(getMediaPath(entry));
+});
+
+module.exports = router;
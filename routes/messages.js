@@ -0,0 +1,230 @@
+const express = require("express");
+const bus = require("../lib/events");
+const { requireScope } = require("../lib/apiKeys");
+const { validate } = require("../lib/validation");
+const { idempotent } = require("../lib/idempotency");
+const { formatJid } = require("../lib/messages");
+const { findMessage, messageKey, updateMessage } = require("../lib/store");
+const {
+  getSentMessage,
+  updateSentText,
+  forgetSentMessage,
+} = require("../lib/sentMessages");
+const { trackSend } = require("../lib/metrics");
+const { requireReady, sendActionError } = require("../lib/requests");
+
+// Edit, delete and forward messages, by chat and the messageId returned
+// from /send-message
+const router = express.Router({ mergeParams: true });
+
+// WhatsApp only accepts edits this soon after sending
+const EDIT_WINDOW_MS = 15 * 60 * 1000;
+
+// Message types whose text can be edited
+const TEXT_TYPES = ["conversation", "extendedTextMessage"];
+
+// Look up the message in :jid with :messageId; sets req.chatJid and
+// req.storedMessage
+function findTargetMessage(req, res, next) {
+  let jid;
+  try {
+    jid = formatJid(req.params.jid);
+  } catch (error) {
+    return res.status(400).json({
+      status: "error",
+      message: error.message,
+    });
+  }
+
+  const message = findMessage(req.waSession.id, jid, req.params.messageId);
+  if (!message) {
+    return res.status(404).json({
+      status: "error",
+      message: `Message ${req.params.messageId} not found in the chat history of ${jid}`,
+    });
+  }
+  if (message.deleted) {
+    return res.status(400).json({
+      status: "error",
+      message: `Message ${message.id} has been deleted`,
+    });
+  }
+
+  req.chatJid = jid;
+  req.storedMessage = message;
+  next();
+}
+
+// Edit the text of a sent message: { message: "new text" }
+router.patch(
+  "/chats/:jid/messages/:messageId",
+  requireScope("send"),
+  validate("editMessage"),
+  requireReady,
+  findTargetMessage,
+  async (req, res) => {
+    const session = req.waSession;
+    const message = req.storedMessage;
+    const text = req.body.message;
+
+    if (!text.trim()) {
+      return res.status(400).json({
+        status: "error",
+        message: "message (the new text) is required",
+      });
+    }
+    if (!message.fromMe) {
+      return res.status(400).json({
+        status: "error",
+        message: "Only your own messages can be edited",
+      });
+    }
+    if (!TEXT_TYPES.includes(message.type)) {
+      return res.status(400).json({
+        status: "error",
+        message: "Only text messages can be edited",
+      });
+    }
+    if (
+      message.timestamp &&
+      Date.now() - new Date(message.timestamp).getTime() > EDIT_WINDOW_MS
+    ) {
+      return res.status(400).json({
+        status: "error",
+        message: "Messages can only be edited within 15 minutes of sending",
+      });
+    }
+
+    try {
+      await trackSend(session.id, "edit", () =>
+        session.sock.sendMessage(req.chatJid, {
+          text,
+          edit: messageKey(message),
+        })
+      );
+
+      updateSentText(session.id, message.id, text);
+      const updated = updateMessage(session.id, req.chatJid, message.id, {
+        text,
+        edited: true,
+      });
+
+      res.json({
+        status: "success",
+        message: "Message edited",
+        data: updated,
+      });
+    } catch (error) {
+      sendActionError(req, res, "edit message", error);
+    }
+  }
+);
+
+// Delete a message for everyone. Group admins can also delete messages of
+// other members.
+router.delete(
+  "/chats/:jid/messages/:messageId",
+  requireScope("send"),
+  validate("deleteMessage"),
+  requireReady,
+  findTargetMessage,
+  async (req, res) => {
+    const session = req.waSession;
+    const message = req.storedMessage;
+
+    if (!message.fromMe && !message.isGroup) {
+      return res.status(400).json({
+        status: "error",
+        message: "Only your own messages can be deleted for everyone",
+      });
+    }
+
+    try {
+      await trackSend(session.id, "delete", () =>
+        session.sock.sendMessage(req.chatJid, {
+          delete: messageKey(message),
+        })
+      );
+
+      forgetSentMessage(session.id, message.id);
+      updateMessage(session.id, req.chatJid, message.id, {
+        text: null,
+        deleted: true,
+      });
+
+      res.json({
+        status: "success",
+        message: "Message deleted for everyone",
+        messageId: message.id,
+      });
+    } catch (error) {
+      sendActionError(req, res, "delete message", error);
+    }
+  }
+);
+
+// Forward a message to another chat: { to: "628..." } (a number or JID).
+// Messages sent through the API can be forwarded with their media; other
+// messages only when they're plain text.
+router.post(
+  "/chats/:jid/messages/:messageId/forward",
+  requireScope("send"),
+  validate("forwardMessage"),
+  requireReady,
+  findTargetMessage,
+  idempotent,
+  async (req, res) => {
+    const session = req.waSession;
+    const message = req.storedMessage;
+
+    let targetJid;
+    try {
+      targetJid = formatJid(req.body.to);
+    } catch (error) {
+      return res.status(400).json({
+        status: "error",
+        message: error.message,
+      });
+    }
+
+    let forward = getSentMessage(session.id, req.chatJid, message.id);
+    if (!forward) {
+      if (message.mediaType || !message.text) {
+        return res.status(400).json({
+          status: "error",
+          message:
+            "Only text messages and messages sent through the API can be forwarded",
+        });
+      }
+      forward = {
+        key: messageKey(message),
+        message: { conversation: message.text },
+      };
+    }
+
+    try {
+      const result = await trackSend(session.id, "forward", () =>
+        session.sock.sendMessage(targetJid, { forward })
+      );
+
+      bus.emit("sent", {
+        sessionId: session.id,
+        jobId: null,
+        messageId: result.key.id,
+        chat: targetJid,
+        raw: result,
+      });
+
+      res.json({
+        status: "success",
+        message: "Message forwarded",
+        messageId: result.key.id,
+        to: targetJid,
+      });
+    } catch (error) {
+      sendActionError(req, res, "forward message", error);
+    }
+  }
+);
+
+module.exports = router;
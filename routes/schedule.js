@@ -0,0 +1,168 @@
+const express = require("express");
+const { mediaUpload, removeUpload } = require("../lib/upload");
+const { requireScope } = require("../lib/apiKeys");
+const { validate } = require("../lib/validation");
+const { idempotent } = require("../lib/idempotency");
+const { formatJid } = require("../lib/messages");
+const { describeUpload } = require("../lib/media");
+const { getRequestMedia } = require("../lib/remoteMedia");
+const {
+  SCHEDULED,
+  validateRecurrence,
+  createSchedule,
+  cancelSchedule,
+  getSchedule,
+  listSchedules,
+  toPublicSchedule,
+} = require("../lib/scheduler");
+
+// Scheduled messages for a session, mounted at /schedule by the session router
+const router = express.Router({ mergeParams: true });
+
+// Schedule a message. Accepts the same fields as /send-message plus
+// sendAt (ISO 8601) and recurrence ("daily", "weekly" or a cron expression).
+router.post("/", requireScope("send"), mediaUpload, validate("createSchedule"), idempotent, async (req, res) => {
+  const session = req.waSession;
+  const { number, message, type, sendAt, recurrence } = req.body;
+  let mediaFile = req.file;
+
+  const fail = (text, statusCode = 400) => {
+    removeUpload(mediaFile);
+    return res.status(statusCode).json({
+      status: "error",
+      message: text,
+    });
+  };
+
+  let jid;
+  try {
+    jid = formatJid(number);
+  } catch (error) {
+    return fail(error.message);
+  }
+
+  // Uploaded file, or media from mediaUrl / mediaBase64
+  try {
+    mediaFile = await getRequestMedia(req);
+  } catch (error) {
+    return fail(error.message, error.statusCode);
+  }
+
+  if (!message && !mediaFile) {
+    return fail("Either message, file, mediaUrl or mediaBase64 is required");
+  }
+
+  let media = null;
+  if (mediaFile) {
+    try {
+      media = describeUpload(mediaFile, type, message);
+    } catch (error) {
+      return fail(error.message);
+    }
+  }
+
+  if (!sendAt && !recurrence) {
+    return fail("sendAt is required");
+  }
+
+  if (sendAt && isNaN(new Date(sendAt).getTime())) {
+    return fail("sendAt must be a valid ISO 8601 date, e.g. 2024-01-01T09:00:00+07:00");
+  }
+
+  if (sendAt && !recurrence && new Date(sendAt) <= new Date()) {
+    return fail("sendAt must be in the future");
+  }
+
+  try {
+    validateRecurrence(recurrence);
+  } catch (error) {
+    return fail(error.message);
+  }
+
+  if (!sendAt && (recurrence === "daily" || recurrence === "weekly")) {
+    return fail(`sendAt is required for ${recurrence} schedules`);
+  }
+
+  try {
+    const schedule = createSchedule({
+      sessionId: session.id,
+      jid,
+      text: message,
+      media,
+      sendAt,
+      recurrence,
+    });
+
+    res.status(201).json({
+      status: "success",
+      message: "Message scheduled",
+      schedule: toPublicSchedule(schedule),
+    });
+  } catch (error) {
+    console.error(`[${session.id}] Error scheduling message:`, error);
+    removeUpload(mediaFile);
+    res.status(500).json({
+      status: "error",
+      message: error.message,
+    });
+  }
+});
+
+// List schedules. Pass ?state=scheduled to only see pending ones.
+router.get("/", requireScope("read"), validate("listSchedules"), (req, res) => {
+  let schedules = listSchedules(req.waSession.id);
+  if (req.query.state) {
+    schedules = schedules.filter((schedule) => schedule.state === req.query.state);
+  }
+
+  res.json({
+    status: "success",
+    schedules: schedules.map(toPublicSchedule),
+    total: schedules.length,
+  });
+});
+
+function findSchedule(req, res) {
+  const schedule = getSchedule(req.params.id);
+  if (!schedule || schedule.sessionId !== req.waSession.id) {
+    res.status(404).json({
+      status: "error",
+      message: "Schedule not found",
+    });
+    return null;
+  }
+  return schedule;
+}
+
+router.get("/:id", requireScope("read"), validate("getSchedule"), (req, res) => {
+  const schedule = findSchedule(req, res);
+  if (!schedule) return;
+
+  res.json({
+    status: "success",
+    schedule: toPublicSchedule(schedule),
+  });
+});
+
+// Cancel a schedule
+router.delete("/:id", requireScope("send"), validate("cancelSchedule"), (req, res) => {
+  const schedule = findSchedule(req, res);
+  if (!schedule) return;
+
+  if (schedule.state !== SCHEDULED) {
+    return res.status(409).json({
+      status: "error",
+      message: `Schedule is already ${schedule.state}`,
+    });
+  }
+
+  cancelSchedule(schedule.id);
+
+  res.json({
+    status: "success",
+    message: "Schedule cancelled",
+    schedule: toPublicSchedule(schedule),
+  });
+});
+
+module.exports = router;
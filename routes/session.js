@@ -0,0 +1,755 @@
+const express = require("express");
+const { mediaUpload, removeUpload } = require("../lib/upload");
+const {
+  initializeWhatsApp,
+  closeSocket,
+  connectWithPairingCode,
+  logoutSession,
+  deleteAuthState,
+  getSessionStatus,
+} = require("../lib/session");
+const { requireScope } = require("../lib/apiKeys");
+const { validate } = require("../lib/validation");
+const { idempotent } = require("../lib/idempotency");
+const { formatJid } = require("../lib/messages");
+const { describeUpload } = require("../lib/media");
+const { getRequestMedia } = require("../lib/remoteMedia");
+const {
+  SENT,
+  FAILED,
+  enqueue,
+  getJob,
+  waitForJob,
+  toPublicJob,
+} = require("../lib/outbox");
+const { getReceipt, toPublicReceipt } = require("../lib/receipts");
+const { checkNumbers, isPhoneJid } = require("../lib/numberCheck");
+const { normalizePhoneNumber } = require("../lib/phone");
+const {
+  RICH_TYPES,
+  buildRichContent,
+  buildQuoted,
+  resolveMentions,
+} = require("../lib/richMessages");
+const scheduleRouter = require("./schedule");
+const bulkRouter = require("./bulk");
+const eventsRouter = require("./events");
+const chatsRouter = require("./chats");
+const messagesRouter = require("./messages");
+const mediaRouter = require("./media");
+const groupsRouter = require("./groups");
+const contactsRouter = require("./contacts");
+const authRouter = require("./auth");
+
+// Routes that act on a single WhatsApp session. The router is mounted both
+// at the root (for the default session) and under /sessions/:sessionId, and
+// expects req.waSession to be set by the mounting middleware.
+const router = express.Router({ mergeParams: true });
+
+// Get QR Code endpoint (NO /api prefix)
+router.get("/qr", requireScope("read"), validate("getQrCode"), (req, res) => {
+  const session = req.waSession;
+
+  if (session.isReady) {
+    return res.json({
+      status: "error",
+      message: "WhatsApp is already connected. No QR code needed.",
+    });
+  }
+
+  // Linking with a phone number (POST /connect with phoneNumber)
+  if (session.pairingCode) {
+    return res.json({
+      status: "pairing",
+      pairingCode: session.pairingCode,
+      phoneNumber: session.pairingNumber,
+      message: "Enter this pairing code on your phone to connect",
+    });
+  }
+
+  if (!session.qrCodeData) {
+    return res.json({
+      status: "waiting",
+      message: "Waiting for QR code to be generated. Please try again.",
+    });
+  }
+
+  // Return QR code as text that can be displayed
+  res.json({
+    status: "success",
+    qr: session.qrCodeData,
+    message: "Scan this QR code with WhatsApp to connect",
+  });
+});
+
+// Raw QR Code image endpoint
+router.get("/qr/image", requireScope("read", { allowQueryKey: true }), validate("getQrImage"), async (req, res) => {
+  const session = req.waSession;
+
+  if (!session.qrCodeData) {
+    return res.status(404).send("QR Code not generated yet");
+  }
+
+  try {
+    const QRCode = require("qrcode");
+    const buffer = await QRCode.toBuffer(session.qrCodeData);
+    res.type("image/png");
+    res.send(buffer);
+  } catch (err) {
+    res.status(500).send("Error generating QR code image");
+  }
+});
+
+// Reload the QR page when a new code arrives or the connection changes.
+// The page URL is .../qr/display, so the stream is at .../events; the query
+// string is kept so ?api_key= is passed along.
+const QR_DISPLAY_SCRIPT = `
+  const events = new EventSource("../events" + location.search);
+  events.addEventListener("qr", () => location.reload());
+  events.addEventListener("pairing-code", () => location.reload());
+  events.addEventListener("connection", () => location.reload());
+`;
+
+// Display QR code in a simple HTML page
+router.get("/qr/display", requireScope("read", { allowQueryKey: true }), validate("getQrPage"), (req, res) => {
+  const session = req.waSession;
+
+  if (session.isReady) {
+    return res.send(`
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <title>WhatsApp QR Code</title>
+        <style>
+          body {
+            font-family: Arial, sans-serif;
+            display: flex;
+            justify-content: center;
+            align-items: center;
+            min-height: 100vh;
+            margin: 0;
+            background: #f5f5f5;
+          }
+          .container {
+            text-align: center;
+            background: white;
+            padding: 40px;
+            border-radius: 10px;
+            box-shadow: 0 2px 10px rgba(0,0,0,0.1);
+          }
+          .status {
+            color: #25D366;
+            font-size: 24px;
+            font-weight: bold;
+            margin-bottom: 20px;
+          }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="status">✓ WhatsApp is already connected!</div>
+        </div>
+      </body>
+      </html>
+    `);
+  }
+
+  if (session.pairingCode) {
+    return res.send(`
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <title>WhatsApp Pairing Code</title>
+        <style>
+          body {
+            font-family: Arial, sans-serif;
+            display: flex;
+            justify-content: center;
+            align-items: center;
+            min-height: 100vh;
+            margin: 0;
+            background: #f5f5f5;
+          }
+          .container {
+            text-align: center;
+            background: white;
+            padding: 40px;
+            border-radius: 10px;
+            box-shadow: 0 2px 10px rgba(0,0,0,0.1);
+          }
+          .code {
+            font-family: monospace;
+            font-size: 40px;
+            letter-spacing: 6px;
+            margin: 20px 0;
+          }
+          .instructions {
+            text-align: left;
+            display: inline-block;
+            color: #666;
+          }
+        </style>
+        <script>${QR_DISPLAY_SCRIPT}</script>
+      </head>
+      <body>
+        <div class="container">
+          <h1>🔢 Pairing Code</h1>
+          <div class="code">${session.pairingCode}</div>
+          <div class="instructions">
+            <p>1. Open WhatsApp on the phone with number +${session.pairingNumber}</p>
+            <p>2. Go to Settings → Linked Devices → Link a Device</p>
+            <p>3. Tap "Link with phone number instead"</p>
+            <p>4. Enter this code</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `);
+  }
+
+  if (!session.qrCodeData) {
+    return res.send(`
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <title>WhatsApp QR Code</title>
+        <style>
+          body {
+            font-family: Arial, sans-serif;
+            display: flex;
+            justify-content: center;
+            align-items: center;
+            min-height: 100vh;
+            margin: 0;
+            background: #f5f5f5;
+          }
+          .container {
+            text-align: center;
+            background: white;
+            padding: 40px;
+            border-radius: 10px;
+            box-shadow: 0 2px 10px rgba(0,0,0,0.1);
+          }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <h2>Generating QR Code...</h2>
+          <p>Please wait...</p>
+          <script>${QR_DISPLAY_SCRIPT}</script>
+        </div>
+      </body>
+      </html>
+    `);
+  }
+
+  // Generate QR code HTML using qrcode library
+  const QRCode = require("qrcode");
+  QRCode.toDataURL(session.qrCodeData, (err, url) => {
+    if (err) {
+      return res.status(500).send("Error generating QR code");
+    }
+    res.send(`
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <title>WhatsApp QR Code</title>
+        <style>
+          body {
+            font-family: Arial, sans-serif;
+            display: flex;
+            justify-content: center;
+            align-items: center;
+            min-height: 100vh;
+            margin: 0;
+            background: #f5f5f5;
+          }
+          .container {
+            text-align: center;
+            background: white;
+            padding: 40px;
+            border-radius: 10px;
+            box-shadow: 0 2px 10px rgba(0,0,0,0.1);
+          }
+          h1 {
+            color: #333;
+            margin-bottom: 20px;
+          }
+          img {
+            max-width: 300px;
+            margin: 20px 0;
+          }
+          .instructions {
+            text-align: left;
+            display: inline-block;
+            margin-top: 20px;
+            color: #666;
+          }
+        </style>
+        <script>${QR_DISPLAY_SCRIPT}</script>
+      </head>
+      <body>
+        <div class="container">
+          <h1>📱 Scan QR Code</h1>
+          <img src="${url}" alt="QR Code">
+          <div class="instructions">
+            <p><strong>How to connect:</strong></p>
+            <p>1. Open WhatsApp on your phone</p>
+            <p>2. Go to Settings → Linked Devices</p>
+            <p>3. Tap "Link a Device"</p>
+            <p>4. Scan this QR code</p>
+            <p style="color: #999; font-size: 12px;">This page updates automatically when the QR code changes</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `);
+  });
+});
+
+// How long ?wait=true blocks before returning the still-pending job
+const SEND_WAIT_TIMEOUT_MS = 30000;
+
+// Send message endpoint (NO /api prefix)
+// Messages go through the outbox, so they are accepted even while the
+// session is reconnecting. Returns a job ID right away, or waits for the
+// send to finish when "wait" is true.
+// The file goes in the "file" field ("image" still works), or is given as
+// mediaUrl / mediaBase64 in a JSON body. It is sent as image, video, audio,
+// voice, document or sticker based on its type, or as the "type" field says.
+// Retries with the same Idempotency-Key header get the first response again.
+router.post("/send-message", requireScope("send"), mediaUpload, validate("sendMessage"), idempotent, async (req, res) => {
+  const session = req.waSession;
+
+  try {
+    const { number, message, type, replyTo } = req.body;
+    // Booleans once validated, in the body or the query string
+    const wait = req.body.wait === true || req.query.wait === true;
+    const verify = req.body.verify === true || req.query.verify === true;
+
+    let jid;
+    try {
+      jid = formatJid(number);
+    } catch (error) {
+      removeUpload(req.file);
+      return res.status(400).json({
+        status: "error",
+        message: error.message,
+      });
+    }
+
+    // A reaction already points at the message it reacts to
+    if (replyTo && req.body.reaction !== undefined && req.body.reaction !== null) {
+      removeUpload(req.file);
+      return res.status(400).json({
+        status: "error",
+        message: "A reaction can't be a reply",
+      });
+    }
+
+    // Optionally make sure the number is on WhatsApp, and send to the JID
+    // WhatsApp knows it by. Groups, LIDs and other JIDs are sent to as they are.
+    if (verify && isPhoneJid(jid)) {
+      if (!session.isReady || !session.sock) {
+        removeUpload(req.file);
+        return res.status(400).json({
+          status: "error",
+          message: "WhatsApp client is not ready, so the number can't be verified.",
+        });
+      }
+
+      const [result] = await checkNumbers(session, [number]);
+      if (!result.exists) {
+        removeUpload(req.file);
+        return res.status(404).json({
+          status: "error",
+          message: `${number} is not on WhatsApp`,
+        });
+      }
+      jid = result.jid;
+    }
+
+    // A location, contact, poll or reaction instead of text or media, and
+    // the message being replied to
+    let rich;
+    let quoted = null;
+    try {
+      rich = buildRichContent(session.id, jid, req.body);
+      if (replyTo) {
+        quoted = buildQuoted(session.id, jid, replyTo);
+      }
+    } catch (error) {
+      removeUpload(req.file);
+      return res.status(error.statusCode || 400).json({
+        status: "error",
+        message: error.message,
+      });
+    }
+
+    const hasMedia = req.file || req.body.mediaUrl || req.body.mediaBase64;
+    if (rich && (message || hasMedia)) {
+      removeUpload(req.file);
+      return res.status(400).json({
+        status: "error",
+        message: `A ${rich.type} can't be combined with a message or media`,
+      });
+    }
+
+    let media = null;
+    if (!rich) {
+      // Uploaded file, or media from mediaUrl / mediaBase64
+      let mediaFile;
+      try {
+        mediaFile = await getRequestMedia(req);
+      } catch (error) {
+        return res.status(error.statusCode || 400).json({
+          status: "error",
+          message: error.message,
+        });
+      }
+
+      if (!message && !mediaFile) {
+        return res.status(400).json({
+          status: "error",
+          message: `Either message, file, mediaUrl, mediaBase64 or one of ${RICH_TYPES.join(", ")} is required`,
+        });
+      }
+
+      if (mediaFile) {
+        try {
+          media = describeUpload(mediaFile, type, message);
+        } catch (error) {
+          removeUpload(mediaFile);
+          return res.status(400).json({
+            status: "error",
+            message: error.message,
+          });
+        }
+      }
+    }
+
+    // "@0812..." in group messages mentions that member
+    const { text, mentions } = resolveMentions(message, jid);
+
+    const job = enqueue({
+      sessionId: session.id,
+      jid,
+      text,
+      media,
+      content: rich ? rich.content : null,
+      contentType: rich ? rich.type : null,
+      mentions,
+      quoted,
+    });
+
+    const finishedJob = wait
+      ? await waitForJob(job.id, SEND_WAIT_TIMEOUT_MS)
+      : job;
+
+    if (finishedJob.state === SENT) {
+      return res.json({
+        status: "success",
+        message: media
+          ? `Message with ${media.type} sent successfully`
+          : rich
+          ? `Message with ${rich.type} sent successfully`
+          : "Message sent successfully",
+        jobId: finishedJob.id,
+        messageId: finishedJob.messageId,
+      });
+    }
+
+    if (finishedJob.state === FAILED) {
+      return res.status(500).json({
+        status: "error",
+        message: finishedJob.error,
+        jobId: finishedJob.id,
+      });
+    }
+
+    res.status(202).json({
+      status: "success",
+      message: session.isReady
+        ? "Message queued for sending"
+        : "Message queued. It will be sent once WhatsApp is connected.",
+      jobId: finishedJob.id,
+      state: finishedJob.state,
+    });
+  } catch (error) {
+    console.error(`[${session.id}] Error sending message:`, error);
+
+    // Clean up file on error if it exists
+    removeUpload(req.file);
+
+    res.status(500).json({
+      status: "error",
+      message: error.message,
+    });
+  }
+});
+
+// Get the state of a queued message (queued, sending, sent or failed)
+router.get("/messages/:id", requireScope("read"), validate("getOutboxJob"), (req, res) => {
+  const job = getJob(req.params.id);
+
+  if (!job || job.sessionId !== req.waSession.id) {
+    return res.status(404).json({
+      status: "error",
+      message: "Message not found",
+    });
+  }
+
+  res.json({
+    status: "success",
+    job: toPublicJob(job),
+  });
+});
+
+// Delivery status of a sent message. Accepts the WhatsApp message ID or the
+// outbox job ID returned by /send-message.
+router.get("/messages/:id/status", requireScope("read"), validate("getMessageStatus"), (req, res) => {
+  const job = getJob(req.params.id);
+  const messageId =
+    job && job.sessionId === req.waSession.id ? job.messageId : req.params.id;
+  const receipt = messageId ? getReceipt(messageId) : null;
+
+  if (!receipt || receipt.sessionId !== req.waSession.id) {
+    // A queued message has no WhatsApp message ID yet
+    if (job && job.sessionId === req.waSession.id) {
+      return res.json({
+        status: "success",
+        receipt: {
+          messageId: null,
+          sessionId: job.sessionId,
+          chat: job.jid,
+          status: job.state === FAILED ? "error" : "queued",
+          history: [],
+          participants: {},
+          updatedAt: job.updatedAt,
+        },
+      });
+    }
+
+    return res.status(404).json({
+      status: "error",
+      message: "No status found for this message",
+    });
+  }
+
+  res.json({
+    status: "success",
+    receipt: toPublicReceipt(receipt),
+  });
+});
+
+// Get client status (NO /api prefix), with the latest disconnects and what
+// was done about them
+router.get("/status", requireScope("read"), validate("getSessionStatus"), (req, res) => {
+  res.json({
+    ...getSessionStatus(req.waSession),
+    disconnects: req.waSession.disconnects,
+  });
+});
+
+// Connect/Reconnect endpoint (NO /api prefix). With { phoneNumber } the
+// session is linked with a pairing code instead of a QR code.
+router.post("/connect", requireScope("admin"), validate("connectSession"), async (req, res) => {
+  const session = req.waSession;
+  const { phoneNumber } = req.body || {};
+
+  try {
+    res.setHeader("Content-Type", "application/json");
+
+    // If already connected, return success
+    if (session.isReady && session.sock) {
+      return res.json({
+        status: "success",
+        message: "WhatsApp is already connected.",
+      });
+    }
+
+    if (phoneNumber) {
+      let digits;
+      try {
+        digits = normalizePhoneNumber(phoneNumber);
+      } catch (error) {
+        return res.status(400).json({
+          status: "error",
+          message: error.message,
+        });
+      }
+
+      console.log(
+        `[${session.id}] Initiating WhatsApp connection with a pairing code for ${digits}...`
+      );
+      const code = await connectWithPairingCode(session, digits);
+
+      if (!code) {
+        return res.json({
+          status: "success",
+          message: "WhatsApp is already linked and is now connected.",
+        });
+      }
+      return res.json({
+        status: "success",
+        message:
+          'Enter this code on your phone in WhatsApp > Linked Devices > Link a Device > "Link with phone number instead".',
+        pairingCode: code,
+        phoneNumber: digits,
+      });
+    }
+
+    // If socket exists but not ready, close it first and reset state
+    closeSocket(session);
+    session.pairingNumber = null;
+
+    console.log(`[${session.id}] Initiating WhatsApp connection...`);
+
+    // Initialize WhatsApp connection
+    initializeWhatsApp(session);
+
+    res.json({
+      status: "success",
+      message:
+        "Connection initiated. Please wait for QR code or connection to complete.",
+    });
+  } catch (error) {
+    console.error(`[${session.id}] Error connecting:`, error);
+    res.status(error.statusCode || 500).json({
+      status: "error",
+      message: error.message || "Failed to initiate connection",
+    });
+  }
+});
+
+// Disconnect/Logout endpoint (NO /api prefix)
+router.post("/disconnect", requireScope("admin"), validate("disconnectSession"), async (req, res) => {
+  const session = req.waSession;
+
+  try {
+    // Ensure we always return JSON
+    res.setHeader("Content-Type", "application/json");
+
+    const { deleteAuth = false } = req.body || {}; // Option to delete auth files
+
+    if (!session.sock) {
+      return res.json({
+        status: "success",
+        message: "Already disconnected. No active connection.",
+        deletedAuth: false,
+      });
+    }
+
+    console.log(`[${session.id}] Disconnecting WhatsApp...`);
+
+    // Logout from WhatsApp and close the socket
+    await logoutSession(session);
+    session.pairingNumber = null;
+
+    // Optionally delete auth files to completely remove session
+    if (deleteAuth) {
+      try {
+        deleteAuthState(session);
+        console.log(`[${session.id}] Auth files deleted`);
+      } catch (error) {
+        console.error(`[${session.id}] Error deleting auth files:`, error);
+        // Don't fail the request if auth deletion fails
+      }
+    }
+
+    res.json({
+      status: "success",
+      message: deleteAuth
+        ? "Disconnected and auth files deleted. You will need to scan QR code again."
+        : "Disconnected successfully. Reconnecting will use existing session.",
+      deletedAuth: deleteAuth,
+    });
+
+    // Reinitialize after a short delay if not deleting auth
+    if (!deleteAuth) {
+      setTimeout(() => {
+        initializeWhatsApp(session);
+      }, 2000);
+    }
+  } catch (error) {
+    console.error(`[${session.id}] Error disconnecting:`, error);
+    res.status(500).json({
+      status: "error",
+      message: error.message || "Unknown error occurred",
+      deletedAuth: false,
+    });
+  }
+});
+
+// Clear auth endpoint - for fixing 401 errors
+router.post("/clear-auth", requireScope("admin"), validate("clearSessionAuth"), async (req, res) => {
+  const session = req.waSession;
+
+  try {
+    res.setHeader("Content-Type", "application/json");
+
+    console.log(`[${session.id}] Clearing auth files...`);
+
+    // Close socket if exists; the next connection shows a QR code again
+    closeSocket(session);
+    session.pairingNumber = null;
+
+    // Delete auth files
+    try {
+      deleteAuthState(session);
+      console.log(`[${session.id}] ✅ Auth files deleted successfully`);
+    } catch (error) {
+      console.error(`[${session.id}] Error deleting auth files:`, error);
+      return res.status(500).json({
+        status: "error",
+        message: "Failed to delete auth files: " + error.message,
+      });
+    }
+
+    res.json({
+      status: "success",
+      message: "Auth files cleared successfully. Reconnecting...",
+    });
+
+    // Reinitialize after a short delay
+    setTimeout(() => {
+      console.log(`[${session.id}] Reinitializing WhatsApp...`);
+      initializeWhatsApp(session);
+    }, 2000);
+  } catch (error) {
+    console.error(`[${session.id}] Error clearing auth:`, error);
+    res.status(500).json({
+      status: "error",
+      message: error.message || "Unknown error occurred",
+    });
+  }
+});
+
+// Scheduled messages
+router.use("/schedule", scheduleRouter);
+
+// Bulk sends: /send-bulk and /bulk-jobs
+router.use(bulkRouter);
+
+// Live event stream: /events
+router.use(eventsRouter);
+
+// Chat history: /chats and /contacts
+router.use(chatsRouter);
+
+// Edit, delete and forward: /chats/:jid/messages/:messageId
+router.use(messagesRouter);
+
+// Media of incoming messages: /media/:messageId
+router.use(mediaRouter);
+
+// Groups: /groups and /groups/:id/...
+router.use(groupsRouter);
+
+// Number lookups: /contacts/check
+router.use(contactsRouter);
+
+// Credential backups: /auth/export and /auth/import
+router.use(authRouter);
+
+module.exports = router;
@@ -0,0 +1,115 @@
+const express = require("express");
+const {
+  DEFAULT_SESSION_ID,
+  getSession,
+  listSessions,
+  startSession,
+  removeSession,
+  getSessionStatus,
+} = require("../lib/session");
+const { requireScope } = require("../lib/apiKeys");
+const { validate } = require("../lib/validation");
+const sessionRouter = require("./session");
+
+// Session management: create, list and delete named WhatsApp sessions.
+// Everything else under /sessions/:sessionId is handled by the session router.
+const router = express.Router();
+
+// List all sessions
+router.get("/", requireScope("read"), validate("listSessions"), (req, res) => {
+  const sessionsList = listSessions().map(getSessionStatus);
+
+  res.json({
+    status: "success",
+    sessions: sessionsList,
+    total: sessionsList.length,
+  });
+});
+
+// Create a session and start connecting it
+router.post("/", requireScope("admin"), validate("createSession"), (req, res) => {
+  const { id } = req.body;
+
+  if (getSession(id)) {
+    return res.status(409).json({
+      status: "error",
+      message: `Session "${id}" already exists`,
+    });
+  }
+
+  try {
+    const session = startSession(id);
+    res.status(201).json({
+      status: "success",
+      message:
+        "Session created. Please wait for QR code or connection to complete.",
+      session: getSessionStatus(session),
+    });
+  } catch (error) {
+    console.error("Error creating session:", error);
+    res.status(500).json({
+      status: "error",
+      message: error.message || "Failed to create session",
+    });
+  }
+});
+
+// Resolve the session for every /sessions/:sessionId route
+router.use("/:sessionId", (req, res, next) => {
+  const session = getSession(req.params.sessionId);
+
+  if (!session) {
+    return res.status(404).json({
+      status: "error",
+      message: `Session "${req.params.sessionId}" not found`,
+    });
+  }
+
+  req.waSession = session;
+  next();
+});
+
+// Get a single session
+router.get("/:sessionId", requireScope("read"), validate("getSession"), (req, res) => {
+  res.json({
+    status: "success",
+    session: getSessionStatus(req.waSession),
+  });
+});
+
+// Delete a session. Pass ?logout=true to also log out from WhatsApp and
+// delete its auth files, otherwise the session can be re-created later.
+router.delete("/:sessionId", requireScope("admin"), validate("deleteSession"), async (req, res) => {
+  const { sessionId } = req.params;
+  const logout = req.query.logout === true;
+
+  if (sessionId === DEFAULT_SESSION_ID) {
+    return res.status(400).json({
+      status: "error",
+      message:
+        "The default session cannot be deleted. Use /disconnect instead.",
+    });
+  }
+
+  try {
+    await removeSession(sessionId, { logout, deleteAuth: logout });
+
+    res.json({
+      status: "success",
+      message: logout
+        ? "Session logged out and deleted."
+        : "Session stopped. Auth files were kept.",
+      deletedAuth: logout,
+    });
+  } catch (error) {
+    console.error(`[${sessionId}] Error deleting session:`, error);
+    res.status(500).json({
+      status: "error",
+      message: error.message || "Failed to delete session",
+    });
+  }
+});
+
+router.use("/:sessionId", sessionRouter);
+
+module.exports = router;
@@ -0,0 +1,69 @@
+const express = require("express");
+const {
+  listWebhooks,
+  addWebhook,
+  removeWebhook,
+  toPublicWebhook,
+  listDeadLetters,
+} = require("../lib/webhooks");
+const { requireScope } = require("../lib/apiKeys");
+const { validate } = require("../lib/validation");
+
+// Managing webhooks requires an admin key
+const router = express.Router();
+router.use(requireScope("admin"));
+
+// List configured webhooks (secrets are never returned)
+router.get("/", validate("listWebhooks"), (req, res) => {
+  const webhooks = listWebhooks().map(toPublicWebhook);
+
+  res.json({
+    status: "success",
+    webhooks,
+    total: webhooks.length,
+  });
+});
+
+// Register a webhook
+router.post("/", validate("createWebhook"), (req, res) => {
+  const { url, events, secret } = req.body;
+
+  const webhook = addWebhook({
+    url,
+    events: events && events.length > 0 ? events : undefined,
+    secret,
+  });
+
+  res.status(201).json({
+    status: "success",
+    webhook: toPublicWebhook(webhook),
+  });
+});
+
+// Deliveries that failed after all retries
+router.get("/dead-letters", validate("listWebhookDeadLetters"), (req, res) => {
+  const deadLetters = listDeadLetters();
+
+  res.json({
+    status: "success",
+    deadLetters,
+    total: deadLetters.length,
+  });
+});
+
+// Remove a webhook registered through the API
+router.delete("/:id", validate("deleteWebhook"), (req, res) => {
+  if (!removeWebhook(req.params.id)) {
+    return res.status(404).json({
+      status: "error",
+      message: "Webhook not found (webhooks from WEBHOOK_URLS can't be removed)",
+    });
+  }
+
+  res.json({
+    status: "success",
+    message: "Webhook removed",
+  });
+});
+
+module.exports = router;
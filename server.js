@@ -1,219 +1,60 @@
 const express = require("express");
-const {
-  default: makeWASocket,
-  useMultiFileAuthState,
-  DisconnectReason,
-  fetchLatestBaileysVersion,
-} = require("@whiskeysockets/baileys");
-const { Boom } = require("@hapi/boom");
-const qrcode = require("qrcode-terminal");
-const multer = require("multer");
-const cors = require("cors");
 const path = require("path");
-const fs = require("fs");
-const pino = require("pino");
-
-const app = express();
-const PORT = process.env.PORT || 5000;
-
-// Middleware - CORS restricted to namia.online (allows localhost for development)
-const corsOptions = {
-  origin: function (origin, callback) {
-    // Allow requests from namia.online and irandra.my.id (and their subdomains)
-    const allowedOrigins = [
-      "https://namia.online",
-      "https://kurir.namia.online",
-      "http://namia.online",
-      "https://www.namia.online",
-      "http://www.namia.online",
-      "https://irandra.my.id",
-      "https://api.irandra.my.id",
-      "http://irandra.my.id",
-    ];
+const multer = require("multer");
+const swaggerUi = require("swagger-ui-express");
+
+// Settings are checked before anything else starts
+let config;
+try {
+  ({ config } = require("./lib/config"));
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
 
-    // Allow requests with no origin (like mobile apps, curl, Postman)
-    // OR from localhost (for development)
-    // OR from the allowed domains
-    if (
-      !origin ||
-      allowedOrigins.some((allowed) => origin.includes("namia.online") || origin.includes("irandra.my.id")) ||
-      origin.includes("localhost") ||
-      origin.includes("127.0.0.1")
-    ) {
-      callback(null, true);
-    } else {
-      callback(new Error("Not allowed by CORS - Only namia.online and irandra.my.id domains are allowed"));
-    }
-  },
-  credentials: true,
-};
+const { corsMiddleware } = require("./lib/cors");
+const { registry, httpMetrics } = require("./lib/metrics");
+const { codeForStatus, sendError, uniformErrors } = require("./lib/errors");
 
-app.use(cors(corsOptions));
-app.use(express.json());
+const app = express();
+const PORT = config.port;
+
+// Count and time every request for /metrics
+app.use(httpMetrics);
+// Every error response gets a code and details (see lib/errors.js)
+app.use(uniformErrors);
+// Middleware - CORS restricted to cors.origins (and localhost for development)
+app.use(corsMiddleware);
+// Large enough for base64 media (mediaBase64) up to the upload size limit:
+// base64 is a third larger, plus room for the other fields
+app.use(
+  express.json({ limit: `${Math.ceil(config.uploads.maxFileSizeMb * 1.5)}mb` })
+);
 app.use(express.urlencoded({ extended: true }));
 app.use(express.static("public"));
 
-// Create uploads directory if it doesn't exist
-const uploadsDir = path.join(__dirname, "uploads");
-if (!fs.existsSync(uploadsDir)) {
-  fs.mkdirSync(uploadsDir, { recursive: true });
-}
-
-// Create auth directory if it doesn't exist
-const authDir = path.join(__dirname, "auth_info");
-if (!fs.existsSync(authDir)) {
-  fs.mkdirSync(authDir, { recursive: true });
-}
-
-// Configure multer for file uploads
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    cb(null, "uploads/");
-  },
-  filename: (req, file, cb) => {
-    const uniqueSuffix = Date.now() + "-" + Math.round(Math.random() * 1e9);
-    cb(
-      null,
-      file.fieldname + "-" + uniqueSuffix + path.extname(file.originalname)
-    );
-  },
-});
-
-const upload = multer({
-  storage: storage,
-  limits: { fileSize: 10 * 1024 * 1024 }, // 10MB limit
-  fileFilter: (req, file, cb) => {
-    // Accept images and other common file types
-    const allowedTypes = /jpeg|jpg|png|gif|pdf|doc|docx|mp4|mp3|ogg|webp/;
-    const extname = allowedTypes.test(
-      path.extname(file.originalname).toLowerCase()
-    );
-    const mimetype = allowedTypes.test(file.mimetype);
-
-    if (mimetype && extname) {
-      return cb(null, true);
-    } else {
-      cb(
-        new Error(
-          "Invalid file type. Only images, PDFs, documents, and media files are allowed."
-        )
-      );
-    }
-  },
-});
-
-// Store QR code data and socket
-let qrCodeData = null;
-let sock = null;
-let isReady = false;
-let userInfo = null; // Store user info when connected
-
-// Initialize WhatsApp Socket with Baileys
-async function initializeWhatsApp() {
-  try {
-    const { state, saveCreds } = await useMultiFileAuthState("auth_info");
-
-    // Fetch latest version
-    const { version, isLatest } = await fetchLatestBaileysVersion();
-    console.log(`Using WA v${version.join(".")}, isLatest: ${isLatest}`);
-
-    sock = makeWASocket({
-      version,
-      logger: pino({ level: "silent" }),
-      printQRInTerminal: false, // Disabled to avoid deprecation warning
-      auth: state,
-      browser: ["Chrome (Linux)", "", ""], // Better browser identification
-      defaultQueryTimeoutMs: undefined,
-      syncFullHistory: false,
-      markOnlineOnConnect: true,
-    });
-
-    // Save credentials when updated
-    sock.ev.on("creds.update", saveCreds);
-
-    // Handle connection updates
-    sock.ev.on("connection.update", async (update) => {
-      const { connection, lastDisconnect, qr } = update;
-
-      // Handle QR code
-      if (qr) {
-        console.log("QR Code received! Please scan it.");
-        qrCodeData = qr;
-      }
-
-      // Handle connection status
-      if (connection === "close") {
-        const statusCode = lastDisconnect?.error?.output?.statusCode;
-        const shouldReconnect =
-          lastDisconnect?.error instanceof Boom
-            ? statusCode !== DisconnectReason.loggedOut
-            : true;
-
-        console.log(
-          "Connection closed due to",
-          lastDisconnect?.error,
-          ", reconnecting:",
-          shouldReconnect
-        );
-
-        isReady = false;
-        qrCodeData = null;
-
-        // Handle specific error codes
-        if (statusCode === 401) {
-          console.log("❌ Session expired or invalid. Deleting auth files...");
-          // Delete auth files
-          try {
-            const authDir = path.join(__dirname, "auth_info");
-            if (fs.existsSync(authDir)) {
-              fs.rmSync(authDir, { recursive: true, force: true });
-              console.log("✅ Auth files deleted. Restart server to get new QR code.");
-            }
-          } catch (error) {
-            console.error("Error deleting auth files:", error);
-          }
-          return; // Don't reconnect, let user restart
-        }
-
-        if (shouldReconnect) {
-          // Reconnect after 5 seconds
-          setTimeout(() => {
-            console.log("Reconnecting...");
-            initializeWhatsApp();
-          }, 5000);
-        }
-      } else if (connection === "open") {
-        console.log("✅ WhatsApp client is ready!");
-        isReady = true;
-        qrCodeData = null; // Clear QR code once ready
-
-        // Get user info
-        if (sock.user) {
-          userInfo = {
-            id: sock.user.id,
-            name: sock.user.name || "Unknown",
-          };
-          console.log(`Connected as: ${userInfo.name} (${userInfo.id})`);
-        }
-      }
-    });
-
-    // Handle messages (optional - for receiving messages)
-    sock.ev.on("messages.upsert", (m) => {
-      // Handle incoming messages if needed
-    });
-  } catch (error) {
-    console.error("Error initializing WhatsApp:", error);
-    isReady = false;
-    // Retry after 5 seconds
-    setTimeout(() => {
-      initializeWhatsApp();
-    }, 5000);
-  }
+const {
+  DEFAULT_SESSION_ID,
+  getSession,
+  restoreSessions,
+} = require("./lib/session");
+const sessionRouter = require("./routes/session");
+const sessionsRouter = require("./routes/sessions");
+const webhooksRouter = require("./routes/webhooks");
+const autoRepliesRouter = require("./routes/autoReplies");
+const adminRouter = require("./routes/admin");
+const { isAuthEnabled, requireScope } = require("./lib/apiKeys");
+const { document: openApiDocument } = require("./lib/openapi");
+const { validate } = require("./lib/validation");
+
+if (!isAuthEnabled()) {
+  console.warn(
+    "⚠️  No API keys configured - all endpoints are open. Set API_KEYS or create a key via POST /admin/api-keys."
+  );
 }
 
-// Initialize WhatsApp on server start
-initializeWhatsApp();
+// Start the default session and any named sessions found on disk
+restoreSessions();
 
 // Routes
 
@@ -223,534 +64,59 @@ app.get("/", (req, res) => {
 });
 
 // Health check endpoint
-app.get("/api", (req, res) => {
+app.get("/api", validate("getHealth"), (req, res) => {
   res.json({
     status: "OK",
     message: "WhatsApp REST API is running (Baileys)",
-    whatsappReady: isReady,
-  });
-});
-
-// Get QR Code endpoint (NO /api prefix)
-app.get("/qr", (req, res) => {
-  if (isReady) {
-    return res.json({
-      status: "error",
-      message: "WhatsApp is already connected. No QR code needed.",
-    });
-  }
-
-  if (!qrCodeData) {
-    return res.json({
-      status: "waiting",
-      message: "Waiting for QR code to be generated. Please try again.",
-    });
-  }
-
-  // Return QR code as text that can be displayed
-  res.json({
-    status: "success",
-    qr: qrCodeData,
-    message: "Scan this QR code with WhatsApp to connect",
-  });
-});
-
-// Raw QR Code image endpoint
-app.get("/qr/image", async (req, res) => {
-  if (!qrCodeData) {
-    return res.status(404).send("QR Code not generated yet");
-  }
-
-  try {
-    const QRCode = require("qrcode");
-    const buffer = await QRCode.toBuffer(qrCodeData);
-    res.type("image/png");
-    res.send(buffer);
-  } catch (err) {
-    res.status(500).send("Error generating QR code image");
-  }
-});
-
-// Display QR code in a simple HTML page
-app.get("/qr/display", (req, res) => {
-  if (isReady) {
-    return res.send(`
-      <!DOCTYPE html>
-      <html>
-      <head>
-        <title>WhatsApp QR Code</title>
-        <style>
-          body {
-            font-family: Arial, sans-serif;
-            display: flex;
-            justify-content: center;
-            align-items: center;
-            min-height: 100vh;
-            margin: 0;
-            background: #f5f5f5;
-          }
-          .container {
-            text-align: center;
-            background: white;
-            padding: 40px;
-            border-radius: 10px;
-            box-shadow: 0 2px 10px rgba(0,0,0,0.1);
-          }
-          .status {
-            color: #25D366;
-            font-size: 24px;
-            font-weight: bold;
-            margin-bottom: 20px;
-          }
-        </style>
-      </head>
-      <body>
-        <div class="container">
-          <div class="status">✓ WhatsApp is already connected!</div>
-        </div>
-      </body>
-      </html>
-    `);
-  }
-
-  if (!qrCodeData) {
-    return res.send(`
-      <!DOCTYPE html>
-      <html>
-      <head>
-        <title>WhatsApp QR Code</title>
-        <style>
-          body {
-            font-family: Arial, sans-serif;
-            display: flex;
-            justify-content: center;
-            align-items: center;
-            min-height: 100vh;
-            margin: 0;
-            background: #f5f5f5;
-          }
-          .container {
-            text-align: center;
-            background: white;
-            padding: 40px;
-            border-radius: 10px;
-            box-shadow: 0 2px 10px rgba(0,0,0,0.1);
-          }
-        </style>
-      </head>
-      <body>
-        <div class="container">
-          <h2>Generating QR Code...</h2>
-          <p>Please wait...</p>
-          <script>
-            setTimeout(() => location.reload(), 3000);
-          </script>
-        </div>
-      </body>
-      </html>
-    `);
-  }
-
-  // Generate QR code HTML using qrcode library
-  const QRCode = require("qrcode");
-  QRCode.toDataURL(qrCodeData, (err, url) => {
-    if (err) {
-      return res.status(500).send("Error generating QR code");
-    }
-    res.send(`
-      <!DOCTYPE html>
-      <html>
-      <head>
-        <title>WhatsApp QR Code</title>
-        <style>
-          body {
-            font-family: Arial, sans-serif;
-            display: flex;
-            justify-content: center;
-            align-items: center;
-            min-height: 100vh;
-            margin: 0;
-            background: #f5f5f5;
-          }
-          .container {
-            text-align: center;
-            background: white;
-            padding: 40px;
-            border-radius: 10px;
-            box-shadow: 0 2px 10px rgba(0,0,0,0.1);
-          }
-          h1 {
-            color: #333;
-            margin-bottom: 20px;
-          }
-          img {
-            max-width: 300px;
-            margin: 20px 0;
-          }
-          .instructions {
-            text-align: left;
-            display: inline-block;
-            margin-top: 20px;
-            color: #666;
-          }
-        </style>
-        <script>
-          setTimeout(() => location.reload(), 30000);
-        </script>
-      </head>
-      <body>
-        <div class="container">
-          <h1>📱 Scan QR Code</h1>
-          <img src="${url}" alt="QR Code">
-          <div class="instructions">
-            <p><strong>How to connect:</strong></p>
-            <p>1. Open WhatsApp on your phone</p>
-            <p>2. Go to Settings → Linked Devices</p>
-            <p>3. Tap "Link a Device"</p>
-            <p>4. Scan this QR code</p>
-            <p style="color: #999; font-size: 12px;">This page refreshes every 30 seconds</p>
-          </div>
-        </div>
-      </body>
-      </html>
-    `);
-  });
-});
-
-// Send message endpoint (NO /api prefix)
-app.post("/send-message", upload.single("image"), async (req, res) => {
-  try {
-    if (!isReady || !sock) {
-      return res.status(400).json({
-        status: "error",
-        message: "WhatsApp client is not ready. Please scan QR code first.",
-      });
-    }
-
-    const { number, message } = req.body;
-    const imageFile = req.file;
-
-    if (!number) {
-      return res.status(400).json({
-        status: "error",
-        message: "Phone number is required",
-      });
-    }
-
-    if (!message && !imageFile) {
-      return res.status(400).json({
-        status: "error",
-        message: "Either message or image is required",
-      });
-    }
-
-    // Format JID (WhatsApp ID)
-    let jid;
-    if (number.includes("@g.us")) {
-      // Group chat
-      jid = number;
-    } else {
-      // Individual contact - format number and add @s.whatsapp.net
-      const cleanNumber = number.replace(/[^\d+]/g, "");
-      jid = `${cleanNumber}@s.whatsapp.net`;
-    }
-
-    let result;
-
-    // If image is provided, send message with image
-    if (imageFile) {
-      try {
-        // Read image file
-        const imageBuffer = fs.readFileSync(imageFile.path);
-        const mimeType = imageFile.mimetype || "image/jpeg";
-
-        // Send message with image using Baileys
-        result = await sock.sendMessage(jid, {
-          image: imageBuffer,
-          caption: message || "",
-          mimetype: mimeType,
-        });
-
-        // Delete the uploaded file after sending
-        fs.unlinkSync(imageFile.path);
-      } catch (error) {
-        // Clean up file on error
-        if (fs.existsSync(imageFile.path)) {
-          fs.unlinkSync(imageFile.path);
-        }
-        throw error;
-      }
-    } else {
-      // Send text message only
-      if (!message) {
-        return res.status(400).json({
-          status: "error",
-          message: "Message text is required when no image is provided",
-        });
-      }
-
-      result = await sock.sendMessage(jid, { text: message });
-    }
-
-    res.json({
-      status: "success",
-      message: imageFile
-        ? "Message with image sent successfully"
-        : "Message sent successfully",
-      messageId: result.key.id,
-    });
-  } catch (error) {
-    console.error("Error sending message:", error);
-
-    // Clean up file on error if it exists
-    if (req.file) {
-      try {
-        fs.unlinkSync(req.file.path);
-      } catch (unlinkError) {
-        console.error("Error deleting file:", unlinkError);
-      }
-    }
-
-    res.status(500).json({
-      status: "error",
-      message: error.message,
-    });
-  }
-});
-
-// Get client status (NO /api prefix)
-app.get("/status", (req, res) => {
-  res.json({
-    status: isReady ? "ready" : "not_ready",
-    isReady: isReady,
-    hasQrCode: !!qrCodeData,
-    hasSocket: !!sock,
+    whatsappReady: getSession(DEFAULT_SESSION_ID).isReady,
   });
 });
 
-// Connect/Reconnect endpoint (NO /api prefix)
-app.post("/connect", async (req, res) => {
+// Prometheus metrics
+app.get("/metrics", requireScope("read"), validate("getMetrics"), async (req, res) => {
   try {
-    res.setHeader("Content-Type", "application/json");
-
-    // If already connected, return success
-    if (isReady && sock) {
-      return res.json({
-        status: "success",
-        message: "WhatsApp is already connected.",
-      });
-    }
-
-    // If socket exists but not ready, close it first
-    if (sock) {
-      try {
-        if (typeof sock.end === "function") {
-          sock.end();
-        }
-      } catch (error) {
-        console.log("Error closing existing socket:", error.message);
-      }
-      sock = null;
-    }
-
-    // Reset state
-    isReady = false;
-    qrCodeData = null;
-
-    console.log("Initiating WhatsApp connection...");
-
-    // Initialize WhatsApp connection
-    initializeWhatsApp();
-
-    res.json({
-      status: "success",
-      message:
-        "Connection initiated. Please wait for QR code or connection to complete.",
-    });
-  } catch (error) {
-    console.error("Error connecting:", error);
-    res.status(500).json({
-      status: "error",
-      message: error.message || "Failed to initiate connection",
-    });
-  }
-});
-
-// Get all groups (NO /api prefix)
-app.get("/groups", async (req, res) => {
-  try {
-    if (!isReady || !sock) {
-      return res.status(400).json({
-        status: "error",
-        message: "WhatsApp client is not ready. Please scan QR code first.",
-      });
-    }
-
-    // Fetch all groups using Baileys
-    const groups = await sock.groupFetchAllParticipating();
-
-    // Format groups data
-    const groupsList = Object.values(groups).map((group) => ({
-      id: group.id,
-      subject: group.subject || "No Subject",
-      description: group.desc || "",
-      creation: group.creation
-        ? new Date(group.creation * 1000).toISOString()
-        : null,
-      owner: group.owner || "",
-      participants: group.participants ? group.participants.length : 0,
-      size: group.size || 0,
-    }));
-
-    res.json({
-      status: "success",
-      groups: groupsList,
-      total: groupsList.length,
-    });
+    res.set("Content-Type", registry.contentType);
+    res.send(await registry.metrics());
   } catch (error) {
-    console.error("Error fetching groups:", error);
+    console.error("Error collecting metrics:", error);
     res.status(500).json({
       status: "error",
-      message: error.message || "Failed to fetch groups",
+      message: "Failed to collect metrics",
     });
   }
 });
 
-// Disconnect/Logout endpoint (NO /api prefix)
-app.post("/disconnect", async (req, res) => {
-  try {
-    // Ensure we always return JSON
-    res.setHeader("Content-Type", "application/json");
-
-    const { deleteAuth = false } = req.body || {}; // Option to delete auth files
-
-    if (!sock) {
-      return res.json({
-        status: "success",
-        message: "Already disconnected. No active connection.",
-        deletedAuth: false,
-      });
-    }
-
-    console.log("Disconnecting WhatsApp...");
-
-    // Logout from WhatsApp
-    try {
-      if (sock && typeof sock.logout === "function") {
-        await sock.logout();
-        console.log("Logged out from WhatsApp");
-      }
-    } catch (error) {
-      console.log("Error during logout (non-fatal):", error.message);
-      // Continue with disconnection even if logout fails
-    }
-
-    // Close the socket
-    try {
-      if (sock && typeof sock.end === "function") {
-        sock.end();
-      }
-    } catch (error) {
-      console.log("Error closing socket (non-fatal):", error.message);
-    }
-
-    sock = null;
-    isReady = false;
-    qrCodeData = null;
-
-    // Optionally delete auth files to completely remove session
-    if (deleteAuth) {
-      try {
-        const authDir = path.join(__dirname, "auth_info");
-        if (fs.existsSync(authDir)) {
-          fs.rmSync(authDir, { recursive: true, force: true });
-          console.log("Auth files deleted");
-        }
-      } catch (error) {
-        console.error("Error deleting auth files:", error);
-        // Don't fail the request if auth deletion fails
-      }
-    }
-
-    res.json({
-      status: "success",
-      message: deleteAuth
-        ? "Disconnected and auth files deleted. You will need to scan QR code again."
-        : "Disconnected successfully. Reconnecting will use existing session.",
-      deletedAuth: deleteAuth,
-    });
-
-    // Reinitialize after a short delay if not deleting auth
-    if (!deleteAuth) {
-      setTimeout(() => {
-        initializeWhatsApp();
-      }, 2000);
-    }
-  } catch (error) {
-    console.error("Error disconnecting:", error);
-    res.status(500).json({
-      status: "error",
-      message: error.message || "Unknown error occurred",
-      deletedAuth: false,
-    });
-  }
+// OpenAPI document, and interactive docs for it at /docs
+app.get("/openapi.json", validate("getOpenApi"), (req, res) => {
+  res.json(openApiDocument);
 });
+app.use(
+  "/docs",
+  swaggerUi.serve,
+  swaggerUi.setup(null, { swaggerOptions: { url: "../openapi.json" } })
+);
 
-// Clear auth endpoint - for fixing 401 errors
-app.post("/clear-auth", async (req, res) => {
-  try {
-    res.setHeader("Content-Type", "application/json");
-
-    console.log("Clearing auth files...");
+// Admin endpoints (API key management)
+app.use("/admin", adminRouter);
 
-    // Close socket if exists
-    if (sock) {
-      try {
-        if (typeof sock.end === "function") {
-          sock.end();
-        }
-      } catch (error) {
-        console.log("Error closing socket:", error.message);
-      }
-      sock = null;
-    }
+// Webhooks for incoming messages
+app.use("/webhooks", webhooksRouter);
 
-    isReady = false;
-    qrCodeData = null;
+// Auto-reply rules for incoming messages
+app.use("/auto-replies", autoRepliesRouter);
 
-    // Delete auth files
-    try {
-      const authDir = path.join(__dirname, "auth_info");
-      if (fs.existsSync(authDir)) {
-        fs.rmSync(authDir, { recursive: true, force: true });
-        console.log("✅ Auth files deleted successfully");
-      }
-    } catch (error) {
-      console.error("Error deleting auth files:", error);
-      return res.status(500).json({
-        status: "error",
-        message: "Failed to delete auth files: " + error.message,
-      });
-    }
+// Named sessions: /sessions, /sessions/:sessionId/qr, /sessions/:sessionId/send-message, ...
+app.use("/sessions", sessionsRouter);
 
-    res.json({
-      status: "success",
-      message: "Auth files cleared successfully. Reconnecting...",
-    });
-
-    // Reinitialize after a short delay
-    setTimeout(() => {
-      console.log("Reinitializing WhatsApp...");
-      initializeWhatsApp();
-    }, 2000);
-  } catch (error) {
-    console.error("Error clearing auth:", error);
-    res.status(500).json({
-      status: "error",
-      message: error.message || "Unknown error occurred",
-    });
-  }
-});
+// Unprefixed routes keep working against the default session
+app.use(
+  "/",
+  (req, res, next) => {
+    req.waSession = getSession(DEFAULT_SESSION_ID);
+    next();
+  },
+  sessionRouter
+);
 
 // 404 handler - must be after all routes
 app.use((req, res) => {
@@ -761,13 +127,37 @@ app.use((req, res) => {
   });
 });
 
-// Error handler middleware
+// Error handler middleware: malformed JSON, rejected uploads, CORS and
+// anything a route didn't catch
 app.use((err, req, res, next) => {
-  console.error("Unhandled error:", err);
-  res.status(err.status || 500).json({
-    status: "error",
-    message: err.message || "Internal server error",
-  });
+  if (err.type === "entity.parse.failed") {
+    return sendError(
+      res,
+      400,
+      "INVALID_JSON",
+      `Request body is not valid JSON: ${err.message}`
+    );
+  }
+  if (err instanceof multer.MulterError) {
+    // LIMIT_FILE_SIZE, LIMIT_UNEXPECTED_FILE, ...
+    return sendError(
+      res,
+      err.code === "LIMIT_FILE_SIZE" ? 413 : 400,
+      err.code,
+      err.message
+    );
+  }
+
+  const statusCode = err.status || err.statusCode || 500;
+  if (statusCode >= 500) {
+    console.error("Unhandled error:", err);
+  }
+  sendError(
+    res,
+    statusCode,
+    codeForStatus(statusCode),
+    err.message || "Internal server error"
+  );
 });
 
 // Start server
@@ -777,5 +167,6 @@ app.listen(PORT, () => {
   );
   console.log(`📊 Dashboard: http://localhost:${PORT}/`);
   console.log(`QR Code endpoint: http://localhost:${PORT}/qr/display`);
+  console.log(`API docs: http://localhost:${PORT}/docs`);
   console.log(`Using Baileys library for WhatsApp integration`);
 });
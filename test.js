@@ -57,6 +57,7 @@ async function sendTestImage() {
     const formData = new FormData();
     formData.append('number', TEST_NUMBER);
     formData.append('message', TEST_MESSAGE);
+    formData.append('wait', 'true'); // Wait until the message is actually sent
     formData.append('image', fs.createReadStream(imagePath));
 
     // Send request
@@ -0,0 +1,119 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { parseCron, isValidCron, nextCronDate } = require("../lib/cron");
+
+// Cron expressions use the server's local time, so do the dates here
+const at = (year, month, day, hour = 0, minute = 0) =>
+  new Date(year, month - 1, day, hour, minute);
+
+test("the next match is strictly after the given time", () => {
+  assert.deepEqual(
+    nextCronDate("30 9 * * *", at(2024, 1, 1, 9, 30)),
+    at(2024, 1, 2, 9, 30)
+  );
+  assert.deepEqual(
+    nextCronDate("30 9 * * *", at(2024, 1, 1, 9, 29)),
+    at(2024, 1, 1, 9, 30)
+  );
+});
+
+test("ranges", () => {
+  // Saturday January 6th: weekdays only continue on Monday
+  assert.deepEqual(
+    nextCronDate("0 9 * * 1-5", at(2024, 1, 6, 10)),
+    at(2024, 1, 8, 9)
+  );
+  assert.deepEqual(
+    nextCronDate("0 9-11 * * *", at(2024, 1, 1, 11, 30)),
+    at(2024, 1, 2, 9)
+  );
+});
+
+test("steps", () => {
+  assert.deepEqual(
+    nextCronDate("*/15 * * * *", at(2024, 1, 1, 10, 7)),
+    at(2024, 1, 1, 10, 15)
+  );
+  assert.deepEqual(
+    nextCronDate("0-30/10 8 * * *", at(2024, 1, 1, 8, 25)),
+    at(2024, 1, 1, 8, 30)
+  );
+  assert.deepEqual(
+    nextCronDate("0-30/10 8 * * *", at(2024, 1, 1, 8, 30)),
+    at(2024, 1, 2, 8, 0)
+  );
+  // A step from a single value runs up to the end of the field
+  assert.deepEqual([...parseCron("0 20/2 * * *").hours], [20, 22]);
+});
+
+test("lists", () => {
+  assert.deepEqual(
+    nextCronDate("0 9,17 * * *", at(2024, 1, 1, 9)),
+    at(2024, 1, 1, 17)
+  );
+  assert.deepEqual(
+    nextCronDate("0 0 1 1,7 *", at(2024, 1, 1, 12)),
+    at(2024, 7, 1)
+  );
+});
+
+test("0 and 7 are both Sunday", () => {
+  assert.deepEqual(
+    nextCronDate("0 0 * * 7", at(2024, 1, 6, 12)),
+    at(2024, 1, 7)
+  );
+  assert.deepEqual(
+    nextCronDate("0 0 * * 0", at(2024, 1, 6, 12)),
+    at(2024, 1, 7)
+  );
+});
+
+test("day of month and day of week", () => {
+  // Only the day of month: the 13th, whatever weekday it is
+  assert.deepEqual(
+    nextCronDate("0 9 13 * *", at(2024, 1, 1)),
+    at(2024, 1, 13, 9)
+  );
+  // Only the day of week: Fridays
+  assert.deepEqual(
+    nextCronDate("0 9 * * 5", at(2024, 1, 1)),
+    at(2024, 1, 5, 9)
+  );
+  // Both: either one matching is enough. Monday January 1st 2024, then the
+  // next Monday, and February 1st (a Thursday) after the last Monday of
+  // January.
+  assert.deepEqual(
+    nextCronDate("0 9 1 * 1", at(2024, 1, 1, 10)),
+    at(2024, 1, 8, 9)
+  );
+  assert.deepEqual(
+    nextCronDate("0 9 1 * 1", at(2024, 1, 29, 10)),
+    at(2024, 2, 1, 9)
+  );
+});
+
+test("days that only some months have", () => {
+  assert.deepEqual(nextCronDate("0 0 31 * *", at(2024, 2, 1)), at(2024, 3, 31));
+  assert.deepEqual(nextCronDate("0 0 29 2 *", at(2024, 3, 1)), at(2028, 2, 29));
+});
+
+test("a cron that never matches has no next date", () => {
+  assert.equal(nextCronDate("0 9 30 2 *", at(2024, 1, 1)), null);
+  assert.equal(nextCronDate("0 9 31 4,6,9,11 *", at(2024, 1, 1)), null);
+  // It's still a valid expression
+  assert.equal(isValidCron("0 9 30 2 *"), true);
+});
+
+test("invalid expressions", () => {
+  assert.throws(() => parseCron("* * *"), /5 fields/);
+  assert.throws(() => parseCron("60 * * * *"), /minute "60"/);
+  assert.throws(() => parseCron("* 24 * * *"), /hour "24"/);
+  assert.throws(() => parseCron("* * 0 * *"), /day of month "0"/);
+  assert.throws(() => parseCron("* * * 13 *"), /month "13"/);
+  assert.throws(() => parseCron("* * * * 8"), /day of week "8"/);
+  assert.throws(() => parseCron("5-1 * * * *"), /minute "5-1"/);
+  assert.throws(() => parseCron("*/0 * * * *"), /minute "\*\/0"/);
+  assert.throws(() => parseCron("mon * * * *"), /minute "mon"/);
+  assert.equal(isValidCron("0 9 * * 1-5"), true);
+  assert.equal(isValidCron("0 9 * *"), false);
+});
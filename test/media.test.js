@@ -0,0 +1,52 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { describeUpload, buildMediaContent } = require("../lib/media");
+
+const upload = (originalname, mimetype) => ({
+  path: `/tmp/${originalname}`,
+  originalname,
+  mimetype,
+});
+
+test("webp files are sent as images, with their caption", () => {
+  const media = describeUpload(
+    upload("photo.webp", "image/webp"),
+    undefined,
+    "Look"
+  );
+  assert.equal(media.type, "image");
+});
+
+test("webp files are sent as stickers when asked for", () => {
+  const media = describeUpload(upload("sticker.webp", "image/webp"), "sticker");
+  assert.equal(media.type, "sticker");
+  assert.throws(
+    () =>
+      describeUpload(upload("sticker.webp", "image/webp"), "sticker", "Look"),
+    /captions/
+  );
+});
+
+test("voice notes accept Ogg/Opus files only", () => {
+  const media = describeUpload(upload("note.ogg", "audio/ogg"), "voice");
+  assert.equal(media.type, "voice");
+  assert.deepEqual(buildMediaContent({ buffer: Buffer.alloc(0), ...media }), {
+    audio: Buffer.alloc(0),
+    mimetype: "audio/ogg; codecs=opus",
+    ptt: true,
+  });
+
+  assert.throws(
+    () => describeUpload(upload("song.mp3", "audio/mpeg"), "voice"),
+    /Voice notes must be Ogg\/Opus audio/
+  );
+});
+
+test("mp3 files are sent as audio with their own mimetype", () => {
+  const media = describeUpload(upload("song.mp3", "audio/mpeg"));
+  assert.equal(media.type, "audio");
+  assert.equal(
+    buildMediaContent({ buffer: Buffer.alloc(0), ...media }).mimetype,
+    "audio/mpeg"
+  );
+});
@@ -0,0 +1,71 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { normalizePhoneNumber, isValidPhoneNumber } = require("../lib/phone");
+
+test("local numbers with a leading 0 get the Indonesian country code", () => {
+  assert.equal(normalizePhoneNumber("081234567890"), "6281234567890");
+  assert.equal(normalizePhoneNumber("0812 3456 7890"), "6281234567890");
+});
+
+test("numbers with +62, 62 or 0062 keep their country code", () => {
+  assert.equal(normalizePhoneNumber("+6281234567890"), "6281234567890");
+  assert.equal(normalizePhoneNumber("6281234567890"), "6281234567890");
+  assert.equal(normalizePhoneNumber("0062 812 3456 7890"), "6281234567890");
+});
+
+test("spaces, dashes, dots and parentheses are ignored", () => {
+  assert.equal(normalizePhoneNumber("+62 812-3456-7890"), "6281234567890");
+  assert.equal(normalizePhoneNumber("(0812) 3456.7890"), "6281234567890");
+  assert.equal(normalizePhoneNumber("  62 812/3456/7890  "), "6281234567890");
+});
+
+test("numbers are accepted as numbers too", () => {
+  assert.equal(normalizePhoneNumber(6281234567890), "6281234567890");
+});
+
+test("foreign numbers", () => {
+  assert.equal(normalizePhoneNumber("+1 (415) 555-2671"), "14155552671");
+  assert.equal(normalizePhoneNumber("+44 20 7946 0958"), "442079460958");
+  assert.equal(normalizePhoneNumber("0065 6123 4567"), "6561234567");
+  assert.equal(normalizePhoneNumber("+60 12-345 6789"), "60123456789");
+});
+
+test("local numbers get the given country code", () => {
+  assert.equal(normalizePhoneNumber("0412 345 678", "61"), "61412345678");
+  assert.equal(
+    normalizePhoneNumber("+62 812 3456 7890", "61"),
+    "6281234567890"
+  );
+});
+
+test("invalid numbers throw a 400 saying what's wrong", () => {
+  const cases = [
+    ["", /empty/],
+    [null, /empty/],
+    [undefined, /empty/],
+    ["   ", /empty/],
+    ["0812abc7890", /only digits/],
+    ["62+81234567890", /only digits/],
+    ["++6281234567890", /only digits/],
+    ["+0812345678", /don't start with 0/],
+    ["000812345678", /don't start with 0/],
+    ["628", /too short/],
+    ["0812", /too short/],
+    ["+1234567890123456", /too long/],
+  ];
+
+  for (const [input, message] of cases) {
+    assert.throws(
+      () => normalizePhoneNumber(input),
+      (error) => error.statusCode === 400 && message.test(error.message),
+      `expected ${JSON.stringify(input)} to be rejected with ${message}`
+    );
+  }
+});
+
+test("isValidPhoneNumber", () => {
+  assert.equal(isValidPhoneNumber("0812 3456 7890"), true);
+  assert.equal(isValidPhoneNumber("+1 415 555 2671"), true);
+  assert.equal(isValidPhoneNumber("hello"), false);
+  assert.equal(isValidPhoneNumber("628"), false);
+});